@@ -73,6 +73,21 @@ const COLLECTIONS = {
   FUNCTIONS: 'functions',
   TEMPLATES: 'templates',
   DEPLOYMENTS: 'deployments',
+  DEPLOYMENT_LOGS: 'deploymentLogs',
+  FUNCTION_RUNS: 'functionRuns',
+  SECRETS: 'appSecrets',
+  DATA_MODELS: 'dataModels',
+  APP_USERS: 'appUsers',
+  APP_SESSIONS: 'appSessions',
+  APP_USER_LOGINS: 'appUserLogins',
+  USER_CREDENTIALS: 'userCredentials',
+  SESSIONS: 'sessions',
+  API_KEYS: 'apiKeys',
+  WORKSPACES: 'workspaces',
+  WORKSPACE_MEMBERS: 'workspaceMembers',
+  APP_COLLABORATORS: 'appCollaborators',
+  INVITATIONS: 'invitations',
+  PLATFORM_SETTINGS: 'platformSettings',
   ANALYTICS: 'analytics',
 };
 
@@ -121,6 +136,37 @@ const updateDocument = async (collection, docId, data) => {
   }
 };
 
+// Reads a document and updates it in one transaction, so nothing written in
+// between is overwritten. `update` gets the current document (null if it is
+// missing) and returns the fields to change, or null to leave it as it is; it
+// runs again if the document changes before the transaction commits. A missing
+// document is created from the returned fields, which then cannot be dotted paths.
+const updateDocumentInTransaction = async (collection, docId, update) => {
+  try {
+    const db = getFirestore();
+    const docRef = db.collection(collection).doc(docId);
+
+    return await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const data = await update(doc.exists ? { id: doc.id, ...doc.data() } : null);
+
+      const timestamp = admin.firestore.FieldValue.serverTimestamp();
+      if (data && doc.exists) {
+        transaction.update(docRef, { ...data, updatedAt: timestamp });
+      } else if (data) {
+        transaction.create(docRef, { ...data, createdAt: timestamp, updatedAt: timestamp });
+      }
+      return data;
+    });
+  } catch (error) {
+    // Errors thrown by `update` itself are the caller's to report
+    if (!error.isOperational) {
+      logger.error(`Error updating document in ${collection} in a transaction:`, error);
+    }
+    throw error;
+  }
+};
+
 const getDocument = async (collection, docId) => {
   try {
     const db = getFirestore();
@@ -188,6 +234,10 @@ const queryDocuments = async (collection, queries = [], orderBy = null, limit =
   }
 };
 
+// Field value for updates that adds to a number on the server, so concurrent
+// writers do not overwrite each other's counts
+const increment = (value = 1) => admin.firestore.FieldValue.increment(value);
+
 // User-specific database operations
 const getUserAppDatabase = (userId, appId) => {
   const db = getFirestore();
@@ -209,6 +259,119 @@ const createUserAppCollection = async (userId, appId, collectionName, data) => {
   }
 };
 
+const getUserAppItems = (userId, appId, collectionName) => {
+  return getUserAppDatabase(userId, appId).doc(collectionName).collection('items');
+};
+
+const getUserAppRecord = async (userId, appId, collectionName, recordId) => {
+  try {
+    const doc = await getUserAppItems(userId, appId, collectionName).doc(recordId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    logger.error(`Error getting record from user app collection ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+const updateUserAppRecord = async (userId, appId, collectionName, recordId, data) => {
+  try {
+    await getUserAppItems(userId, appId, collectionName).doc(recordId).update({
+      ...data,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return true;
+  } catch (error) {
+    logger.error(`Error updating record in user app collection ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+const deleteUserAppRecord = async (userId, appId, collectionName, recordId) => {
+  try {
+    await getUserAppItems(userId, appId, collectionName).doc(recordId).delete();
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting record from user app collection ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+// Results are ordered by `orderBy`, then by record ID. `startAfter` takes the
+// [value, id] pair of the last record of the previous page; a timestamp value
+// is given as { seconds, nanoseconds } so no precision is lost.
+const queryUserAppRecords = async (userId, appId, collectionName, filters = [], orderBy = null, limit = null, startAfter = null) => {
+  try {
+    let query = getUserAppItems(userId, appId, collectionName);
+
+    filters.forEach(({ field, operator, value }) => {
+      query = query.where(field, operator, value);
+    });
+
+    if (orderBy) {
+      query = query
+        .orderBy(orderBy.field, orderBy.direction || 'asc')
+        .orderBy(admin.firestore.FieldPath.documentId(), orderBy.direction || 'asc');
+    }
+
+    if (startAfter) {
+      const [value, id] = startAfter;
+      const isTimestamp = value !== null && typeof value === 'object'
+        && Number.isInteger(value.seconds) && Number.isInteger(value.nanoseconds);
+      query = query.startAfter(isTimestamp ? new admin.firestore.Timestamp(value.seconds, value.nanoseconds) : value, id);
+    }
+
+    if (limit) {
+      query = query.limit(limit);
+    }
+
+    const snapshot = await query.get();
+    return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    logger.error(`Error querying user app collection ${collectionName}:`, error);
+    throw error;
+  }
+};
+
+// Moves an app's records to another user's database, keeping their IDs and
+// timestamps. Records written while the move runs may be left behind.
+const moveUserAppData = async (fromUserId, toUserId, appId) => {
+  try {
+    const db = getFirestore();
+    const source = getUserAppDatabase(fromUserId, appId);
+    const target = getUserAppDatabase(toUserId, appId);
+
+    for (const collectionRef of await source.listDocuments()) {
+      const snapshot = await collectionRef.collection('items').get();
+
+      for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 500).forEach(doc => {
+          batch.set(target.doc(collectionRef.id).collection('items').doc(doc.id), doc.data());
+        });
+        await batch.commit();
+      }
+    }
+
+    await db.recursiveDelete(db.collection(COLLECTIONS.USERS).doc(fromUserId).collection('apps').doc(appId));
+    return true;
+  } catch (error) {
+    logger.error(`Error moving data of app ${appId}:`, error);
+    throw error;
+  }
+};
+
+// Deletes a document together with all of its subcollections
+const deleteDocumentTree = async (collection, docId) => {
+  try {
+    const db = getFirestore();
+    await db.recursiveDelete(db.collection(collection).doc(docId));
+    return true;
+  } catch (error) {
+    logger.error(`Error deleting document tree from ${collection}:`, error);
+    throw error;
+  }
+};
+
 // Batch operations
 const batchWrite = async (operations) => {
   try {
@@ -253,10 +416,18 @@ module.exports = {
   COLLECTIONS,
   createDocument,
   updateDocument,
+  updateDocumentInTransaction,
   getDocument,
   deleteDocument,
   queryDocuments,
+  increment,
   getUserAppDatabase,
   createUserAppCollection,
+  getUserAppRecord,
+  updateUserAppRecord,
+  deleteUserAppRecord,
+  queryUserAppRecords,
+  moveUserAppData,
+  deleteDocumentTree,
   batchWrite,
 };
@@ -13,9 +13,17 @@ const appRoutes = require('./routes/apps');
 const userRoutes = require('./routes/users');
 const builderRoutes = require('./routes/builder');
 const deployRoutes = require('./routes/deploy');
+const workspaceRoutes = require('./routes/workspaces');
+const invitationRoutes = require('./routes/invitations');
+const functionRoutes = require('./routes/functions');
+const dataRoutes = require('./routes/data');
+const accountRoutes = require('./routes/accounts');
 const { errorHandler } = require('./middleware/errorHandler');
 const { notFound } = require('./middleware/notFound');
 const { logger } = require('./utils/logger');
+const { startScheduler } = require('./services/scheduler');
+const { startAccountPurge } = require('./services/accountDeletion');
+const { attachLiveEditing } = require('./services/liveEditing');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -47,13 +55,26 @@ const limiter = rateLimit({
 
 app.use('/api/', limiter);
 
-// CORS configuration
-app.use(cors({
+// Function, data and account endpoints are called by generated apps' visitors, not builder users
+const functionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.FUNCTION_RATE_LIMIT, 10) || 120,
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+app.use(['/fn/', '/data/', '/accounts/'], functionLimiter);
+
+// CORS configuration. Endpoints for generated apps set their own, open CORS policy.
+const platformCors = cors({
   origin: process.env.CORS_ORIGIN || 'http://localhost:5173',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-}));
+});
+const isAppEndpoint = (path) => ['/fn/', '/data/', '/accounts/'].some(prefix => path.startsWith(prefix));
+app.use((req, res, next) => (isAppEndpoint(req.path) ? next() : platformCors(req, res, next)));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
@@ -82,6 +103,13 @@ app.use('/api/users', userRoutes);
 app.use('/api/apps', appRoutes);
 app.use('/api/builder', builderRoutes);
 app.use('/api/deploy', deployRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/invitations', invitationRoutes);
+
+// Endpoints for generated apps
+app.use('/fn', functionRoutes);
+app.use('/data', dataRoutes);
+app.use('/accounts', accountRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -95,6 +123,11 @@ app.get('/', (req, res) => {
       apps: '/api/apps',
       builder: '/api/builder',
       deploy: '/api/deploy',
+      workspaces: '/api/workspaces',
+      invitations: '/api/invitations',
+      functions: '/fn/:subdomain/*',
+      data: '/data/:subdomain/:collection',
+      accounts: '/accounts/:subdomain',
     },
   });
 });
@@ -121,6 +154,15 @@ const server = app.listen(PORT, () => {
   logger.info(`📊 Health check: http://localhost:${PORT}/health`);
 });
 
+// WebSocket connections for editing pages together
+attachLiveEditing(server);
+
+// Run scheduled functions and purge deleted accounts
+if (process.env.NODE_ENV !== 'test' && process.env.SCHEDULER_ENABLED !== 'false') {
+  startScheduler();
+  startAccountPurge();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   logger.error('Unhandled Promise Rejection:', err);
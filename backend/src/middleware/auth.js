@@ -0,0 +1,126 @@
+const jwt = require('jsonwebtoken');
+const { getDocument, COLLECTIONS } = require('../config/firebase');
+const { AppError, catchAsync } = require('./errorHandler');
+const { getActiveSession } = require('../services/sessions');
+const { isApiKey, verifyApiKey } = require('../services/apiKeys');
+const { hasRole, getAppRole, getWorkspaceRole } = require('../services/collaboration');
+
+// Resolves a platform access token to { userId, sessionId }. Throws 401 when
+// the token is invalid or expired, or its session has been revoked.
+const verifyAccessToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid or expired token', 401);
+  }
+
+  const session = await getActiveSession(payload.sessionId);
+  if (!session || session.userId !== payload.userId) {
+    throw new AppError('Session has ended, please log in again', 401);
+  }
+
+  return payload;
+};
+
+// Accepts a session access token, or an API key when the route names the
+// scope a key needs. Sets req.user to { userId, sessionId } for sessions and
+// { userId, apiKeyId, scopes } for keys.
+const authenticate = ({ scope } = {}) => catchAsync(async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    throw new AppError('Access token is required', 401);
+  }
+
+  if (!isApiKey(token)) {
+    req.user = await verifyAccessToken(token);
+    return next();
+  }
+
+  if (!scope) {
+    throw new AppError('API keys cannot be used for this endpoint', 403);
+  }
+
+  const apiKey = await verifyApiKey(token);
+  if (!apiKey.scopes.includes(scope)) {
+    throw new AppError(`This API key does not have the ${scope} scope`, 403);
+  }
+
+  req.user = { userId: apiKey.userId, apiKeyId: apiKey.id, scopes: apiKey.scopes };
+  next();
+});
+
+// Middleware to authenticate JWT tokens; API keys are not accepted
+const authenticateToken = authenticate();
+
+// Middleware for routes open to API keys with the given scope
+const requireScope = (scope) => authenticate({ scope });
+
+// Middleware for platform administrators. Runs after authentication.
+const requireAdmin = catchAsync(async (req, res, next) => {
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+
+  if (!user || user.role !== 'admin') {
+    throw new AppError('Admin access required', 403);
+  }
+
+  next();
+});
+
+// Loads the app named by the :appId (or :id) route parameter into
+// req.targetApp, after checking the caller has at least the given role on
+// it. req.appRole is the caller's role. Runs after authentication.
+const requireAppRole = (role) => catchAsync(async (req, res, next) => {
+  const appId = req.params.appId || req.params.id;
+  const app = await getDocument(COLLECTIONS.APPS, appId);
+
+  if (!app || app.isDeleted) {
+    throw new AppError('App not found', 404);
+  }
+
+  const appRole = await getAppRole(app, req.user.userId);
+
+  if (!appRole) {
+    throw new AppError('You do not have permission to access this app', 403);
+  }
+
+  if (!hasRole(appRole, role)) {
+    throw new AppError(`This requires the ${role} role on this app`, 403);
+  }
+
+  req.targetApp = app;
+  req.appRole = appRole;
+  next();
+});
+
+// Loads the workspace named by the :workspaceId route parameter into
+// req.workspace, after checking the caller is a member with at least the
+// given role. req.workspaceRole is the caller's role. Runs after
+// authentication.
+const requireWorkspaceRole = (role) => catchAsync(async (req, res, next) => {
+  const workspace = await getDocument(COLLECTIONS.WORKSPACES, req.params.workspaceId);
+  const workspaceRole = await getWorkspaceRole(workspace, req.user.userId);
+
+  if (!workspaceRole) {
+    throw new AppError('Workspace not found', 404);
+  }
+
+  if (!hasRole(workspaceRole, role)) {
+    throw new AppError(`This requires the ${role} role in this workspace`, 403);
+  }
+
+  req.workspace = workspace;
+  req.workspaceRole = workspaceRole;
+  next();
+});
+
+module.exports = {
+  verifyAccessToken,
+  authenticateToken,
+  requireScope,
+  requireAdmin,
+  requireAppRole,
+  requireWorkspaceRole,
+};
@@ -0,0 +1,210 @@
+const express = require('express');
+const cors = require('cors');
+const { body, validationResult } = require('express-validator');
+const { queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { sendMail } = require('../services/mailer');
+const {
+  toAppUserSummary,
+  findAppUserByEmail,
+  createAppUser,
+  verifyCredentials,
+  createSession,
+  authenticateAppUser,
+  revokeSession,
+  createPasswordResetToken,
+  resetPassword,
+} = require('../services/appUsers');
+
+const router = express.Router();
+
+// Generated apps live on their own domains and call these endpoints directly
+router.use(cors({
+  origin: '*',
+  methods: ['GET', 'POST', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+}));
+
+// Validation middleware
+const validateSignup = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  body('name').optional().isString().trim().isLength({ max: 100 }),
+];
+
+const validateLogin = [
+  body('email').isEmail().normalizeEmail(),
+  body('password').notEmpty().withMessage('Password is required'),
+];
+
+const validatePasswordReset = [
+  body('email').isEmail().normalizeEmail(),
+];
+
+const validateNewPassword = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+];
+
+// Resolves the app by subdomain
+const loadApp = catchAsync(async (req, res, next) => {
+  const [app] = await queryDocuments(COLLECTIONS.APPS, [
+    { field: 'subdomain', operator: '==', value: req.params.subdomain },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+
+  if (!app) {
+    throw new AppError('App not found', 404);
+  }
+
+  req.targetApp = app;
+  next();
+});
+
+// Requires a signed-in user of the app
+const requireAppUser = catchAsync(async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    throw new AppError('Access token is required', 401);
+  }
+
+  const { appUser, session } = await authenticateAppUser(req.targetApp, token);
+  req.appUser = appUser;
+  req.appSession = session;
+  next();
+});
+
+const getAppUrl = (app) => app.metadata?.deploymentUrl || `https://${app.subdomain}.xmbl.app`;
+
+// POST /accounts/:subdomain/signup - Create an account and sign in
+router.post('/:subdomain/signup', loadApp, validateSignup, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { email, password, name } = req.body;
+  const appUser = await createAppUser(req.targetApp, { email, password, name });
+  const { token } = await createSession(req.targetApp, appUser, { userAgent: req.get('user-agent'), ip: req.ip });
+
+  logger.info(`New user signed up to app ${req.targetApp.id}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Account created successfully',
+    data: {
+      user: toAppUserSummary(appUser),
+      token,
+    },
+  });
+}));
+
+// POST /accounts/:subdomain/login - Sign in
+router.post('/:subdomain/login', loadApp, validateLogin, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const appUser = await verifyCredentials(req.targetApp, req.body.email, req.body.password);
+  const { token } = await createSession(req.targetApp, appUser, { userAgent: req.get('user-agent'), ip: req.ip });
+
+  res.json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user: toAppUserSummary(appUser),
+      token,
+    },
+  });
+}));
+
+// POST /accounts/:subdomain/logout - End the current session
+router.post('/:subdomain/logout', loadApp, requireAppUser, catchAsync(async (req, res) => {
+  await revokeSession(req.appSession.id);
+
+  res.json({
+    status: 'success',
+    message: 'Logged out successfully',
+  });
+}));
+
+// GET /accounts/:subdomain/me - Get the signed-in user
+router.get('/:subdomain/me', loadApp, requireAppUser, catchAsync(async (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      user: toAppUserSummary(req.appUser),
+    },
+  });
+}));
+
+// POST /accounts/:subdomain/forgot-password - Email a password reset link
+router.post('/:subdomain/forgot-password', loadApp, validatePasswordReset, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const appUser = await findAppUserByEmail(req.targetApp.id, req.body.email);
+
+  // Don't reveal if email exists or not for security
+  if (appUser && appUser.isActive) {
+    const token = await createPasswordResetToken(appUser);
+    const link = `${getAppUrl(req.targetApp)}/account/reset-password?token=${encodeURIComponent(token)}`;
+
+    // A delivery failure must not answer differently than an unknown email
+    try {
+      await sendMail({
+        to: appUser.email,
+        subject: `Reset your ${req.targetApp.name} password`,
+        text: `Someone asked to reset the password of your ${req.targetApp.name} account.\n\n`
+          + `Open this link within an hour to choose a new password:\n${link}\n\n`
+          + 'If this was not you, you can ignore this email.',
+      });
+    } catch (error) {
+      logger.error(`Failed to send password reset email for app user ${appUser.id}:`, error);
+    }
+  }
+
+  res.json({
+    status: 'success',
+    message: 'If an account with that email exists, a password reset link has been sent.',
+  });
+}));
+
+// POST /accounts/:subdomain/reset-password - Set a new password with a reset token
+router.post('/:subdomain/reset-password', loadApp, validateNewPassword, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await resetPassword(req.targetApp, req.body.token, req.body.password);
+
+  res.json({
+    status: 'success',
+    message: 'Password reset successfully',
+  });
+}));
+
+module.exports = router;
@@ -12,53 +12,35 @@ const {
   COLLECTIONS
 } = require('../config/firebase');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { requireScope, requireAppRole } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const {
+  SECRET_ENVIRONMENTS,
+  SECRET_NAME,
+  isReservedSecretName,
+  encryptSecret,
+  toSecretSummary,
+} = require('../services/secrets');
+const { toAppUserSummary, revokeAllSessions } = require('../services/appUsers');
+const {
+  INVITABLE_ROLES,
+  hasRole,
+  toPersonSummary,
+  getWorkspaceRole,
+  listSharedApps,
+  listAppCollaborators,
+  setCollaboratorRole,
+  removeCollaborator,
+  transferAppOwnership,
+  toInvitationSummary,
+  listTargetInvitations,
+  createInvitation,
+  sendInvitation,
+  revokeInvitation,
+} = require('../services/collaboration');
 
 const router = express.Router();
 
-// Middleware to authenticate JWT tokens
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      status: 'fail',
-      message: 'Access token is required',
-    });
-  }
-
-  const jwt = require('jsonwebtoken');
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Invalid or expired token',
-      });
-    }
-
-    req.user = user;
-    next();
-  });
-}
-
-// Middleware to check app ownership
-const checkAppOwnership = catchAsync(async (req, res, next) => {
-  const { id } = req.params;
-  const app = await getDocument(COLLECTIONS.APPS, id);
-
-  if (!app) {
-    throw new AppError('App not found', 404);
-  }
-
-  if (app.userId !== req.user.userId) {
-    throw new AppError('You do not have permission to access this app', 403);
-  }
-
-  req.app = app;
-  next();
-});
-
 // Helper functions
 const generateSubdomain = (name) => {
   const baseSlug = slugify(name, { lower: true, strict: true });
@@ -85,12 +67,26 @@ const validateAppLimits = async (userId) => {
   return true;
 };
 
+// Apps can be added to a workspace by its editors and up
+const checkWorkspaceAccess = async (workspaceId, userId) => {
+  const workspace = await getDocument(COLLECTIONS.WORKSPACES, workspaceId);
+  const role = await getWorkspaceRole(workspace, userId);
+
+  if (!role) {
+    throw new AppError('Workspace not found', 404);
+  }
+  if (!hasRole(role, 'editor')) {
+    throw new AppError('Only workspace editors and up can add apps to it', 403);
+  }
+};
+
 // Validation middleware
 const validateCreateApp = [
   body('name').trim().notEmpty().withMessage('App name is required').isLength({ max: 50 }),
   body('description').optional().isLength({ max: 500 }),
   body('category').optional().isIn(['business', 'portfolio', 'blog', 'ecommerce', 'landing', 'other']),
   body('template').optional().isString(),
+  body('workspaceId').optional().isString(),
 ];
 
 const validateUpdateApp = [
@@ -103,9 +99,9 @@ const validateUpdateApp = [
 
 // Routes
 
-// GET /api/apps - Get user's apps
-router.get('/', authenticateToken, catchAsync(async (req, res) => {
-  const { page = 1, limit = 20, category, status, search } = req.query;
+// GET /api/apps - Get user's apps and the apps shared with them
+router.get('/', requireScope('apps:read'), catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, category, status, search, access = 'all', workspaceId } = req.query;
 
   const queries = [
     { field: 'userId', operator: '==', value: req.user.userId },
@@ -120,18 +116,27 @@ router.get('/', authenticateToken, catchAsync(async (req, res) => {
     queries.push({ field: 'status', operator: '==', value: status });
   }
 
-  const apps = await queryDocuments(
+  const ownedApps = access === 'shared' ? [] : await queryDocuments(
     COLLECTIONS.APPS,
     queries,
     { field: 'updatedAt', direction: 'desc' },
     parseInt(limit) * parseInt(page)
   );
 
-  // Filter by search term if provided
-  let filteredApps = apps;
+  const sharedApps = access === 'owned' ? [] : (await listSharedApps(req.user.userId)).filter(app =>
+    (!category || category === 'all' || app.category === category) &&
+    (!status || app.status === status)
+  );
+
+  const toTime = (value) => (value?.toDate ? value.toDate() : new Date(value || 0)).getTime();
+  const apps = [...ownedApps.map(app => ({ ...app, role: 'owner' })), ...sharedApps]
+    .sort((a, b) => toTime(b.updatedAt) - toTime(a.updatedAt));
+
+  // Filter by workspace and search term if provided
+  let filteredApps = workspaceId ? apps.filter(app => app.workspaceId === workspaceId) : apps;
   if (search) {
     const searchTerm = search.toLowerCase();
-    filteredApps = apps.filter(app =>
+    filteredApps = filteredApps.filter(app =>
       app.name.toLowerCase().includes(searchTerm) ||
       app.description?.toLowerCase().includes(searchTerm)
     );
@@ -157,7 +162,7 @@ router.get('/', authenticateToken, catchAsync(async (req, res) => {
 }));
 
 // POST /api/apps - Create new app
-router.post('/', authenticateToken, validateCreateApp, catchAsync(async (req, res) => {
+router.post('/', requireScope('apps:write'), validateCreateApp, catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -170,11 +175,16 @@ router.post('/', authenticateToken, validateCreateApp, catchAsync(async (req, re
   // Check app limits
   await validateAppLimits(req.user.userId);
 
-  const { name, description, category = 'other', template } = req.body;
+  const { name, description, category = 'other', template, workspaceId } = req.body;
+  if (workspaceId) {
+    await checkWorkspaceAccess(workspaceId, req.user.userId);
+  }
+
   const subdomain = generateSubdomain(name);
 
   const appData = {
     userId: req.user.userId,
+    workspaceId: workspaceId || null,
     name,
     description: description || '',
     category,
@@ -263,8 +273,8 @@ router.post('/', authenticateToken, validateCreateApp, catchAsync(async (req, re
 }));
 
 // GET /api/apps/:id - Get specific app
-router.get('/:id', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
-  const app = req.app;
+router.get('/:id', requireScope('apps:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  const app = req.targetApp;
 
   // Get app pages
   const pages = await queryDocuments(COLLECTIONS.PAGES, [
@@ -283,6 +293,7 @@ router.get('/:id', authenticateToken, checkAppOwnership, catchAsync(async (req,
     data: {
       app: {
         ...app,
+        role: req.appRole,
         pages,
         components: components.length,
       },
@@ -291,7 +302,7 @@ router.get('/:id', authenticateToken, checkAppOwnership, catchAsync(async (req,
 }));
 
 // PUT /api/apps/:id - Update app
-router.put('/:id', authenticateToken, checkAppOwnership, validateUpdateApp, catchAsync(async (req, res) => {
+router.put('/:id', requireScope('apps:write'), requireAppRole('admin'), validateUpdateApp, catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
     return res.status(400).json({
@@ -309,11 +320,11 @@ router.put('/:id', authenticateToken, checkAppOwnership, validateUpdateApp, catc
   if (category !== undefined) updateData.category = category;
 
   if (settings) {
-    updateData.settings = { ...req.app.settings, ...settings };
+    updateData.settings = { ...req.targetApp.settings, ...settings };
   }
 
   if (theme) {
-    updateData.theme = { ...req.app.theme, ...theme };
+    updateData.theme = { ...req.targetApp.theme, ...theme };
   }
 
   await updateDocument(COLLECTIONS.APPS, req.params.id, updateData);
@@ -330,7 +341,7 @@ router.put('/:id', authenticateToken, checkAppOwnership, validateUpdateApp, catc
 }));
 
 // DELETE /api/apps/:id - Delete app
-router.delete('/:id', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.delete('/:id', requireScope('apps:write'), requireAppRole('owner'), catchAsync(async (req, res) => {
   const appId = req.params.id;
 
   // Soft delete the app
@@ -364,11 +375,11 @@ router.delete('/:id', authenticateToken, checkAppOwnership, catchAsync(async (re
 }));
 
 // POST /api/apps/:id/duplicate - Duplicate app
-router.post('/:id/duplicate', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.post('/:id/duplicate', requireScope('apps:write'), requireAppRole('editor'), catchAsync(async (req, res) => {
   // Check app limits
   await validateAppLimits(req.user.userId);
 
-  const originalApp = req.app;
+  const originalApp = req.targetApp;
   const { name } = req.body;
 
   const duplicateName = name || `${originalApp.name} (Copy)`;
@@ -377,6 +388,8 @@ router.post('/:id/duplicate', authenticateToken, checkAppOwnership, catchAsync(a
   // Create duplicate app
   const duplicateAppData = {
     ...originalApp,
+    userId: req.user.userId,
+    workspaceId: null,
     name: duplicateName,
     subdomain,
     status: 'draft',
@@ -409,6 +422,7 @@ router.post('/:id/duplicate', authenticateToken, checkAppOwnership, catchAsync(a
     const duplicatePageData = {
       ...page,
       appId: duplicateAppId,
+      userId: req.user.userId,
       isPublished: false,
     };
     delete duplicatePageData.id;
@@ -439,14 +453,14 @@ router.post('/:id/duplicate', authenticateToken, checkAppOwnership, catchAsync(a
 }));
 
 // PUT /api/apps/:id/publish - Publish app
-router.put('/:id/publish', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.put('/:id/publish', requireScope('apps:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
   const appId = req.params.id;
 
   // Update app status
   await updateDocument(COLLECTIONS.APPS, appId, {
     status: 'published',
     'metadata.lastDeployment': new Date(),
-    'metadata.deploymentUrl': `https://${req.app.subdomain}.xmbl.app`,
+    'metadata.deploymentUrl': `https://${req.targetApp.subdomain}.xmbl.app`,
   });
 
   // Publish all pages
@@ -480,7 +494,7 @@ router.put('/:id/publish', authenticateToken, checkAppOwnership, catchAsync(asyn
 }));
 
 // PUT /api/apps/:id/unpublish - Unpublish app
-router.put('/:id/unpublish', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.put('/:id/unpublish', requireScope('apps:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
   const appId = req.params.id;
 
   await updateDocument(COLLECTIONS.APPS, appId, {
@@ -499,14 +513,14 @@ router.put('/:id/unpublish', authenticateToken, checkAppOwnership, catchAsync(as
 }));
 
 // GET /api/apps/:id/analytics - Get app analytics
-router.get('/:id/analytics', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:id/analytics', requireScope('apps:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const { period = '7d' } = req.query;
   const appId = req.params.id;
 
   // Mock analytics data - in a real implementation, you'd fetch from analytics service
   const analytics = {
     views: {
-      total: req.app.stats?.views || 0,
+      total: req.targetApp.stats?.views || 0,
       period: Math.floor(Math.random() * 100),
       change: Math.floor(Math.random() * 20) - 10, // -10 to +10
     },
@@ -544,11 +558,12 @@ router.get('/:id/analytics', authenticateToken, checkAppOwnership, catchAsync(as
 }));
 
 // PUT /api/apps/:id/settings - Update app settings
-router.put('/:id/settings', authenticateToken, checkAppOwnership, [
+router.put('/:id/settings', requireScope('apps:write'), requireAppRole('admin'), [
   body('seo.title').optional().isLength({ max: 60 }),
   body('seo.description').optional().isLength({ max: 160 }),
   body('analytics.googleAnalyticsId').optional().isString(),
   body('domain.custom').optional().isURL(),
+  body('auth.enabled').optional().isBoolean(),
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -559,14 +574,16 @@ router.put('/:id/settings', authenticateToken, checkAppOwnership, [
     });
   }
 
-  const { seo, analytics, domain } = req.body;
-  const currentSettings = req.app.settings || {};
+  const { seo, analytics, domain, auth } = req.body;
+  const currentSettings = req.targetApp.settings || {};
 
   const updatedSettings = {
     ...currentSettings,
     ...(seo && { seo: { ...currentSettings.seo, ...seo } }),
     ...(analytics && { analytics: { ...currentSettings.analytics, ...analytics } }),
     ...(domain && { domain: { ...currentSettings.domain, ...domain } }),
+    // Adds sign-up and login to the generated app; protected pages turn it on too
+    ...(auth && { auth: { ...currentSettings.auth, ...auth } }),
   };
 
   await updateDocument(COLLECTIONS.APPS, req.params.id, {
@@ -584,4 +601,373 @@ router.put('/:id/settings', authenticateToken, checkAppOwnership, [
   });
 }));
 
+// Secrets Management
+
+// GET /api/apps/:id/secrets - List secret names (values are never returned)
+router.get('/:id/secrets', requireScope('apps:read'), requireAppRole('admin'), catchAsync(async (req, res) => {
+  const secrets = await queryDocuments(COLLECTIONS.SECRETS, [
+    { field: 'appId', operator: '==', value: req.params.id },
+  ], { field: 'name', direction: 'asc' });
+
+  res.json({
+    status: 'success',
+    data: {
+      secrets: secrets.map(toSecretSummary),
+    },
+  });
+}));
+
+// POST /api/apps/:id/secrets - Create a secret
+router.post('/:id/secrets', requireScope('apps:write'), requireAppRole('admin'), [
+  body('name')
+    .trim()
+    .matches(SECRET_NAME)
+    .withMessage('Secret names use uppercase letters, digits and underscores, e.g. STRIPE_API_KEY')
+    .not()
+    .custom(isReservedSecretName)
+    .withMessage('This name is reserved'),
+  body('value').isString().notEmpty().withMessage('Secret value is required').isLength({ max: 10000 }),
+  body('environment').optional().isIn(SECRET_ENVIRONMENTS),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, value, environment = 'all' } = req.body;
+
+  const existingSecrets = await queryDocuments(COLLECTIONS.SECRETS, [
+    { field: 'appId', operator: '==', value: req.params.id },
+    { field: 'name', operator: '==', value: name },
+    { field: 'environment', operator: '==', value: environment },
+  ]);
+
+  if (existingSecrets.length > 0) {
+    throw new AppError(`Secret ${name} already exists for ${environment}. Rotate it to change its value.`, 409);
+  }
+
+  const owner = { appId: req.params.id, name, environment };
+  const secretId = await createDocument(COLLECTIONS.SECRETS, {
+    ...owner,
+    ...encryptSecret(value, owner),
+    version: 1,
+    createdBy: req.user.userId,
+    lastRotatedAt: null,
+  });
+
+  const secret = await getDocument(COLLECTIONS.SECRETS, secretId);
+
+  logger.info(`Secret ${name} (${environment}) created for app ${req.params.id}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Secret created successfully',
+    data: {
+      secret: toSecretSummary(secret),
+    },
+  });
+}));
+
+// PUT /api/apps/:id/secrets/:secretId/rotate - Replace a secret's value
+router.put('/:id/secrets/:secretId/rotate', requireScope('apps:write'), requireAppRole('admin'), [
+  body('value').isString().notEmpty().withMessage('Secret value is required').isLength({ max: 10000 }),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const secret = await getDocument(COLLECTIONS.SECRETS, req.params.secretId);
+
+  if (!secret || secret.appId !== req.params.id) {
+    throw new AppError('Secret not found', 404);
+  }
+
+  await updateDocument(COLLECTIONS.SECRETS, secret.id, {
+    ...encryptSecret(req.body.value, secret),
+    version: (secret.version || 1) + 1,
+    lastRotatedAt: new Date(),
+    rotatedBy: req.user.userId,
+  });
+
+  const updatedSecret = await getDocument(COLLECTIONS.SECRETS, secret.id);
+
+  logger.info(`Secret ${secret.name} (${secret.environment}) rotated for app ${req.params.id}`);
+
+  res.json({
+    status: 'success',
+    message: 'Secret rotated successfully',
+    data: {
+      secret: toSecretSummary(updatedSecret),
+    },
+  });
+}));
+
+// DELETE /api/apps/:id/secrets/:secretId - Delete a secret
+router.delete('/:id/secrets/:secretId', requireScope('apps:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
+  const secret = await getDocument(COLLECTIONS.SECRETS, req.params.secretId);
+
+  if (!secret || secret.appId !== req.params.id) {
+    throw new AppError('Secret not found', 404);
+  }
+
+  // Secrets are removed outright rather than soft deleted so the value is gone
+  await deleteDocument(COLLECTIONS.SECRETS, secret.id);
+
+  logger.info(`Secret ${secret.name} (${secret.environment}) deleted from app ${req.params.id}`);
+
+  res.json({
+    status: 'success',
+    message: 'Secret deleted successfully',
+  });
+}));
+
+// App Users Management
+
+// GET /api/apps/:id/users - List the accounts of the app's own users
+router.get('/:id/users', requireScope('apps:read'), requireAppRole('admin'), catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, search } = req.query;
+
+  let appUsers = await queryDocuments(COLLECTIONS.APP_USERS, [
+    { field: 'appId', operator: '==', value: req.params.id },
+    { field: 'isDeleted', operator: '==', value: false },
+  ], { field: 'createdAt', direction: 'desc' });
+
+  if (search) {
+    const term = String(search).toLowerCase();
+    appUsers = appUsers.filter(appUser => appUser.email.includes(term) || appUser.name.toLowerCase().includes(term));
+  }
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const startIndex = (pageNumber - 1) * pageSize;
+
+  res.json({
+    status: 'success',
+    data: {
+      users: appUsers.slice(startIndex, startIndex + pageSize).map(toAppUserSummary),
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(appUsers.length / pageSize),
+        totalUsers: appUsers.length,
+        hasNextPage: startIndex + pageSize < appUsers.length,
+        hasPrevPage: pageNumber > 1,
+      },
+    },
+  });
+}));
+
+// PUT /api/apps/:id/users/:appUserId - Enable or disable an app user's account
+router.put('/:id/users/:appUserId', requireScope('apps:write'), requireAppRole('admin'), [
+  body('isActive').isBoolean().withMessage('isActive must be true or false'),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const appUser = await getDocument(COLLECTIONS.APP_USERS, req.params.appUserId);
+
+  if (!appUser || appUser.appId !== req.params.id || appUser.isDeleted) {
+    throw new AppError('User not found', 404);
+  }
+
+  await updateDocument(COLLECTIONS.APP_USERS, appUser.id, { isActive: req.body.isActive });
+  if (!req.body.isActive) {
+    await revokeAllSessions(appUser.id);
+  }
+
+  const updatedUser = await getDocument(COLLECTIONS.APP_USERS, appUser.id);
+
+  res.json({
+    status: 'success',
+    message: `User ${req.body.isActive ? 'enabled' : 'disabled'} successfully`,
+    data: {
+      user: toAppUserSummary(updatedUser),
+    },
+  });
+}));
+
+// Collaboration
+
+const validateRole = body('role').isIn(INVITABLE_ROLES).withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+
+// GET /api/apps/:id/collaborators - List the owner and collaborators
+router.get('/:id/collaborators', requireScope('apps:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  const owner = await getDocument(COLLECTIONS.USERS, req.targetApp.userId);
+  const collaborators = await listAppCollaborators(req.params.id);
+
+  res.json({
+    status: 'success',
+    data: {
+      owner: owner && toPersonSummary(owner),
+      collaborators: collaborators.map(({ user, role, createdAt }) => ({ ...user, role, addedAt: createdAt })),
+      role: req.appRole,
+    },
+  });
+}));
+
+// PUT /api/apps/:id/collaborators/:userId - Change a collaborator's role
+router.put('/:id/collaborators/:userId', requireScope('apps:write'), requireAppRole('admin'), [
+  validateRole,
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await setCollaboratorRole(req.targetApp, req.params.userId, req.body.role);
+
+  logger.info(`Collaborator ${req.params.userId} of app ${req.params.id} set to ${req.body.role} by user ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Collaborator role updated successfully',
+  });
+}));
+
+// DELETE /api/apps/:id/collaborators/:userId - Remove a collaborator, or leave the app
+router.delete('/:id/collaborators/:userId', requireScope('apps:write'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  if (req.params.userId !== req.user.userId && !hasRole(req.appRole, 'admin')) {
+    throw new AppError('This requires the admin role on this app', 403);
+  }
+
+  await removeCollaborator(req.targetApp, req.params.userId);
+
+  logger.info(`Collaborator ${req.params.userId} removed from app ${req.params.id} by user ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Collaborator removed successfully',
+  });
+}));
+
+// GET /api/apps/:id/invitations - List pending invitations
+router.get('/:id/invitations', requireScope('apps:read'), requireAppRole('admin'), catchAsync(async (req, res) => {
+  const invitations = await listTargetInvitations('app', req.params.id);
+
+  res.json({
+    status: 'success',
+    data: {
+      invitations: invitations.map(toInvitationSummary),
+    },
+  });
+}));
+
+// POST /api/apps/:id/invitations - Invite someone by email
+router.post('/:id/invitations', requireScope('apps:write'), requireAppRole('admin'), [
+  body('email').isEmail().normalizeEmail(),
+  validateRole,
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { invitation, token } = await createInvitation({
+    type: 'app',
+    target: req.targetApp,
+    email: req.body.email,
+    role: req.body.role,
+    invitedBy: req.user.userId,
+  });
+  await sendInvitation(invitation, token, await getDocument(COLLECTIONS.USERS, req.user.userId));
+
+  logger.info(`Invitation ${invitation.id} to app ${req.params.id} sent by user ${req.user.userId}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Invitation sent successfully',
+    data: {
+      invitation: toInvitationSummary(invitation),
+    },
+  });
+}));
+
+// DELETE /api/apps/:id/invitations/:invitationId - Revoke a pending invitation
+router.delete('/:id/invitations/:invitationId', requireScope('apps:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
+  await revokeInvitation('app', req.params.id, req.params.invitationId);
+
+  res.json({
+    status: 'success',
+    message: 'Invitation revoked successfully',
+  });
+}));
+
+// PUT /api/apps/:id/workspace - Move the app into a workspace, or out with null
+router.put('/:id/workspace', requireScope('apps:write'), requireAppRole('owner'), [
+  body('workspaceId').optional({ nullable: true }).isString(),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const workspaceId = req.body.workspaceId || null;
+  if (workspaceId) {
+    await checkWorkspaceAccess(workspaceId, req.user.userId);
+  }
+
+  await updateDocument(COLLECTIONS.APPS, req.params.id, { workspaceId });
+
+  const updatedApp = await getDocument(COLLECTIONS.APPS, req.params.id);
+
+  res.json({
+    status: 'success',
+    message: workspaceId ? 'App moved to the workspace successfully' : 'App removed from its workspace successfully',
+    data: {
+      app: updatedApp,
+    },
+  });
+}));
+
+// POST /api/apps/:id/transfer - Make a collaborator or workspace member the owner
+router.post('/:id/transfer', requireScope('apps:write'), requireAppRole('owner'), [
+  body('userId').isString().notEmpty().withMessage('The new owner is required'),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  // The app counts toward the new owner's plan
+  await validateAppLimits(req.body.userId);
+  await transferAppOwnership(req.targetApp, req.body.userId);
+
+  logger.info(`App ${req.params.id} transferred from user ${req.user.userId} to user ${req.body.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'App ownership transferred successfully. You remain an admin of the app.',
+  });
+}));
+
 module.exports = router;
@@ -1,10 +1,39 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
 const { body, validationResult } = require('express-validator');
 const { getAuth, createDocument, getDocument, updateDocument, COLLECTIONS } = require('../config/firebase');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { sendMail } = require('../services/mailer');
+const {
+  setPassword,
+  verifyPassword,
+  createPasswordResetToken,
+  resetPassword,
+} = require('../services/credentials');
+const {
+  REFRESH_TOKEN_TTL_MS,
+  toSessionSummary,
+  createSession,
+  refreshSession,
+  listSessions,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+} = require('../services/sessions');
+const { scheduleAccountDeletion, isPendingDeletion, restoreAccount } = require('../services/accountDeletion');
+const {
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  createChallenge,
+  verifyChallenge,
+  startSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+} = require('../services/twoFactor');
 
 const router = express.Router();
 
@@ -25,32 +54,136 @@ const validatePasswordReset = [
   body('email').isEmail().normalizeEmail(),
 ];
 
+const validateNewPassword = [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+];
+
+const validateLoginVerification = [
+  body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required'),
+];
+
+const validateTwoFactorCode = [
+  body('code').trim().notEmpty().withMessage('Verification code is required'),
+];
+
+const validateTwoFactorDisable = [
+  body('password').notEmpty().withMessage('Password confirmation is required'),
+  body('code').trim().notEmpty().withMessage('Verification code is required'),
+];
+
+const validateAccountDeletion = [
+  body('password').notEmpty().withMessage('Password confirmation is required'),
+];
+
 const validatePasswordUpdate = [
   body('currentPassword').notEmpty().withMessage('Current password is required'),
   body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters'),
 ];
 
 // Helper functions
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+
+// The refresh token only ever travels in this cookie, and only to /api/auth
+const REFRESH_COOKIE = 'refreshToken';
+const refreshCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === 'production',
+  sameSite: 'strict',
+  path: '/api/auth',
+};
+
+const setRefreshCookie = (res, refreshToken) => {
+  res.cookie(REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions, maxAge: REFRESH_TOKEN_TTL_MS });
+};
+
+const clearRefreshCookie = (res) => {
+  res.clearCookie(REFRESH_COOKIE, refreshCookieOptions);
+};
+
+const getFrontendUrl = () => process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+
+// Starts a session for this device and returns its access token
+const startSession = async (req, res, userId, { twoFactorVerified = false } = {}) => {
+  const { accessToken, refreshToken } = await createSession(userId, {
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
+    twoFactorVerified,
   });
+  setRefreshCookie(res, refreshToken);
+  return accessToken;
 };
 
-const hashPassword = async (password) => {
-  return await bcrypt.hash(password, 12);
+// Signs the user in on this device and sends the user and access token
+const completeLogin = async (req, res, user, { twoFactorVerified = false } = {}) => {
+  // Update last login
+  await updateDocument(COLLECTIONS.USERS, user.id, {
+    'stats.lastLogin': new Date(),
+  });
+
+  const token = await startSession(req, res, user.id, { twoFactorVerified });
+
+  logger.info(`User logged in: ${user.email}`);
+
+  res.json({
+    status: 'success',
+    message: 'Login successful',
+    data: {
+      user,
+      token,
+    },
+  });
+};
+
+// Sends a challenge token in place of a session when the account needs a
+// second factor: a code when it has two-factor authentication, or setting it
+// up first when the user's role requires it
+const sendTwoFactorChallenge = async (res, user, statusCode = 200) => {
+  if (await isTwoFactorEnabled(user.id)) {
+    res.status(statusCode).json({
+      status: 'success',
+      message: 'Verification code required',
+      data: {
+        twoFactorRequired: true,
+        challengeToken: createChallenge(user.id, 'login'),
+      },
+    });
+    return true;
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    res.status(statusCode).json({
+      status: 'success',
+      message: 'Two-factor authentication must be set up to continue',
+      data: {
+        twoFactorSetupRequired: true,
+        challengeToken: createChallenge(user.id, 'setup'),
+      },
+    });
+    return true;
+  }
+
+  return false;
 };
 
-const comparePasswords = async (candidatePassword, hashedPassword) => {
-  return await bcrypt.compare(candidatePassword, hashedPassword);
+// Accepts a setup challenge token in place of an access token, for users who
+// must set up two-factor authentication before they can log in
+const authenticateForSetup = (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    req.user = { userId: verifyChallenge(req.body.challengeToken, 'setup'), setupChallenge: true };
+  } catch (error) {
+    return next(error);
+  }
+  next();
 };
 
 const createUser = async (userData) => {
   const { email, password, firstName, lastName } = userData;
 
-  // Hash password
-  const hashedPassword = await hashPassword(password);
-
   // Create user in Firebase Auth
   const auth = getAuth();
   const userRecord = await auth.createUser({
@@ -96,6 +229,7 @@ const createUser = async (userData) => {
   };
 
   await createDocument(COLLECTIONS.USERS, userDoc, userRecord.uid);
+  await setPassword(userRecord.uid, password);
 
   return {
     id: userRecord.uid,
@@ -132,14 +266,17 @@ router.post('/register', validateRegister, catchAsync(async (req, res) => {
   // Create new user
   const user = await createUser({ email, password, firstName, lastName });
 
-  // Generate JWT token
-  const token = generateToken(user.id);
+  logger.info(`New user registered: ${email}`);
+
+  if (await sendTwoFactorChallenge(res, user, 201)) {
+    return;
+  }
+
+  const token = await startSession(req, res, user.id);
 
   // Remove sensitive data
   delete user.password;
 
-  logger.info(`New user registered: ${email}`);
-
   res.status(201).json({
     status: 'success',
     message: 'User registered successfully',
@@ -174,43 +311,93 @@ router.post('/login', validateLogin, catchAsync(async (req, res) => {
 
   // Get user document from Firestore
   const user = await getDocument(COLLECTIONS.USERS, userRecord.uid);
+  if (isPendingDeletion(user)) {
+    await verifyPassword(user, password);
+    throw new AppError('This account is scheduled for deletion. Restore it to log in again.', 403);
+  }
   if (!user || !user.isActive) {
     throw new AppError('Account is disabled or not found', 401);
   }
 
-  // Verify password using Firebase Auth
+  // Throws on a wrong password, and while the account is locked
+  await verifyPassword(user, password);
+
+  if (await sendTwoFactorChallenge(res, user)) {
+    return;
+  }
+
+  await completeLogin(req, res, user);
+}));
+
+// POST /api/auth/login/verify - Finish logging in with a two-factor code
+router.post('/login/verify', validateLoginVerification, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const userId = verifyChallenge(req.body.challengeToken, 'login');
+  const user = await getDocument(COLLECTIONS.USERS, userId);
+  if (!user || !user.isActive) {
+    throw new AppError('Account is disabled or not found', 401);
+  }
+
+  // Accepts a recovery code too; throws on a wrong code, and while the account is locked
+  await verifySecondFactor(user, req.body.code);
+
+  await completeLogin(req, res, user, { twoFactorVerified: true });
+}));
+
+// POST /api/auth/refresh - Swap the refresh cookie for a new access token
+router.post('/refresh', catchAsync(async (req, res) => {
+  const refreshToken = req.cookies[REFRESH_COOKIE];
+
+  if (!refreshToken) {
+    throw new AppError('Refresh token is required', 401);
+  }
+
+  let session;
   try {
-    const customToken = await auth.createCustomToken(userRecord.uid);
-    // Note: In a real implementation, you'd verify the password against Firebase Auth
-    // For now, we'll assume password verification is handled by the frontend
+    session = await refreshSession(refreshToken, { userAgent: req.get('user-agent'), ip: req.ip });
   } catch (error) {
-    throw new AppError('Invalid email or password', 401);
+    clearRefreshCookie(res);
+    throw error;
   }
 
-  // Update last login
-  await updateDocument(COLLECTIONS.USERS, user.id, {
-    'stats.lastLogin': new Date(),
-  });
-
-  // Generate JWT token
-  const token = generateToken(user.id);
+  // Sessions from before the user's role required two-factor authentication end here
+  if (!session.twoFactorVerified) {
+    const user = await getDocument(COLLECTIONS.USERS, session.userId);
+    if (!user || await isTwoFactorRequired(user)) {
+      await revokeSession(session.sessionId);
+      clearRefreshCookie(res);
+      throw new AppError('Two-factor authentication is required, please log in again', 401);
+    }
+  }
 
-  logger.info(`User logged in: ${email}`);
+  setRefreshCookie(res, session.refreshToken);
 
   res.json({
     status: 'success',
-    message: 'Login successful',
     data: {
-      user,
-      token,
+      token: session.accessToken,
     },
   });
 }));
 
-// POST /api/auth/logout
+// POST /api/auth/logout - End the session of this device
 router.post('/logout', catchAsync(async (req, res) => {
-  // In a stateless JWT setup, logout is handled client-side
-  // You could implement token blacklisting here if needed
+  // Works with an expired access token too; the refresh cookie names the session
+  const refreshToken = req.cookies[REFRESH_COOKIE];
+
+  if (refreshToken) {
+    await revokeRefreshToken(refreshToken);
+  }
+
+  clearRefreshCookie(res);
 
   logger.info('User logged out');
 
@@ -235,8 +422,9 @@ router.post('/forgot-password', validatePasswordReset, catchAsync(async (req, re
 
   // Check if user exists
   const auth = getAuth();
+  let userRecord;
   try {
-    await auth.getUserByEmail(email);
+    userRecord = await auth.getUserByEmail(email);
   } catch (error) {
     // Don't reveal if email exists or not for security
     return res.json({
@@ -245,12 +433,26 @@ router.post('/forgot-password', validatePasswordReset, catchAsync(async (req, re
     });
   }
 
-  // Generate password reset link
-  const resetLink = await auth.generatePasswordResetLink(email);
+  const user = await getDocument(COLLECTIONS.USERS, userRecord.uid);
 
-  // In a real implementation, you'd send this via email
-  // For now, we'll just log it
-  logger.info(`Password reset link for ${email}: ${resetLink}`);
+  if (user && user.isActive) {
+    const token = await createPasswordResetToken(user.id);
+    const resetLink = `${getFrontendUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+    // A delivery failure must not answer differently than an unknown email
+    try {
+      await sendMail({
+        to: email,
+        subject: 'Reset your XMBL password',
+        text: 'Someone asked to reset the password of your XMBL account.\n\n'
+          + `Open this link within an hour to choose a new password:\n${resetLink}\n\n`
+          + 'If this was not you, you can ignore this email.',
+      });
+      logger.info(`Password reset requested for user: ${user.id}`);
+    } catch (error) {
+      logger.error(`Failed to send password reset email for user ${user.id}:`, error);
+    }
+  }
 
   res.json({
     status: 'success',
@@ -259,31 +461,37 @@ router.post('/forgot-password', validatePasswordReset, catchAsync(async (req, re
 }));
 
 // POST /api/auth/reset-password
-router.post('/reset-password', catchAsync(async (req, res) => {
-  const { token, newPassword } = req.body;
-
-  if (!token || !newPassword) {
-    throw new AppError('Token and new password are required', 400);
+router.post('/reset-password', validateNewPassword, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
   }
 
-  if (newPassword.length < 6) {
-    throw new AppError('Password must be at least 6 characters', 400);
-  }
+  const { token, newPassword } = req.body;
 
-  // Verify reset token and update password
+  // Throws on an invalid, expired or already used token
+  const userId = await resetPassword(token, newPassword);
+
+  // Keep Firebase Auth in step for clients that sign in with it directly
   const auth = getAuth();
-  try {
-    // This would typically involve verifying the reset token
-    // For demo purposes, we'll assume it's valid
-    logger.info('Password reset completed');
+  await auth.updateUser(userId, {
+    password: newPassword,
+  });
 
-    res.json({
-      status: 'success',
-      message: 'Password reset successfully',
-    });
-  } catch (error) {
-    throw new AppError('Invalid or expired reset token', 400);
-  }
+  // Whoever had access before the reset is signed out
+  await revokeAllSessions(userId);
+  clearRefreshCookie(res);
+
+  logger.info(`Password reset completed for user: ${userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Password reset successfully',
+  });
 }));
 
 // GET /api/auth/profile
@@ -343,11 +551,23 @@ router.put('/change-password', authenticateToken, validatePasswordUpdate, catchA
 
   const { currentPassword, newPassword } = req.body;
 
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  // Throws on a wrong password, and while the account is locked
+  await verifyPassword(user, currentPassword);
+
   // Update password in Firebase Auth
   const auth = getAuth();
   await auth.updateUser(req.user.userId, {
     password: newPassword,
   });
+  await setPassword(req.user.userId, newPassword);
+
+  // Other devices have to log in with the new password
+  await revokeAllSessions(req.user.userId, req.user.sessionId);
 
   logger.info(`Password changed for user: ${req.user.userId}`);
 
@@ -357,55 +577,260 @@ router.put('/change-password', authenticateToken, validatePasswordUpdate, catchA
   });
 }));
 
-// DELETE /api/auth/account
-router.delete('/account', authenticateToken, catchAsync(async (req, res) => {
-  const { password } = req.body;
+// DELETE /api/auth/account - Delete the account after a grace period
+router.delete('/account', authenticateToken, validateAccountDeletion, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
 
-  if (!password) {
-    throw new AppError('Password confirmation is required', 400);
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
   }
 
-  // Delete user from Firebase Auth
+  // Throws on a wrong password, and while the account is locked
+  await verifyPassword(user, req.body.password);
+
+  // Disables the account and soft-deletes its apps; the purge job removes them later
+  const purgeAfter = await scheduleAccountDeletion(user);
+  clearRefreshCookie(res);
+
+  logger.info(`Account deletion scheduled for user: ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Account deleted successfully. You can restore it until it is permanently removed.',
+    data: {
+      purgeAfter,
+    },
+  });
+}));
+
+// POST /api/auth/account/restore - Restore an account during its grace period and log in
+router.post('/account/restore', validateLogin, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { email, password } = req.body;
+
   const auth = getAuth();
-  await auth.deleteUser(req.user.userId);
+  let userRecord;
+  try {
+    userRecord = await auth.getUserByEmail(email);
+  } catch (error) {
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  const user = await getDocument(COLLECTIONS.USERS, userRecord.uid);
+  if (!isPendingDeletion(user)) {
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  await verifyPassword(user, password);
+  await restoreAccount(user);
+
+  logger.info(`Account restored for user: ${user.id}`);
+
+  // Logging in goes through the second factor like any other login
+  const restoredUser = await getDocument(COLLECTIONS.USERS, user.id);
+  if (await sendTwoFactorChallenge(res, restoredUser)) {
+    return;
+  }
 
-  // Mark user as deleted in Firestore (soft delete)
-  await updateDocument(COLLECTIONS.USERS, req.user.userId, {
-    isActive: false,
-    deletedAt: new Date(),
+  await completeLogin(req, res, restoredUser);
+}));
+
+// Two-factor Authentication
+
+// GET /api/auth/2fa - Get the two-factor authentication status
+router.get('/2fa', authenticateToken, catchAsync(async (req, res) => {
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      twoFactor: await getTwoFactorStatus(user),
+    },
+  });
+}));
+
+// POST /api/auth/2fa/setup - Start setup and get the secret for an authenticator app
+router.post('/2fa/setup', authenticateForSetup, catchAsync(async (req, res) => {
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+
+  if (!user || !user.isActive) {
+    throw new AppError('Account is disabled or not found', 401);
+  }
+
+  const { secret, otpauthUrl } = await startSetup(user);
+
+  res.json({
+    status: 'success',
+    data: {
+      secret,
+      otpauthUrl,
+    },
   });
+}));
+
+// POST /api/auth/2fa/enable - Confirm setup with a code and get recovery codes
+router.post('/2fa/enable', authenticateForSetup, validateTwoFactorCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+
+  if (!user || !user.isActive) {
+    throw new AppError('Account is disabled or not found', 401);
+  }
+
+  const recoveryCodes = await enableTwoFactor(user, req.body.code);
+
+  logger.info(`Two-factor authentication enabled for user: ${user.id}`);
 
-  logger.info(`Account deleted for user: ${req.user.userId}`);
+  // Users who had to set it up to log in are logged in now
+  const token = req.user.setupChallenge
+    ? await startSession(req, res, user.id, { twoFactorVerified: true })
+    : undefined;
 
   res.json({
     status: 'success',
-    message: 'Account deleted successfully',
+    message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe.',
+    data: {
+      recoveryCodes,
+      ...(token && { user, token }),
+    },
   });
 }));
 
-// Middleware to authenticate JWT tokens
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
+// POST /api/auth/2fa/disable - Turn two-factor authentication off
+router.post('/2fa/disable', authenticateToken, validateTwoFactorDisable, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
 
-  if (!token) {
-    return res.status(401).json({
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    throw new AppError('Two-factor authentication is required for your role', 403);
+  }
+
+  await verifyPassword(user, req.body.password);
+  await verifySecondFactor(user, req.body.code);
+  await disableTwoFactor(user.id);
+
+  logger.info(`Two-factor authentication disabled for user: ${user.id}`);
+
+  res.json({
+    status: 'success',
+    message: 'Two-factor authentication disabled',
+  });
+}));
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes
+router.post('/2fa/recovery-codes', authenticateToken, validateTwoFactorCode, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
       status: 'fail',
-      message: 'Access token is required',
+      message: 'Validation failed',
+      errors: errors.array(),
     });
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Invalid or expired token',
-      });
-    }
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  await verifySecondFactor(user, req.body.code);
+  const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+  res.json({
+    status: 'success',
+    message: 'New recovery codes created. The previous ones no longer work.',
+    data: {
+      recoveryCodes,
+    },
+  });
+}));
+
+// GET /api/auth/sessions - List the devices signed in to this account
+router.get('/sessions', authenticateToken, catchAsync(async (req, res) => {
+  const sessions = await listSessions(req.user.userId);
+
+  res.json({
+    status: 'success',
+    data: {
+      sessions: sessions.map(session => ({
+        ...toSessionSummary(session),
+        current: session.id === req.user.sessionId,
+      })),
+    },
+  });
+}));
+
+// DELETE /api/auth/sessions - Sign out everywhere, this device included
+router.delete('/sessions', authenticateToken, catchAsync(async (req, res) => {
+  await revokeAllSessions(req.user.userId);
+  clearRefreshCookie(res);
+
+  logger.info(`All sessions revoked for user: ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'All sessions revoked successfully',
+  });
+}));
+
+// DELETE /api/auth/sessions/:sessionId - Sign out one device
+router.delete('/sessions/:sessionId', authenticateToken, catchAsync(async (req, res) => {
+  const sessions = await listSessions(req.user.userId);
 
-    req.user = user;
-    next();
+  if (!sessions.some(session => session.id === req.params.sessionId)) {
+    throw new AppError('Session not found', 404);
+  }
+
+  await revokeSession(req.params.sessionId);
+  if (req.params.sessionId === req.user.sessionId) {
+    clearRefreshCookie(res);
+  }
+
+  res.json({
+    status: 'success',
+    message: 'Session revoked successfully',
   });
-}
+}));
 
 module.exports = router;
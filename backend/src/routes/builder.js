@@ -1,9 +1,10 @@
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
+const archiver = require('archiver');
 const { body, validationResult } = require('express-validator');
 const {
   createDocument,
   updateDocument,
+  updateDocumentInTransaction,
   getDocument,
   deleteDocument,
   queryDocuments,
@@ -11,80 +12,66 @@ const {
   COLLECTIONS
 } = require('../config/firebase');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { requireScope, requireAppRole } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { BUNDLERS, DEFAULT_BUNDLER, generateVueApp } = require('../services/codeGenerator');
+const { executeFunction } = require('../services/functionRunner');
+const { isValidCron, getNextRun } = require('../utils/cron');
+const {
+  COLLECTION_NAME,
+  DEFAULT_ACCESS,
+  normalizeFields,
+  normalizeAccess,
+  getDataModels,
+} = require('../services/dataModels');
+const {
+  generateComponentId,
+  validateStyles,
+  validateComponent,
+  validateFunctionBindings,
+  validateDataSources,
+} = require('../services/pageComponents');
+const { notifyPageChanged } = require('../services/liveEditing');
 
 const router = express.Router();
 
-// Middleware to authenticate JWT tokens
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      status: 'fail',
-      message: 'Access token is required',
-    });
-  }
-
-  const jwt = require('jsonwebtoken');
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Invalid or expired token',
-      });
-    }
-
-    req.user = user;
-    next();
-  });
-}
-
-// Middleware to check app ownership
-const checkAppOwnership = catchAsync(async (req, res, next) => {
-  const { appId } = req.params;
-  const app = await getDocument(COLLECTIONS.APPS, appId);
-
-  if (!app) {
-    throw new AppError('App not found', 404);
+// Helper functions
+const FUNCTION_TRIGGERS = ['click', 'load', 'submit', 'change', 'custom', 'schedule', 'http'];
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'ANY'];
+// Static segments, `:param` segments and an optional trailing `*`
+const HTTP_PATH = /^(\/(?:[\w.~-]+|:[A-Za-z_]\w*))*(\/\*)?\/?$/;
+
+// An http function is served at /fn/:subdomain<path>. Each method and path
+// pair can only belong to one function of the app.
+const validateHttpRoute = async (appId, http, functionId = null) => {
+  const method = String(http?.method || '').toUpperCase();
+  if (!HTTP_METHODS.includes(method)) {
+    throw new AppError(`HTTP functions need a method: ${HTTP_METHODS.join(', ')}`, 400);
   }
 
-  if (app.userId !== req.user.userId) {
-    throw new AppError('You do not have permission to access this app', 403);
+  const rawPath = typeof http.path === 'string' ? http.path.trim() : '';
+  const path = `/${rawPath.replace(/^\/+|\/+$/g, '')}`;
+  if (!rawPath || !HTTP_PATH.test(path)) {
+    throw new AppError('HTTP functions need a path such as /contact or /items/:id', 400);
   }
 
-  req.app = app;
-  next();
-});
-
-// Helper functions
-const generateComponentId = () => `comp_${uuidv4().replace(/-/g, '_')}`;
-
-const validateComponent = (component) => {
-  const requiredFields = ['type', 'props'];
-  for (const field of requiredFields) {
-    if (!component[field]) {
-      throw new AppError(`Component missing required field: ${field}`, 400);
-    }
+  const functions = await queryDocuments(COLLECTIONS.FUNCTIONS, [
+    { field: 'appId', operator: '==', value: appId },
+    { field: 'trigger', operator: '==', value: 'http' },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+  const conflict = functions.find(func => func.id !== functionId && func.http?.method === method && func.http?.path === path);
+  if (conflict) {
+    throw new AppError(`Function "${conflict.name}" already handles ${method} ${path}`, 409);
   }
 
-  const allowedTypes = [
-    'text', 'heading', 'button', 'image', 'container', 'grid', 'form',
-    'input', 'textarea', 'select', 'checkbox', 'radio', 'card', 'modal',
-    'tabs', 'accordion', 'slider', 'gallery', 'video', 'map', 'chart',
-    'list', 'table', 'navbar', 'footer', 'sidebar', 'hero', 'cta'
-  ];
-
-  if (!allowedTypes.includes(component.type)) {
-    throw new AppError(`Invalid component type: ${component.type}`, 400);
-  }
+  return { method, path };
 };
 
 // Pages Management
 
 // GET /api/builder/:appId/pages - Get all pages for an app
-router.get('/:appId/pages', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/pages', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const pages = await queryDocuments(COLLECTIONS.PAGES, [
     { field: 'appId', operator: '==', value: req.params.appId },
     { field: 'isDeleted', operator: '==', value: false },
@@ -99,7 +86,7 @@ router.get('/:appId/pages', authenticateToken, checkAppOwnership, catchAsync(asy
 }));
 
 // POST /api/builder/:appId/pages - Create new page
-router.post('/:appId/pages', authenticateToken, checkAppOwnership, [
+router.post('/:appId/pages', requireScope('builder:write'), requireAppRole('editor'), [
   body('name').trim().notEmpty().withMessage('Page name is required').isLength({ max: 50 }),
   body('path').trim().notEmpty().withMessage('Page path is required'),
   body('layout').optional().isIn(['default', 'full', 'sidebar', 'centered']),
@@ -128,7 +115,8 @@ router.post('/:appId/pages', authenticateToken, checkAppOwnership, [
 
   const pageData = {
     appId: req.params.appId,
-    userId: req.user.userId,
+    userId: req.targetApp.userId,
+    createdBy: req.user.userId,
     name,
     path: path.startsWith('/') ? path : `/${path}`,
     isHome: path === '/' || path === '',
@@ -165,7 +153,7 @@ router.post('/:appId/pages', authenticateToken, checkAppOwnership, [
 
   // Update app stats
   await updateDocument(COLLECTIONS.APPS, req.params.appId, {
-    'stats.totalPages': (req.app.stats?.totalPages || 0) + 1,
+    'stats.totalPages': (req.targetApp.stats?.totalPages || 0) + 1,
   });
 
   const createdPage = await getDocument(COLLECTIONS.PAGES, pageId);
@@ -180,7 +168,7 @@ router.post('/:appId/pages', authenticateToken, checkAppOwnership, [
 }));
 
 // GET /api/builder/:appId/pages/:pageId - Get specific page
-router.get('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/pages/:pageId', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const page = await getDocument(COLLECTIONS.PAGES, req.params.pageId);
 
   if (!page || page.appId !== req.params.appId) {
@@ -196,33 +184,57 @@ router.get('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, catchA
 }));
 
 // PUT /api/builder/:appId/pages/:pageId - Update page
-router.put('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
-  const { name, path, content, settings } = req.body;
-  const page = await getDocument(COLLECTIONS.PAGES, req.params.pageId);
+router.put('/:appId/pages/:pageId', requireScope('builder:write'), requireAppRole('editor'), catchAsync(async (req, res) => {
+  const { name, path, content, settings, revision } = req.body;
 
-  if (!page || page.appId !== req.params.appId) {
-    throw new AppError('Page not found', 404);
+  // Content saves must say which revision they were made on, so a save on top
+  // of someone else's changes is refused instead of overwriting them
+  if (content && !Number.isInteger(revision)) {
+    throw new AppError('revision is required when saving content: send the page\'s metadata.revision', 400);
+  }
+  if (revision !== undefined && !Number.isInteger(revision)) {
+    throw new AppError('revision must be an integer', 400);
   }
 
-  const updateData = {
-    'metadata.lastModified': new Date(),
-    'metadata.modifiedBy': req.user.userId,
-  };
-
-  if (name) updateData.name = name;
-  if (path) updateData.path = path.startsWith('/') ? path : `/${path}`;
+  // Validated before the transaction so it is not repeated on retries
   if (content) {
-    // Validate components if present
     if (content.components) {
       content.components.forEach(validateComponent);
+      await validateFunctionBindings(req.params.appId, content.components);
+      await validateDataSources(req.params.appId, content.components);
+    }
+    if (content.styles) {
+      validateStyles(content.styles, 'Page styles');
     }
-    updateData.content = { ...page.content, ...content };
   }
-  if (settings) updateData.settings = { ...page.settings, ...settings };
 
-  await updateDocument(COLLECTIONS.PAGES, req.params.pageId, updateData);
+  // The revision check and the write are one transaction, like live edits
+  await updateDocumentInTransaction(COLLECTIONS.PAGES, req.params.pageId, async (page) => {
+    if (!page || page.appId !== req.params.appId) {
+      throw new AppError('Page not found', 404);
+    }
+
+    const currentRevision = page.metadata?.revision || 0;
+    if (revision !== undefined && revision !== currentRevision) {
+      throw new AppError('This page was changed by someone else. Reload it and apply your changes again.', 409);
+    }
+
+    const updateData = {
+      'metadata.lastModified': new Date(),
+      'metadata.modifiedBy': req.user.userId,
+      'metadata.revision': currentRevision + 1,
+    };
+
+    if (name) updateData.name = name;
+    if (path) updateData.path = path.startsWith('/') ? path : `/${path}`;
+    if (content) updateData.content = { ...page.content, ...content };
+    if (settings) updateData.settings = { ...page.settings, ...settings };
+
+    return updateData;
+  });
 
   const updatedPage = await getDocument(COLLECTIONS.PAGES, req.params.pageId);
+  notifyPageChanged(updatedPage);
 
   res.json({
     status: 'success',
@@ -234,7 +246,7 @@ router.put('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, catchA
 }));
 
 // DELETE /api/builder/:appId/pages/:pageId - Delete page
-router.delete('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.delete('/:appId/pages/:pageId', requireScope('builder:write'), requireAppRole('editor'), catchAsync(async (req, res) => {
   const page = await getDocument(COLLECTIONS.PAGES, req.params.pageId);
 
   if (!page || page.appId !== req.params.appId) {
@@ -249,10 +261,11 @@ router.delete('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, cat
     isDeleted: true,
     deletedAt: new Date(),
   });
+  notifyPageChanged({ ...page, isDeleted: true });
 
   // Update app stats
   await updateDocument(COLLECTIONS.APPS, req.params.appId, {
-    'stats.totalPages': Math.max((req.app.stats?.totalPages || 1) - 1, 0),
+    'stats.totalPages': Math.max((req.targetApp.stats?.totalPages || 1) - 1, 0),
   });
 
   res.json({
@@ -264,7 +277,7 @@ router.delete('/:appId/pages/:pageId', authenticateToken, checkAppOwnership, cat
 // Components Management
 
 // GET /api/builder/:appId/components - Get custom components for an app
-router.get('/:appId/components', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/components', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const components = await queryDocuments(COLLECTIONS.COMPONENTS, [
     { field: 'appId', operator: '==', value: req.params.appId },
     { field: 'isDeleted', operator: '==', value: false },
@@ -279,7 +292,7 @@ router.get('/:appId/components', authenticateToken, checkAppOwnership, catchAsyn
 }));
 
 // POST /api/builder/:appId/components - Create custom component
-router.post('/:appId/components', authenticateToken, checkAppOwnership, [
+router.post('/:appId/components', requireScope('builder:write'), requireAppRole('editor'), [
   body('name').trim().notEmpty().withMessage('Component name is required'),
   body('template').notEmpty().withMessage('Component template is required'),
   body('props').optional().isObject(),
@@ -296,9 +309,12 @@ router.post('/:appId/components', authenticateToken, checkAppOwnership, [
 
   const { name, description, template, props, styles, category } = req.body;
 
+  if (styles) validateStyles(styles, 'Component styles');
+
   const componentData = {
     appId: req.params.appId,
-    userId: req.user.userId,
+    userId: req.targetApp.userId,
+    createdBy: req.user.userId,
     name,
     description: description || '',
     template,
@@ -326,7 +342,7 @@ router.post('/:appId/components', authenticateToken, checkAppOwnership, [
 }));
 
 // PUT /api/builder/:appId/components/:componentId - Update custom component
-router.put('/:appId/components/:componentId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.put('/:appId/components/:componentId', requireScope('builder:write'), requireAppRole('editor'), catchAsync(async (req, res) => {
   const component = await getDocument(COLLECTIONS.COMPONENTS, req.params.componentId);
 
   if (!component || component.appId !== req.params.appId) {
@@ -334,6 +350,8 @@ router.put('/:appId/components/:componentId', authenticateToken, checkAppOwnersh
   }
 
   const { name, description, template, props, styles } = req.body;
+  if (styles) validateStyles(styles, 'Component styles');
+
   const updateData = {
     'metadata.lastModified': new Date(),
   };
@@ -358,7 +376,7 @@ router.put('/:appId/components/:componentId', authenticateToken, checkAppOwnersh
 }));
 
 // DELETE /api/builder/:appId/components/:componentId - Delete custom component
-router.delete('/:appId/components/:componentId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.delete('/:appId/components/:componentId', requireScope('builder:write'), requireAppRole('editor'), catchAsync(async (req, res) => {
   const component = await getDocument(COLLECTIONS.COMPONENTS, req.params.componentId);
 
   if (!component || component.appId !== req.params.appId) {
@@ -379,7 +397,7 @@ router.delete('/:appId/components/:componentId', authenticateToken, checkAppOwne
 // Functions Management
 
 // GET /api/builder/:appId/functions - Get custom functions for an app
-router.get('/:appId/functions', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/functions', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const functions = await queryDocuments(COLLECTIONS.FUNCTIONS, [
     { field: 'appId', operator: '==', value: req.params.appId },
     { field: 'isDeleted', operator: '==', value: false },
@@ -394,10 +412,14 @@ router.get('/:appId/functions', authenticateToken, checkAppOwnership, catchAsync
 }));
 
 // POST /api/builder/:appId/functions - Create custom function
-router.post('/:appId/functions', authenticateToken, checkAppOwnership, [
+router.post('/:appId/functions', requireScope('builder:write'), requireAppRole('editor'), [
   body('name').trim().notEmpty().withMessage('Function name is required'),
   body('code').notEmpty().withMessage('Function code is required'),
-  body('trigger').isIn(['click', 'load', 'submit', 'change', 'custom']),
+  body('trigger').isIn(FUNCTION_TRIGGERS),
+  body('schedule')
+    .if(body('trigger').equals('schedule'))
+    .custom(isValidCron)
+    .withMessage('A valid cron expression is required for scheduled functions'),
 ], catchAsync(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -408,15 +430,18 @@ router.post('/:appId/functions', authenticateToken, checkAppOwnership, [
     });
   }
 
-  const { name, description, code, trigger, parameters } = req.body;
+  const { name, description, code, trigger, parameters, schedule, http } = req.body;
 
   const functionData = {
     appId: req.params.appId,
-    userId: req.user.userId,
+    userId: req.targetApp.userId,
+    createdBy: req.user.userId,
     name,
     description: description || '',
     code,
     trigger,
+    schedule: trigger === 'schedule' ? schedule.trim() : null,
+    http: trigger === 'http' ? await validateHttpRoute(req.params.appId, http) : null,
     parameters: parameters || [],
     isActive: true,
     isDeleted: false,
@@ -425,6 +450,7 @@ router.post('/:appId/functions', authenticateToken, checkAppOwnership, [
       lastModified: new Date(),
       lastExecuted: null,
       executionCount: 0,
+      nextRun: trigger === 'schedule' ? getNextRun(schedule) : null,
     },
   };
 
@@ -441,14 +467,25 @@ router.post('/:appId/functions', authenticateToken, checkAppOwnership, [
 }));
 
 // PUT /api/builder/:appId/functions/:functionId - Update custom function
-router.put('/:appId/functions/:functionId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.put('/:appId/functions/:functionId', requireScope('builder:write'), requireAppRole('editor'), [
+  body('trigger').optional().isIn(FUNCTION_TRIGGERS),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
   const func = await getDocument(COLLECTIONS.FUNCTIONS, req.params.functionId);
 
   if (!func || func.appId !== req.params.appId) {
     throw new AppError('Function not found', 404);
   }
 
-  const { name, description, code, trigger, parameters, isActive } = req.body;
+  const { name, description, code, trigger, parameters, isActive, schedule, http } = req.body;
   const updateData = {
     'metadata.lastModified': new Date(),
   };
@@ -457,6 +494,28 @@ router.put('/:appId/functions/:functionId', authenticateToken, checkAppOwnership
   if (description !== undefined) updateData.description = description;
   if (code) updateData.code = code;
   if (trigger) updateData.trigger = trigger;
+  if (trigger || schedule !== undefined) {
+    // The schedule is checked against the trigger the function ends up with
+    const nextTrigger = trigger || func.trigger;
+    const nextSchedule = schedule !== undefined ? schedule : func.schedule;
+
+    if (nextTrigger === 'schedule') {
+      if (!isValidCron(nextSchedule)) {
+        throw new AppError('A valid cron expression is required for scheduled functions', 400);
+      }
+      updateData.schedule = nextSchedule.trim();
+      updateData['metadata.nextRun'] = getNextRun(nextSchedule);
+    } else {
+      updateData.schedule = null;
+      updateData['metadata.nextRun'] = null;
+    }
+  }
+  if (trigger || http !== undefined) {
+    const nextTrigger = trigger || func.trigger;
+    updateData.http = nextTrigger === 'http'
+      ? await validateHttpRoute(req.params.appId, http !== undefined ? http : func.http, func.id)
+      : null;
+  }
   if (parameters) updateData.parameters = parameters;
   if (isActive !== undefined) updateData.isActive = isActive;
 
@@ -473,8 +532,80 @@ router.put('/:appId/functions/:functionId', authenticateToken, checkAppOwnership
   });
 }));
 
+// POST /api/builder/:appId/functions/:functionId/run - Run a function in the sandbox
+router.post('/:appId/functions/:functionId/run', requireScope('builder:write'), requireAppRole('editor'), [
+  body('params').optional().isObject().withMessage('params must be an object'),
+  body('environment').optional().isIn(['staging', 'production']),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const func = await getDocument(COLLECTIONS.FUNCTIONS, req.params.functionId);
+
+  if (!func || func.appId !== req.params.appId || func.isDeleted) {
+    throw new AppError('Function not found', 404);
+  }
+
+  const execution = await executeFunction(func, {
+    trigger: 'manual',
+    // Runs from the editor use staging secrets unless told otherwise
+    environment: req.body.environment || 'staging',
+    params: req.body.params || {},
+    extra: { userId: req.user.userId },
+  });
+
+  res.json({
+    status: 'success',
+    data: {
+      execution,
+    },
+  });
+}));
+
+// GET /api/builder/:appId/functions/:functionId/runs - Get run history for a function
+router.get('/:appId/functions/:functionId/runs', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  const { page = 1, limit = 20, status, trigger } = req.query;
+
+  const func = await getDocument(COLLECTIONS.FUNCTIONS, req.params.functionId);
+
+  if (!func || func.appId !== req.params.appId) {
+    throw new AppError('Function not found', 404);
+  }
+
+  const filters = [{ field: 'functionId', operator: '==', value: req.params.functionId }];
+  if (status) filters.push({ field: 'status', operator: '==', value: status });
+  if (trigger) filters.push({ field: 'trigger', operator: '==', value: trigger });
+
+  const runs = await queryDocuments(COLLECTIONS.FUNCTION_RUNS, filters, { field: 'startedAt', direction: 'desc' });
+
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+  const startIndex = (pageNumber - 1) * pageSize;
+  const paginatedRuns = runs.slice(startIndex, startIndex + pageSize);
+
+  res.json({
+    status: 'success',
+    data: {
+      runs: paginatedRuns,
+      pagination: {
+        currentPage: pageNumber,
+        totalPages: Math.ceil(runs.length / pageSize),
+        totalRuns: runs.length,
+        hasNextPage: startIndex + pageSize < runs.length,
+        hasPrevPage: pageNumber > 1,
+      },
+    },
+  });
+}));
+
 // DELETE /api/builder/:appId/functions/:functionId - Delete custom function
-router.delete('/:appId/functions/:functionId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.delete('/:appId/functions/:functionId', requireScope('builder:write'), requireAppRole('editor'), catchAsync(async (req, res) => {
   const func = await getDocument(COLLECTIONS.FUNCTIONS, req.params.functionId);
 
   if (!func || func.appId !== req.params.appId) {
@@ -492,10 +623,185 @@ router.delete('/:appId/functions/:functionId', authenticateToken, checkAppOwners
   });
 }));
 
+// Data Models Management
+
+// GET /api/builder/:appId/collections - Get data models for an app
+router.get('/:appId/collections', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  const collections = await queryDocuments(COLLECTIONS.DATA_MODELS, [
+    { field: 'appId', operator: '==', value: req.params.appId },
+    { field: 'isDeleted', operator: '==', value: false },
+  ], { field: 'createdAt', direction: 'asc' });
+
+  res.json({
+    status: 'success',
+    data: {
+      collections,
+    },
+  });
+}));
+
+// POST /api/builder/:appId/collections - Create data model
+router.post('/:appId/collections', requireScope('builder:write'), requireAppRole('admin'), [
+  body('name')
+    .trim()
+    .matches(COLLECTION_NAME)
+    .withMessage('Collection name must start with a lowercase letter and contain only lowercase letters, digits, hyphens and underscores'),
+  body('fields').isArray({ min: 1 }).withMessage('At least one field is required'),
+  body('description').optional().isString(),
+  body('access').optional().isObject().withMessage('Access rules must be an object'),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, description, fields, access } = req.body;
+
+  // Names of deleted collections stay taken: their records are kept
+  const [existing] = await queryDocuments(COLLECTIONS.DATA_MODELS, [
+    { field: 'appId', operator: '==', value: req.params.appId },
+    { field: 'name', operator: '==', value: name },
+  ]);
+
+  if (existing) {
+    throw new AppError(`A collection named ${name} already exists`, 409);
+  }
+
+  const models = await getDataModels(req.params.appId);
+
+  const modelData = {
+    appId: req.params.appId,
+    userId: req.targetApp.userId,
+    createdBy: req.user.userId,
+    name,
+    description: description || '',
+    fields: normalizeFields(fields, [...models.map(model => model.name), name]),
+    // Records are only reachable by the app owner until opened up
+    access: normalizeAccess(access || {}, DEFAULT_ACCESS),
+    isDeleted: false,
+    metadata: {
+      version: 1,
+      lastModified: new Date(),
+    },
+  };
+
+  const modelId = await createDocument(COLLECTIONS.DATA_MODELS, modelData);
+  const createdModel = await getDocument(COLLECTIONS.DATA_MODELS, modelId);
+
+  logger.info(`Collection ${name} created for app ${req.params.appId}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Collection created successfully',
+    data: {
+      collection: createdModel,
+    },
+  });
+}));
+
+// GET /api/builder/:appId/collections/:collectionId - Get specific data model
+router.get('/:appId/collections/:collectionId', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  const model = await getDocument(COLLECTIONS.DATA_MODELS, req.params.collectionId);
+
+  if (!model || model.appId !== req.params.appId || model.isDeleted) {
+    throw new AppError('Collection not found', 404);
+  }
+
+  res.json({
+    status: 'success',
+    data: {
+      collection: model,
+    },
+  });
+}));
+
+// PUT /api/builder/:appId/collections/:collectionId - Update data model
+// The name is fixed once created since records are stored under it. Existing
+// records are checked against changed fields on their next write.
+router.put('/:appId/collections/:collectionId', requireScope('builder:write'), requireAppRole('admin'), [
+  body('fields').optional().isArray({ min: 1 }).withMessage('At least one field is required'),
+  body('description').optional().isString(),
+  body('access').optional().isObject().withMessage('Access rules must be an object'),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const model = await getDocument(COLLECTIONS.DATA_MODELS, req.params.collectionId);
+
+  if (!model || model.appId !== req.params.appId || model.isDeleted) {
+    throw new AppError('Collection not found', 404);
+  }
+
+  const { description, fields, access } = req.body;
+  const updateData = {
+    'metadata.version': (model.metadata?.version || 0) + 1,
+    'metadata.lastModified': new Date(),
+  };
+
+  if (description !== undefined) updateData.description = description;
+  if (access) updateData.access = normalizeAccess(access, model.access);
+  if (fields) {
+    const models = await getDataModels(req.params.appId);
+    updateData.fields = normalizeFields(fields, models.map(other => other.name));
+  }
+
+  await updateDocument(COLLECTIONS.DATA_MODELS, req.params.collectionId, updateData);
+
+  const updatedModel = await getDocument(COLLECTIONS.DATA_MODELS, req.params.collectionId);
+
+  res.json({
+    status: 'success',
+    message: 'Collection updated successfully',
+    data: {
+      collection: updatedModel,
+    },
+  });
+}));
+
+// DELETE /api/builder/:appId/collections/:collectionId - Delete data model
+router.delete('/:appId/collections/:collectionId', requireScope('builder:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
+  const model = await getDocument(COLLECTIONS.DATA_MODELS, req.params.collectionId);
+
+  if (!model || model.appId !== req.params.appId || model.isDeleted) {
+    throw new AppError('Collection not found', 404);
+  }
+
+  const referencedBy = (await getDataModels(req.params.appId))
+    .filter(other => other.id !== model.id)
+    .filter(other => other.fields.some(field => field.type === 'reference' && field.collection === model.name));
+
+  if (referencedBy.length > 0) {
+    throw new AppError(
+      `Collection ${model.name} is referenced by ${referencedBy.map(other => other.name).join(', ')}`,
+      409,
+    );
+  }
+
+  await updateDocument(COLLECTIONS.DATA_MODELS, req.params.collectionId, {
+    isDeleted: true,
+    deletedAt: new Date(),
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Collection deleted successfully',
+  });
+}));
+
 // Templates Management
 
 // GET /api/builder/templates - Get available templates
-router.get('/templates', authenticateToken, catchAsync(async (req, res) => {
+router.get('/templates', requireScope('builder:read'), catchAsync(async (req, res) => {
   const { category, search } = req.query;
 
   // Mock template data - in a real implementation, this would come from database
@@ -592,7 +898,7 @@ router.get('/templates', authenticateToken, catchAsync(async (req, res) => {
 }));
 
 // POST /api/builder/:appId/apply-template - Apply template to app
-router.post('/:appId/apply-template', authenticateToken, checkAppOwnership, [
+router.post('/:appId/apply-template', requireScope('builder:write'), requireAppRole('editor'), [
   body('templateId').notEmpty().withMessage('Template ID is required'),
 ], catchAsync(async (req, res) => {
   const { templateId, overwrite = false } = req.body;
@@ -715,8 +1021,14 @@ router.post('/:appId/apply-template', authenticateToken, checkAppOwnership, [
 // Code Generation
 
 // GET /api/builder/:appId/export - Export app as code
-router.get('/:appId/export', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
-  const { format = 'vue' } = req.query;
+// Streams a ready-to-run project archive; `?format=json` returns the raw documents instead.
+// `?bundler=vue-cli` selects the legacy project layout.
+router.get('/:appId/export', requireScope('builder:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
+  const { format = 'zip', bundler = DEFAULT_BUNDLER } = req.query;
+
+  if (!BUNDLERS.includes(bundler)) {
+    throw new AppError(`Unsupported bundler: ${bundler}`, 400);
+  }
 
   // Get all pages
   const pages = await queryDocuments(COLLECTIONS.PAGES, [
@@ -736,25 +1048,62 @@ router.get('/:appId/export', authenticateToken, checkAppOwnership, catchAsync(as
     { field: 'isDeleted', operator: '==', value: false },
   ]);
 
-  // Generate code based on format
-  const exportData = {
-    format,
-    app: req.app,
-    pages: pages.map(page => ({
-      ...page,
-      filename: `${page.path.replace('/', '') || 'home'}.vue`,
-    })),
-    components,
-    functions,
-    generatedAt: new Date(),
-  };
+  if (format === 'json') {
+    const exportData = {
+      format,
+      app: req.targetApp,
+      pages: pages.map(page => ({
+        ...page,
+        filename: `${page.path.replace('/', '') || 'home'}.vue`,
+      })),
+      components,
+      functions,
+      generatedAt: new Date(),
+    };
 
-  res.json({
-    status: 'success',
-    data: {
-      export: exportData,
-    },
+    return res.json({
+      status: 'success',
+      data: {
+        export: exportData,
+      },
+    });
+  }
+
+  if (format !== 'zip') {
+    throw new AppError(`Unsupported export format: ${format}`, 400);
+  }
+
+  if (pages.length === 0) {
+    throw new AppError('App must have at least one page to export', 400);
+  }
+
+  const dataModels = await getDataModels(req.params.appId);
+  const files = generateVueApp(req.targetApp, pages, components, functions, {
+    bundler,
+    dataModels,
+    apiUrl: process.env.PUBLIC_API_URL,
   });
+  const rootDir = req.targetApp.subdomain;
+
+  res.attachment(`${rootDir}.zip`);
+  res.type('application/zip');
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.on('warning', (error) => logger.warn(`Export warning for app ${req.params.appId}:`, error.message));
+  archive.on('error', (error) => {
+    logger.error(`Export failed for app ${req.params.appId}:`, error);
+    res.destroy(error);
+  });
+  archive.pipe(res);
+
+  Object.entries(files).forEach(([filePath, contents]) => {
+    const data = typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2);
+    archive.append(data, { name: `${rootDir}/${filePath}` });
+  });
+
+  await archive.finalize();
+
+  logger.info(`App ${req.params.appId} exported by user ${req.user.userId}`);
 }));
 
 module.exports = router;
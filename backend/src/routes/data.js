@@ -0,0 +1,155 @@
+const express = require('express');
+const cors = require('cors');
+const { queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { verifyAccessToken } = require('../middleware/auth');
+const {
+  authorize,
+  getDataModel,
+  listRecords,
+  getRecordOrFail,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+} = require('../services/dataModels');
+const { isAppUserToken, authenticateAppUser } = require('../services/appUsers');
+const { hasRole, getAppRole } = require('../services/collaboration');
+
+const router = express.Router();
+
+// Generated apps live on their own domains and call these endpoints directly
+router.use(cors({
+  origin: '*',
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+}));
+
+// Resolves the app by subdomain and the collection by name
+const loadCollection = catchAsync(async (req, res, next) => {
+  const [app] = await queryDocuments(COLLECTIONS.APPS, [
+    { field: 'subdomain', operator: '==', value: req.params.subdomain },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+
+  if (!app) {
+    throw new AppError('App not found', 404);
+  }
+
+  const model = await getDataModel(app.id, req.params.collection);
+
+  if (!model) {
+    throw new AppError('Collection not found', 404);
+  }
+
+  req.targetApp = app;
+  req.dataModel = model;
+  next();
+});
+
+// Signing in is optional here; what a caller may do depends on the
+// collection's access rules. Callers are the app's own users, or the app's
+// owner and editors with a platform token.
+const identifyCaller = catchAsync(async (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    req.caller = null;
+    return next();
+  }
+
+  if (isAppUserToken(token)) {
+    const { appUser } = await authenticateAppUser(req.targetApp, token);
+    req.caller = { userId: appUser.id, isOwner: false };
+    return next();
+  }
+
+  const user = await verifyAccessToken(token);
+  const role = await getAppRole(req.targetApp, user.userId);
+  if (!role || !hasRole(role, 'editor')) {
+    throw new AppError('You do not have permission to access this app', 403);
+  }
+
+  req.caller = { userId: user.userId, isOwner: true };
+  next();
+});
+
+const getUserId = (req) => (req.caller ? req.caller.userId : null);
+
+// GET /data/:subdomain/:collection - List records
+router.get('/:subdomain/:collection', loadCollection, identifyCaller, catchAsync(async (req, res) => {
+  const ownerId = authorize(req.dataModel, 'read', req.caller);
+  const { records, pagination } = await listRecords(req.targetApp, req.dataModel, req.query, ownerId);
+
+  res.json({
+    status: 'success',
+    data: {
+      records,
+      pagination,
+    },
+  });
+}));
+
+// POST /data/:subdomain/:collection - Create record
+router.post('/:subdomain/:collection', loadCollection, identifyCaller, catchAsync(async (req, res) => {
+  authorize(req.dataModel, 'write', req.caller);
+
+  const record = await createRecord(req.targetApp, req.dataModel, req.body, {
+    createdBy: getUserId(req),
+  });
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Record created successfully',
+    data: {
+      record,
+    },
+  });
+}));
+
+// GET /data/:subdomain/:collection/:recordId - Get record
+router.get('/:subdomain/:collection/:recordId', loadCollection, identifyCaller, catchAsync(async (req, res) => {
+  const ownerId = authorize(req.dataModel, 'read', req.caller);
+  const record = await getRecordOrFail(req.targetApp, req.dataModel, req.params.recordId, ownerId);
+
+  res.json({
+    status: 'success',
+    data: {
+      record,
+    },
+  });
+}));
+
+// PUT /data/:subdomain/:collection/:recordId - Replace record
+// PATCH /data/:subdomain/:collection/:recordId - Update some fields of a record
+const saveRecord = (replace) => catchAsync(async (req, res) => {
+  const ownerId = authorize(req.dataModel, 'write', req.caller);
+  const record = await updateRecord(req.targetApp, req.dataModel, req.params.recordId, req.body, {
+    replace,
+    ownerId,
+  });
+
+  res.json({
+    status: 'success',
+    message: 'Record updated successfully',
+    data: {
+      record,
+    },
+  });
+});
+
+router.put('/:subdomain/:collection/:recordId', loadCollection, identifyCaller, saveRecord(true));
+router.patch('/:subdomain/:collection/:recordId', loadCollection, identifyCaller, saveRecord(false));
+
+// DELETE /data/:subdomain/:collection/:recordId - Delete record
+router.delete('/:subdomain/:collection/:recordId', loadCollection, identifyCaller, catchAsync(async (req, res) => {
+  const ownerId = authorize(req.dataModel, 'write', req.caller);
+  await deleteRecord(req.targetApp, req.dataModel, req.params.recordId, ownerId);
+
+  res.json({
+    status: 'success',
+    message: 'Record deleted successfully',
+  });
+}));
+
+module.exports = router;
@@ -9,53 +9,21 @@ const {
   COLLECTIONS
 } = require('../config/firebase');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { requireScope, requireAppRole } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { BUNDLERS, DEFAULT_BUNDLER, generateVueApp } = require('../services/codeGenerator');
+const { getDataModels } = require('../services/dataModels');
+const { runBuild, getBuildSecrets } = require('../services/buildPipeline');
+const { getAppSecrets } = require('../services/secrets');
+const {
+  createDeploymentLogger,
+  endLogStream,
+  getLogs,
+  subscribe,
+} = require('../services/deploymentLogs');
 
 const router = express.Router();
 
-// Middleware to authenticate JWT tokens
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      status: 'fail',
-      message: 'Access token is required',
-    });
-  }
-
-  const jwt = require('jsonwebtoken');
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Invalid or expired token',
-      });
-    }
-
-    req.user = user;
-    next();
-  });
-}
-
-// Middleware to check app ownership
-const checkAppOwnership = catchAsync(async (req, res, next) => {
-  const { appId } = req.params;
-  const app = await getDocument(COLLECTIONS.APPS, appId);
-
-  if (!app) {
-    throw new AppError('App not found', 404);
-  }
-
-  if (app.userId !== req.user.userId) {
-    throw new AppError('You do not have permission to access this app', 403);
-  }
-
-  req.app = app;
-  next();
-});
-
 // Helper functions
 const generateDeploymentId = () => `deploy_${uuidv4()}`;
 
@@ -78,210 +46,71 @@ const validateAppForDeployment = async (appId) => {
   return { pages, homePage };
 };
 
-const generateVueApp = (app, pages, components, functions) => {
-  // Generate Vue.js application structure
-  const vueApp = {
-    'package.json': {
-      name: app.subdomain,
-      version: '1.0.0',
-      private: true,
-      scripts: {
-        serve: 'vue-cli-service serve',
-        build: 'vue-cli-service build',
-        lint: 'vue-cli-service lint'
-      },
-      dependencies: {
-        'vue': '^3.2.13',
-        'vue-router': '^4.0.3',
-        '@vue/cli-service': '^5.0.0'
-      }
-    },
-    'src/main.js': `import { createApp } from 'vue'
-import { createRouter, createWebHistory } from 'vue-router'
-import App from './App.vue'
-
-const routes = [
-${pages.map(page => `  {
-    path: '${page.path}',
-    name: '${page.name.replace(/\s+/g, '')}',
-    component: () => import('./views/${page.name.replace(/\s+/g, '')}.vue')
-  }`).join(',\n')}
-]
-
-const router = createRouter({
-  history: createWebHistory(),
-  routes
-})
-
-createApp(App).use(router).mount('#app')`,
-    'src/App.vue': `<template>
-  <div id="app">
-    <router-view />
-  </div>
-</template>
-
-<script>
-export default {
-  name: 'App'
-}
-</script>
-
-<style>
-body {
-  margin: 0;
-  font-family: ${app.theme?.fontFamily || 'Inter'}, -apple-system, BlinkMacSystemFont, sans-serif;
-  background-color: ${app.theme?.backgroundColor || '#ffffff'};
-  color: ${app.theme?.textColor || '#1a1a1a'};
-}
-
-* {
-  box-sizing: border-box;
-}
-</style>`
-  };
-
-  // Generate Vue components for each page
-  pages.forEach(page => {
-    const componentName = page.name.replace(/\s+/g, '');
-    vueApp[`src/views/${componentName}.vue`] = generateVuePageComponent(page, app);
-  });
-
-  // Generate custom components
-  components.forEach(component => {
-    vueApp[`src/components/${component.name}.vue`] = generateVueCustomComponent(component);
-  });
-
-  return vueApp;
-};
+// Marks a deployment failed. Never throws: it runs in the background after the
+// response has been sent.
+const recordDeploymentFailure = async (deploymentId, error, log) => {
+  logger.error(`Deployment ${deploymentId} failed:`, error.message);
 
-const generateVuePageComponent = (page, app) => {
-  const components = page.content?.components || [];
-
-  return `<template>
-  <div class="page-${page.name.toLowerCase().replace(/\s+/g, '-')}">
-${generateVueTemplate(components)}
-  </div>
-</template>
-
-<script>
-export default {
-  name: '${page.name.replace(/\s+/g, '')}',
-  data() {
-    return {
-      // Page data
-    }
-  },
-  methods: {
-    // Page methods
-  },
-  mounted() {
-    // Set page title
-    document.title = '${page.content?.seo?.title || page.name} | ${app.name}';
-
-    // Set meta description
-    if ('${page.content?.seo?.description}') {
-      const metaDesc = document.querySelector('meta[name="description"]');
-      if (metaDesc) {
-        metaDesc.content = '${page.content?.seo?.description}';
-      } else {
-        const meta = document.createElement('meta');
-        meta.name = 'description';
-        meta.content = '${page.content?.seo?.description}';
-        document.getElementsByTagName('head')[0].appendChild(meta);
-      }
+  try {
+    if (!error.step) {
+      await log('activation', 'error', error.message);
     }
-  }
-}
-</script>
-
-<style scoped>
-${generateVueStyles(page.content?.styles)}
-</style>`;
-};
 
-const generateVueTemplate = (components) => {
-  if (!components || components.length === 0) {
-    return '    <div class="empty-page">This page is empty</div>';
+    await updateDocument(COLLECTIONS.DEPLOYMENTS, deploymentId, {
+      status: 'failed',
+      error: error.message,
+      'metadata.failedStep': error.step || null,
+      'metadata.exitCode': error.exitCode ?? null,
+      'metadata.buildTime': error.duration ? error.duration / 1000 : null,
+      'metadata.output': error.output || null,
+    });
+  } catch (recordError) {
+    logger.error(`Failed to record failure for deployment ${deploymentId}:`, recordError);
+  } finally {
+    await endLogStream(deploymentId, 'failed');
   }
-
-  return components.map(component => {
-    switch (component.type) {
-      case 'heading':
-        return `    <h${component.props?.level || 1} class="heading">${component.props?.text || ''}</h${component.props?.level || 1}>`;
-      case 'text':
-        return `    <p class="text">${component.props?.content || ''}</p>`;
-      case 'button':
-        return `    <button class="btn" @click="handleClick">${component.props?.text || 'Button'}</button>`;
-      case 'image':
-        return `    <img src="${component.props?.src || ''}" alt="${component.props?.alt || ''}" class="image" />`;
-      case 'container':
-        const children = component.children ? generateVueTemplate(component.children) : '';
-        return `    <div class="container ${component.props?.className || ''}">
-${children}
-    </div>`;
-      case 'hero':
-        return `    <section class="hero">
-      <div class="hero-content">
-        <h1 class="hero-title">${component.props?.title || ''}</h1>
-        <p class="hero-subtitle">${component.props?.subtitle || ''}</p>
-        ${component.props?.buttonText ? `<button class="hero-button">${component.props.buttonText}</button>` : ''}
-      </div>
-    </section>`;
-      case 'card':
-        return `    <div class="card">
-      <h3 class="card-title">${component.props?.title || ''}</h3>
-      <p class="card-description">${component.props?.description || ''}</p>
-    </div>`;
-      case 'grid':
-        const gridChildren = component.children ? generateVueTemplate(component.children) : '';
-        return `    <div class="grid" style="grid-template-columns: repeat(${component.props?.columns || 1}, 1fr); gap: ${component.props?.gap || '1rem'};">
-${gridChildren}
-    </div>`;
-      default:
-        return `    <div class="${component.type}"><!-- ${component.type} component --></div>`;
-    }
-  }).join('\n');
 };
 
-const generateVueStyles = (styles) => {
-  if (!styles) return '';
+// Marks a built deployment successful. Once it is, later bookkeeping errors
+// are only logged and cannot turn it into a failed deployment.
+const activateDeployment = async ({ deploymentId, appId, deploymentUrl, result, log }) => {
+  log('activation', 'info', `Activating deployment at ${deploymentUrl}`);
 
-  let css = '';
-  Object.entries(styles).forEach(([key, value]) => {
-    const kebabKey = key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
-    css += `  ${kebabKey}: ${value};\n`;
-  });
-  return css;
-};
+  try {
+    await updateDocument(COLLECTIONS.DEPLOYMENTS, deploymentId, {
+      status: 'success',
+      artifactPath: result.artifactPath,
+      'metadata.exitCode': result.exitCode,
+      'metadata.buildTime': result.duration / 1000, // seconds
+      'metadata.size': result.size, // bytes
+      deployedAt: new Date(),
+    });
+  } catch (error) {
+    await recordDeploymentFailure(deploymentId, error, log);
+    return;
+  }
 
-const generateVueCustomComponent = (component) => {
-  return `<template>
-  <div class="custom-${component.name.toLowerCase()}">
-    ${component.template || '<!-- Custom component template -->'}
-  </div>
-</template>
-
-<script>
-export default {
-  name: '${component.name}',
-  props: ${JSON.stringify(component.props || {}, null, 2)},
-  data() {
-    return {
-      // Component data
-    }
+  try {
+    await updateDocument(COLLECTIONS.APPS, appId, {
+      status: 'published',
+      'metadata.size': result.size,
+      'metadata.lastDeployment': new Date(),
+      'metadata.deploymentUrl': deploymentUrl,
+    });
+    await log('activation', 'success', 'Deployment completed successfully');
+  } catch (error) {
+    logger.error(`Deployment ${deploymentId} succeeded but updating app ${appId} failed:`, error);
+  } finally {
+    await endLogStream(deploymentId, 'success');
   }
-}
-</script>
 
-<style scoped>
-${generateVueStyles(component.styles)}
-</style>`;
+  logger.info(`Deployment ${deploymentId} completed successfully`);
 };
 
 // Routes
 
 // GET /api/deploy/:appId/deployments - Get deployment history
-router.get('/:appId/deployments', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/deployments', requireScope('deploy:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const deployments = await queryDocuments(COLLECTIONS.DEPLOYMENTS, [
     { field: 'appId', operator: '==', value: req.params.appId },
   ], { field: 'createdAt', direction: 'desc' });
@@ -295,11 +124,21 @@ router.get('/:appId/deployments', authenticateToken, checkAppOwnership, catchAsy
 }));
 
 // POST /api/deploy/:appId - Deploy app
-router.post('/:appId', authenticateToken, checkAppOwnership, [
+router.post('/:appId', requireScope('deploy:write'), requireAppRole('admin'), [
   body('environment').optional().isIn(['staging', 'production']),
   body('message').optional().isString(),
+  body('bundler').optional().isIn(BUNDLERS),
 ], catchAsync(async (req, res) => {
-  const { environment = 'production', message } = req.body;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { environment = 'production', message, bundler = DEFAULT_BUNDLER } = req.body;
   const appId = req.params.appId;
 
   // Validate app for deployment
@@ -317,24 +156,32 @@ router.post('/:appId', authenticateToken, checkAppOwnership, [
     { field: 'isActive', operator: '==', value: true },
   ]);
 
+  const dataModels = await getDataModels(appId);
+
   // Generate deployment
   const deploymentId = generateDeploymentId();
-  const deploymentUrl = `https://${req.app.subdomain}.xmbl.app`;
+  const deploymentUrl = `https://${req.targetApp.subdomain}.xmbl.app`;
 
   // Generate Vue.js app
-  const vueApp = generateVueApp(req.app, pages, components, functions);
+  const vueApp = generateVueApp(req.targetApp, pages, components, functions, {
+    bundler,
+    dataModels,
+    apiUrl: process.env.PUBLIC_API_URL,
+  });
 
   // Create deployment record
   const deploymentData = {
     id: deploymentId,
     appId,
-    userId: req.user.userId,
+    userId: req.targetApp.userId,
+    deployedBy: req.user.userId,
     environment,
     status: 'building',
     message: message || `Deployment on ${new Date().toLocaleDateString()}`,
     url: deploymentUrl,
     buildConfig: {
       framework: 'vue',
+      bundler,
       nodeVersion: '18.x',
       buildCommand: 'npm run build',
       outputDirectory: 'dist',
@@ -346,39 +193,34 @@ router.post('/:appId', authenticateToken, checkAppOwnership, [
       functionsCount: functions.length,
       buildTime: null,
       size: null,
+      exitCode: null,
     },
   };
 
-  const deploymentDocId = await createDocument(COLLECTIONS.DEPLOYMENTS, deploymentData);
+  // Decrypt up front so a broken secret fails the request, not the build
+  const secrets = await getAppSecrets(appId, environment);
 
-  // Simulate deployment process
-  setTimeout(async () => {
-    try {
-      // Update deployment status to success
-      await updateDocument(COLLECTIONS.DEPLOYMENTS, deploymentDocId, {
-        status: 'success',
-        'metadata.buildTime': Math.floor(Math.random() * 120 + 30), // 30-150 seconds
-        'metadata.size': Math.floor(Math.random() * 5 + 1), // 1-6 MB
-        deployedAt: new Date(),
-      });
-
-      // Update app metadata
-      await updateDocument(COLLECTIONS.APPS, appId, {
-        status: 'published',
-        'metadata.lastDeployment': new Date(),
-        'metadata.deploymentUrl': deploymentUrl,
-      });
-
-      logger.info(`Deployment ${deploymentId} completed successfully`);
-    } catch (error) {
-      logger.error(`Deployment ${deploymentId} failed:`, error);
+  await createDocument(COLLECTIONS.DEPLOYMENTS, deploymentData, deploymentId);
 
-      await updateDocument(COLLECTIONS.DEPLOYMENTS, deploymentDocId, {
-        status: 'failed',
-        error: error.message,
-      });
-    }
-  }, 5000); // Simulate 5 second build time
+  const log = createDeploymentLogger(deploymentId);
+  log('generation', 'info', `Generated ${Object.keys(vueApp).length} files from ${pages.length} pages, ${components.length} components and ${functions.length} functions`);
+  const buildSecrets = Object.keys(getBuildSecrets(secrets));
+  if (buildSecrets.length > 0) {
+    log('generation', 'info', `Using ${buildSecrets.length} ${environment} secret(s) as build environment variables: ${buildSecrets.join(', ')}`);
+  }
+
+  // Build in the background; the client polls the status endpoint or tails the logs
+  runBuild({
+    deploymentId,
+    subdomain: req.targetApp.subdomain,
+    files: vueApp,
+    buildConfig: deploymentData.buildConfig,
+    secrets,
+    log,
+  }).then(
+    result => activateDeployment({ deploymentId, appId, deploymentUrl, result, log }),
+    error => recordDeploymentFailure(deploymentId, error, log),
+  );
 
   res.status(202).json({
     status: 'success',
@@ -393,7 +235,7 @@ router.post('/:appId', authenticateToken, checkAppOwnership, [
 }));
 
 // GET /api/deploy/:appId/status/:deploymentId - Get deployment status
-router.get('/:appId/status/:deploymentId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/status/:deploymentId', requireScope('deploy:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const { deploymentId } = req.params;
 
   const deployment = await getDocument(COLLECTIONS.DEPLOYMENTS, deploymentId);
@@ -421,7 +263,7 @@ router.get('/:appId/status/:deploymentId', authenticateToken, checkAppOwnership,
 }));
 
 // POST /api/deploy/:appId/rollback/:deploymentId - Rollback to previous deployment
-router.post('/:appId/rollback/:deploymentId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.post('/:appId/rollback/:deploymentId', requireScope('deploy:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
   const { deploymentId } = req.params;
 
   const deployment = await getDocument(COLLECTIONS.DEPLOYMENTS, deploymentId);
@@ -439,19 +281,21 @@ router.post('/:appId/rollback/:deploymentId', authenticateToken, checkAppOwnersh
   const rollbackData = {
     id: rollbackId,
     appId: req.params.appId,
-    userId: req.user.userId,
+    userId: req.targetApp.userId,
+    deployedBy: req.user.userId,
     environment: deployment.environment,
     status: 'success',
     message: `Rollback to deployment ${deploymentId}`,
     url: deployment.url,
     buildConfig: deployment.buildConfig,
     files: deployment.files,
+    artifactPath: deployment.artifactPath || null,
     metadata: deployment.metadata,
     rollbackFrom: deploymentId,
     deployedAt: new Date(),
   };
 
-  await createDocument(COLLECTIONS.DEPLOYMENTS, rollbackData);
+  await createDocument(COLLECTIONS.DEPLOYMENTS, rollbackData, rollbackId);
 
   // Update app metadata
   await updateDocument(COLLECTIONS.APPS, req.params.appId, {
@@ -470,7 +314,7 @@ router.post('/:appId/rollback/:deploymentId', authenticateToken, checkAppOwnersh
 }));
 
 // DELETE /api/deploy/:appId/deployments/:deploymentId - Delete deployment
-router.delete('/:appId/deployments/:deploymentId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.delete('/:appId/deployments/:deploymentId', requireScope('deploy:write'), requireAppRole('admin'), catchAsync(async (req, res) => {
   const { deploymentId } = req.params;
 
   const deployment = await getDocument(COLLECTIONS.DEPLOYMENTS, deploymentId);
@@ -492,7 +336,7 @@ router.delete('/:appId/deployments/:deploymentId', authenticateToken, checkAppOw
 }));
 
 // GET /api/deploy/:appId/preview - Generate preview of app
-router.get('/:appId/preview', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+router.get('/:appId/preview', requireScope('deploy:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   // Validate app
   const { pages } = await validateAppForDeployment(req.params.appId);
 
@@ -509,7 +353,7 @@ router.get('/:appId/preview', authenticateToken, checkAppOwnership, catchAsync(a
 
   // Generate preview data
   const preview = {
-    app: req.app,
+    app: req.targetApp,
     pages: pages.map(page => ({
       name: page.name,
       path: page.path,
@@ -541,7 +385,9 @@ router.get('/:appId/preview', authenticateToken, checkAppOwnership, catchAsync(a
 }));
 
 // GET /api/deploy/:appId/logs/:deploymentId - Get deployment logs
-router.get('/:appId/logs/:deploymentId', authenticateToken, checkAppOwnership, catchAsync(async (req, res) => {
+// Paginated JSON by default; `?follow=true` or `Accept: text/event-stream`
+// switches to Server-Sent Events that tail the build until it finishes.
+router.get('/:appId/logs/:deploymentId', requireScope('deploy:read'), requireAppRole('viewer'), catchAsync(async (req, res) => {
   const { deploymentId } = req.params;
 
   const deployment = await getDocument(COLLECTIONS.DEPLOYMENTS, deploymentId);
@@ -550,23 +396,126 @@ router.get('/:appId/logs/:deploymentId', authenticateToken, checkAppOwnership, c
     throw new AppError('Deployment not found', 404);
   }
 
-  // Mock deployment logs
-  const logs = [
-    { timestamp: new Date(Date.now() - 120000), level: 'info', message: 'Starting deployment...' },
-    { timestamp: new Date(Date.now() - 110000), level: 'info', message: 'Installing dependencies...' },
-    { timestamp: new Date(Date.now() - 90000), level: 'info', message: 'Building application...' },
-    { timestamp: new Date(Date.now() - 60000), level: 'info', message: 'Optimizing assets...' },
-    { timestamp: new Date(Date.now() - 30000), level: 'info', message: 'Deploying to CDN...' },
-    { timestamp: new Date(Date.now() - 5000), level: 'success', message: 'Deployment completed successfully!' },
-  ];
+  const wantsStream = req.query.follow === 'true' || (req.headers.accept || '').includes('text/event-stream');
+  if (wantsStream) {
+    return streamDeploymentLogs(req, res, deployment);
+  }
+
+  const { page = 1, limit = 100 } = req.query;
+  const logs = await getLogs(deploymentId);
+
+  const startIndex = (page - 1) * limit;
+  const paginatedLogs = logs.slice(startIndex, startIndex + parseInt(limit));
 
   res.json({
     status: 'success',
     data: {
-      logs,
+      logs: paginatedLogs,
       deploymentId,
+      deploymentStatus: deployment.status,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(logs.length / limit),
+        totalLogs: logs.length,
+        hasNextPage: startIndex + parseInt(limit) < logs.length,
+        hasPrevPage: page > 1,
+      },
     },
   });
 }));
 
+const STREAM_HEARTBEAT_MS = 15000;
+
+const streamDeploymentLogs = async (req, res, deployment) => {
+  const deploymentId = deployment.id;
+  // Resume from the last event the client saw when it reconnects
+  let lastSeq = parseInt(req.headers['last-event-id'] || req.query.after, 10) || 0;
+  let closed = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+
+  // The client may leave while logs are being read
+  const write = (chunk) => {
+    if (closed || res.writableEnded) return;
+    res.write(chunk);
+    if (res.flush) res.flush(); // compression buffers otherwise
+  };
+
+  const send = (event, data, id) => {
+    write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const sendLog = (entry) => {
+    if (entry.seq <= lastSeq) return;
+    lastSeq = entry.seq;
+    send('log', entry, entry.seq);
+  };
+
+  const finish = (status) => {
+    if (closed) return;
+    send('end', { deploymentId, status });
+    cleanup();
+    res.end();
+  };
+
+  // Headers are already sent, so errors end the stream instead of reaching the error handler
+  const fail = (error) => {
+    if (closed) return;
+    logger.error(`Log stream for deployment ${deploymentId} failed:`, error.message);
+    send('error', { deploymentId, message: 'Could not read the deployment logs' });
+    cleanup();
+    res.end();
+  };
+
+  // Subscribe before reading history so nothing slips between the two
+  const buffered = [];
+  let replaying = true;
+  const unsubscribe = subscribe(deploymentId, {
+    onLog: (entry) => (replaying ? buffered.push(entry) : sendLog(entry)),
+    onEnd: (status) => finish(status),
+  });
+
+  const heartbeat = setInterval(async () => {
+    write(': heartbeat\n\n');
+
+    // The build may be running in another process; fall back to the stored status
+    try {
+      const current = await getDocument(COLLECTIONS.DEPLOYMENTS, deploymentId);
+      if (current && current.status !== 'building') {
+        (await getLogs(deploymentId)).forEach(sendLog);
+        finish(current.status);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  }, STREAM_HEARTBEAT_MS);
+
+  function cleanup() {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  }
+
+  req.on('close', cleanup);
+
+  try {
+    const history = await getLogs(deploymentId);
+    history.forEach(sendLog);
+  } catch (error) {
+    fail(error);
+    return;
+  }
+  replaying = false;
+  buffered.forEach(sendLog);
+
+  if (deployment.status !== 'building') {
+    finish(deployment.status);
+  }
+};
+
 module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const cors = require('cors');
+const { queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { executeFunction, isSandboxAvailable } = require('../services/functionRunner');
+
+const router = express.Router();
+
+// Anyone can call these endpoints, so they stay off unless turned on explicitly
+const PUBLIC_FUNCTIONS_ENABLED = process.env.PUBLIC_FUNCTIONS_ENABLED === 'true';
+
+// Generated apps live on their own domains and call these endpoints directly
+router.use(cors({
+  origin: '*',
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+}));
+
+// Responses are produced by user code on the platform's origin, so they must
+// never be able to run scripts there or set cookies for it
+const BLOCKED_RESPONSE_HEADERS = [
+  'set-cookie', 'content-security-policy', 'content-length', 'transfer-encoding',
+  'connection', 'x-content-type-options', 'strict-transport-security',
+];
+
+const isBlockedHeader = (name) => BLOCKED_RESPONSE_HEADERS.includes(name) || name.startsWith('access-control-');
+
+// Platform credentials are not forwarded to user code
+const FORWARDED_HEADER_BLOCKLIST = ['cookie'];
+
+// Matches '/items/:id' or '/files/*' against a request path, returning the
+// route params or null
+const matchPath = (pattern, path) => {
+  const patternParts = pattern.split('/').filter(Boolean);
+  const pathParts = path.split('/').filter(Boolean);
+  const params = {};
+
+  for (let i = 0; i < patternParts.length; i++) {
+    const part = patternParts[i];
+    if (part === '*') {
+      params.wildcard = pathParts.slice(i).join('/');
+      return params;
+    }
+    if (i >= pathParts.length) return null;
+
+    if (part.startsWith(':')) {
+      try {
+        params[part.slice(1)] = decodeURIComponent(pathParts[i]);
+      } catch (error) {
+        return null;
+      }
+    } else if (part !== pathParts[i]) {
+      return null;
+    }
+  }
+
+  return patternParts.length === pathParts.length ? params : null;
+};
+
+// More static segments and an exact method beat params, wildcards and ANY
+const routeSpecificity = (func) => {
+  const segments = func.http.path.split('/').filter(Boolean);
+  const staticSegments = segments.filter(part => !part.startsWith(':') && part !== '*').length;
+  return staticSegments * 10 - (segments.includes('*') ? 5 : 0) + (func.http.method === 'ANY' ? 0 : 1);
+};
+
+const findRoute = (functions, method, path) => {
+  const requestMethod = method === 'HEAD' ? 'GET' : method;
+
+  return functions
+    .filter(func => func.http && (func.http.method === 'ANY' || func.http.method === requestMethod))
+    .map(func => ({ func, params: matchPath(func.http.path, path) }))
+    .filter(match => match.params)
+    .sort((a, b) => routeSpecificity(b.func) - routeSpecificity(a.func))[0];
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const sendFunctionResponse = (res, execution) => {
+  if (execution.status === 'timeout') {
+    throw new AppError('Function timed out', 504);
+  }
+  if (execution.status !== 'success') {
+    throw new AppError('Function execution failed', 500);
+  }
+
+  const response = isPlainObject(execution.captured?.response) ? execution.captured.response : {};
+  const status = Number.isInteger(response.status) && response.status >= 200 && response.status <= 599 ? response.status : 200;
+
+  if (isPlainObject(response.headers)) {
+    Object.entries(response.headers).forEach(([name, value]) => {
+      const header = String(name).toLowerCase();
+      if (!isBlockedHeader(header) && /^[\w-]+$/.test(header) && ['string', 'number'].includes(typeof value)) {
+        res.set(header, String(value));
+      }
+    });
+  }
+
+  // A body set on `response` wins over the return value
+  const body = response.body !== undefined && response.body !== null ? response.body : execution.result;
+
+  res.status(status);
+  if (body === null || body === undefined) {
+    return res.end();
+  }
+  if (typeof body === 'string') {
+    if (!res.get('Content-Type')) res.type('text/plain');
+    return res.send(body);
+  }
+  return res.json(body);
+};
+
+// ALL /fn/:subdomain/* - Run the app's http function matching the method and path
+router.all('/:subdomain/*', catchAsync(async (req, res) => {
+  if (!PUBLIC_FUNCTIONS_ENABLED || !isSandboxAvailable()) {
+    throw new AppError('Public functions are disabled on this server', 503);
+  }
+
+  const [app] = await queryDocuments(COLLECTIONS.APPS, [
+    { field: 'subdomain', operator: '==', value: req.params.subdomain },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+
+  if (!app) {
+    throw new AppError('App not found', 404);
+  }
+
+  const functions = await queryDocuments(COLLECTIONS.FUNCTIONS, [
+    { field: 'appId', operator: '==', value: app.id },
+    { field: 'trigger', operator: '==', value: 'http' },
+    { field: 'isActive', operator: '==', value: true },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+
+  const path = `/${req.params[0] || ''}`;
+  const route = findRoute(functions, req.method, path);
+
+  if (!route) {
+    throw new AppError(`No function handles ${req.method} ${path}`, 404);
+  }
+
+  const headers = Object.fromEntries(
+    Object.entries(req.headers).filter(([name]) => !FORWARDED_HEADER_BLOCKLIST.includes(name)),
+  );
+  const body = req.body === undefined ? null : req.body;
+
+  const execution = await executeFunction(route.func, {
+    trigger: 'http',
+    // Declared parameters are filled from route params, then the body, then the query string
+    params: { ...req.query, ...(isPlainObject(body) ? body : {}), ...route.params },
+    globals: {
+      request: {
+        method: req.method,
+        path,
+        params: route.params,
+        query: req.query,
+        headers,
+        body,
+        ip: req.ip,
+      },
+      response: { status: 200, headers: {}, body: null },
+    },
+    capture: ['response'],
+    extra: { request: { method: req.method, path } },
+  });
+
+  res.set('Content-Security-Policy', "default-src 'none'; sandbox");
+  sendFunctionResponse(res, execution);
+}));
+
+module.exports = router;
@@ -0,0 +1,96 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getDocument, COLLECTIONS } = require('../config/firebase');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+  toPersonSummary,
+  toInvitationSummary,
+  getInvitationByToken,
+  acceptInvitation,
+  declineInvitation,
+} = require('../services/collaboration');
+
+const router = express.Router();
+
+// Invitations are answered with the token from the invitation email, sent in
+// the body so it stays out of URLs and logs
+const validateToken = [
+  body('token').isString().notEmpty().withMessage('Invitation token is required'),
+];
+
+// POST /api/invitations/lookup - Show who invited whom to what
+router.post('/lookup', validateToken, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const invitation = await getInvitationByToken(req.body.token);
+  const inviter = await getDocument(COLLECTIONS.USERS, invitation.invitedBy);
+
+  res.json({
+    status: 'success',
+    data: {
+      invitation: toInvitationSummary(invitation),
+      invitedBy: inviter && toPersonSummary(inviter),
+    },
+  });
+}));
+
+// POST /api/invitations/accept - Join the app or workspace
+router.post('/accept', authenticateToken, validateToken, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  const invitation = await acceptInvitation(req.body.token, user);
+
+  logger.info(`Invitation ${invitation.id} to ${invitation.type} ${invitation.targetId} accepted by user ${user.id}`);
+
+  res.json({
+    status: 'success',
+    message: `You joined ${invitation.targetName} as ${invitation.role}`,
+    data: {
+      invitation: toInvitationSummary({ ...invitation, status: 'accepted' }),
+    },
+  });
+}));
+
+// POST /api/invitations/decline - Turn the invitation down
+router.post('/decline', validateToken, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const invitation = await declineInvitation(req.body.token);
+
+  logger.info(`Invitation ${invitation.id} to ${invitation.type} ${invitation.targetId} declined`);
+
+  res.json({
+    status: 'success',
+    message: 'Invitation declined',
+  });
+}));
+
+module.exports = router;
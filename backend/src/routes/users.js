@@ -2,47 +2,21 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { getDocument, updateDocument, queryDocuments, COLLECTIONS } = require('../config/firebase');
 const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { logger } = require('../utils/logger');
+const { revokeAllSessions } = require('../services/sessions');
+const { getSecuritySettings, updateSecuritySettings, disableTwoFactor } = require('../services/twoFactor');
+const {
+  API_KEY_SCOPES,
+  MAX_EXPIRY_DAYS,
+  toApiKeySummary,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+} = require('../services/apiKeys');
 
 const router = express.Router();
 
-// Middleware to authenticate JWT tokens (imported from auth.js)
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({
-      status: 'fail',
-      message: 'Access token is required',
-    });
-  }
-
-  const jwt = require('jsonwebtoken');
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({
-        status: 'fail',
-        message: 'Invalid or expired token',
-      });
-    }
-
-    req.user = user;
-    next();
-  });
-}
-
-// Middleware to check admin role
-const requireAdmin = catchAsync(async (req, res, next) => {
-  const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
-
-  if (!user || user.role !== 'admin') {
-    throw new AppError('Admin access required', 403);
-  }
-
-  next();
-});
-
 // GET /api/users/me - Get current user profile
 router.get('/me', authenticateToken, catchAsync(async (req, res) => {
   const user = await getDocument(COLLECTIONS.USERS, req.user.userId);
@@ -211,6 +185,64 @@ router.post('/me/upload-avatar', authenticateToken, catchAsync(async (req, res)
   });
 }));
 
+// GET /api/users/me/api-keys - List active API keys
+router.get('/me/api-keys', authenticateToken, catchAsync(async (req, res) => {
+  const apiKeys = await listApiKeys(req.user.userId);
+  apiKeys.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+  res.json({
+    status: 'success',
+    data: {
+      apiKeys: apiKeys.map(toApiKeySummary),
+      availableScopes: API_KEY_SCOPES,
+    },
+  });
+}));
+
+// POST /api/users/me/api-keys - Create an API key
+router.post('/me/api-keys', authenticateToken, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Name must be between 1 and 100 characters'),
+  body('scopes').isArray({ min: 1 }).withMessage('At least one scope is required'),
+  body('scopes.*').isIn(API_KEY_SCOPES).withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`),
+  body('expiresInDays').optional({ nullable: true }).isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+    .withMessage(`Expiry must be between 1 and ${MAX_EXPIRY_DAYS} days`).toInt(),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, scopes, expiresInDays } = req.body;
+  const { apiKey, key } = await createApiKey(req.user.userId, { name, scopes, expiresInDays });
+
+  logger.info(`API key ${apiKey.id} created by user ${req.user.userId} with scopes [${apiKey.scopes.join(', ')}]`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'API key created. Copy it now, it will not be shown again.',
+    data: {
+      apiKey: toApiKeySummary(apiKey),
+      key,
+    },
+  });
+}));
+
+// DELETE /api/users/me/api-keys/:keyId - Revoke an API key
+router.delete('/me/api-keys/:keyId', authenticateToken, catchAsync(async (req, res) => {
+  await revokeApiKey(req.user.userId, req.params.keyId);
+
+  logger.info(`API key ${req.params.keyId} revoked by user ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'API key revoked successfully',
+  });
+}));
+
 // Admin routes
 
 // GET /api/users - Get all users (Admin only)
@@ -394,4 +426,64 @@ router.get('/stats/overview', authenticateToken, requireAdmin, catchAsync(async
   });
 }));
 
+// GET /api/users/settings/security - Get platform security settings (Admin only)
+router.get('/settings/security', authenticateToken, requireAdmin, catchAsync(async (req, res) => {
+  res.json({
+    status: 'success',
+    data: {
+      settings: await getSecuritySettings(),
+    },
+  });
+}));
+
+// PUT /api/users/settings/security - Require two-factor authentication for roles (Admin only)
+router.put('/settings/security', authenticateToken, requireAdmin, [
+  body('twoFactorRequiredRoles').isArray().withMessage('twoFactorRequiredRoles must be an array'),
+  body('twoFactorRequiredRoles.*').isIn(['user', 'admin']),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const settings = await updateSecuritySettings({
+    twoFactorRequiredRoles: [...new Set(req.body.twoFactorRequiredRoles)],
+  }, req.user.userId);
+
+  logger.info(`Security settings updated by admin ${req.user.userId}: 2FA required for [${settings.twoFactorRequiredRoles.join(', ')}]`);
+
+  res.json({
+    status: 'success',
+    message: 'Security settings updated successfully',
+    data: {
+      settings,
+    },
+  });
+}));
+
+// DELETE /api/users/:id/two-factor - Reset a user's two-factor authentication (Admin only)
+router.delete('/:id/two-factor', authenticateToken, requireAdmin, catchAsync(async (req, res) => {
+  const { id } = req.params;
+
+  const user = await getDocument(COLLECTIONS.USERS, id);
+  if (!user) {
+    throw new AppError('User not found', 404);
+  }
+
+  // For a lost device without recovery codes; the user sets it up again at the next login
+  await disableTwoFactor(id);
+  await revokeAllSessions(id);
+
+  logger.info(`Two-factor authentication of user ${id} reset by admin ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Two-factor authentication reset successfully',
+  });
+}));
+
 module.exports = router;
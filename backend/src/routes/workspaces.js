@@ -0,0 +1,274 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { getDocument, updateDocument, queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { AppError, catchAsync } = require('../middleware/errorHandler');
+const { authenticateToken, requireWorkspaceRole } = require('../middleware/auth');
+const { logger } = require('../utils/logger');
+const {
+  INVITABLE_ROLES,
+  hasRole,
+  createWorkspace,
+  listWorkspaces,
+  listWorkspaceMembers,
+  setWorkspaceMemberRole,
+  removeWorkspaceMember,
+  transferWorkspaceOwnership,
+  deleteWorkspace,
+  toInvitationSummary,
+  listTargetInvitations,
+  createInvitation,
+  sendInvitation,
+  revokeInvitation,
+} = require('../services/collaboration');
+
+const router = express.Router();
+
+// Validation middleware
+const validateWorkspace = [
+  body('name').trim().notEmpty().withMessage('Workspace name is required').isLength({ max: 50 }),
+  body('description').optional().isLength({ max: 500 }),
+];
+
+const validateRole = body('role').isIn(INVITABLE_ROLES).withMessage(`Role must be one of: ${INVITABLE_ROLES.join(', ')}`);
+
+const toMemberSummary = ({ user, role, createdAt }) => ({ ...user, role, joinedAt: createdAt });
+
+// Routes
+
+// GET /api/workspaces - List the user's workspaces
+router.get('/', authenticateToken, catchAsync(async (req, res) => {
+  const workspaces = await listWorkspaces(req.user.userId);
+
+  res.json({
+    status: 'success',
+    data: {
+      workspaces,
+    },
+  });
+}));
+
+// POST /api/workspaces - Create a workspace
+router.post('/', authenticateToken, validateWorkspace, catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const workspace = await createWorkspace(req.user.userId, req.body);
+
+  logger.info(`Workspace ${workspace.id} created by user ${req.user.userId}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Workspace created successfully',
+    data: {
+      workspace: { ...workspace, role: 'owner' },
+    },
+  });
+}));
+
+// GET /api/workspaces/:workspaceId - Get a workspace with its members and apps
+router.get('/:workspaceId', authenticateToken, requireWorkspaceRole('viewer'), catchAsync(async (req, res) => {
+  const members = await listWorkspaceMembers(req.workspace.id);
+  const apps = await queryDocuments(COLLECTIONS.APPS, [
+    { field: 'workspaceId', operator: '==', value: req.workspace.id },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+
+  res.json({
+    status: 'success',
+    data: {
+      workspace: {
+        ...req.workspace,
+        role: req.workspaceRole,
+        members: members.map(toMemberSummary),
+        apps,
+      },
+    },
+  });
+}));
+
+// PUT /api/workspaces/:workspaceId - Update a workspace
+router.put('/:workspaceId', authenticateToken, requireWorkspaceRole('admin'), [
+  body('name').optional().trim().notEmpty().isLength({ max: 50 }),
+  body('description').optional().isLength({ max: 500 }),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { name, description } = req.body;
+  const updateData = {};
+
+  if (name !== undefined) updateData.name = name;
+  if (description !== undefined) updateData.description = description;
+
+  await updateDocument(COLLECTIONS.WORKSPACES, req.workspace.id, updateData);
+
+  const workspace = await getDocument(COLLECTIONS.WORKSPACES, req.workspace.id);
+
+  res.json({
+    status: 'success',
+    message: 'Workspace updated successfully',
+    data: {
+      workspace: { ...workspace, role: req.workspaceRole },
+    },
+  });
+}));
+
+// DELETE /api/workspaces/:workspaceId - Delete a workspace (its apps stay with their owners)
+router.delete('/:workspaceId', authenticateToken, requireWorkspaceRole('owner'), catchAsync(async (req, res) => {
+  await deleteWorkspace(req.workspace);
+
+  logger.info(`Workspace ${req.workspace.id} deleted by user ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Workspace deleted successfully',
+  });
+}));
+
+// Members
+
+// GET /api/workspaces/:workspaceId/members - List members
+router.get('/:workspaceId/members', authenticateToken, requireWorkspaceRole('viewer'), catchAsync(async (req, res) => {
+  const members = await listWorkspaceMembers(req.workspace.id);
+
+  res.json({
+    status: 'success',
+    data: {
+      members: members.map(toMemberSummary),
+    },
+  });
+}));
+
+// PUT /api/workspaces/:workspaceId/members/:userId - Change a member's role
+router.put('/:workspaceId/members/:userId', authenticateToken, requireWorkspaceRole('admin'), [
+  validateRole,
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await setWorkspaceMemberRole(req.workspace, req.params.userId, req.body.role);
+
+  logger.info(`Member ${req.params.userId} of workspace ${req.workspace.id} set to ${req.body.role} by user ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Member role updated successfully',
+  });
+}));
+
+// DELETE /api/workspaces/:workspaceId/members/:userId - Remove a member, or leave the workspace
+router.delete('/:workspaceId/members/:userId', authenticateToken, requireWorkspaceRole('viewer'), catchAsync(async (req, res) => {
+  if (req.params.userId !== req.user.userId && !hasRole(req.workspaceRole, 'admin')) {
+    throw new AppError('This requires the admin role in this workspace', 403);
+  }
+
+  await removeWorkspaceMember(req.workspace, req.params.userId);
+
+  logger.info(`Member ${req.params.userId} removed from workspace ${req.workspace.id} by user ${req.user.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Member removed successfully',
+  });
+}));
+
+// POST /api/workspaces/:workspaceId/transfer - Make another member the owner
+router.post('/:workspaceId/transfer', authenticateToken, requireWorkspaceRole('owner'), [
+  body('userId').isString().notEmpty().withMessage('The new owner is required'),
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  await transferWorkspaceOwnership(req.workspace, req.body.userId);
+
+  logger.info(`Workspace ${req.workspace.id} transferred from user ${req.user.userId} to user ${req.body.userId}`);
+
+  res.json({
+    status: 'success',
+    message: 'Workspace ownership transferred successfully. You remain an admin of the workspace.',
+  });
+}));
+
+// Invitations
+
+// GET /api/workspaces/:workspaceId/invitations - List pending invitations
+router.get('/:workspaceId/invitations', authenticateToken, requireWorkspaceRole('admin'), catchAsync(async (req, res) => {
+  const invitations = await listTargetInvitations('workspace', req.workspace.id);
+
+  res.json({
+    status: 'success',
+    data: {
+      invitations: invitations.map(toInvitationSummary),
+    },
+  });
+}));
+
+// POST /api/workspaces/:workspaceId/invitations - Invite someone by email
+router.post('/:workspaceId/invitations', authenticateToken, requireWorkspaceRole('admin'), [
+  body('email').isEmail().normalizeEmail(),
+  validateRole,
+], catchAsync(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      status: 'fail',
+      message: 'Validation failed',
+      errors: errors.array(),
+    });
+  }
+
+  const { invitation, token } = await createInvitation({
+    type: 'workspace',
+    target: req.workspace,
+    email: req.body.email,
+    role: req.body.role,
+    invitedBy: req.user.userId,
+  });
+  await sendInvitation(invitation, token, await getDocument(COLLECTIONS.USERS, req.user.userId));
+
+  logger.info(`Invitation ${invitation.id} to workspace ${req.workspace.id} sent by user ${req.user.userId}`);
+
+  res.status(201).json({
+    status: 'success',
+    message: 'Invitation sent successfully',
+    data: {
+      invitation: toInvitationSummary(invitation),
+    },
+  });
+}));
+
+// DELETE /api/workspaces/:workspaceId/invitations/:invitationId - Revoke a pending invitation
+router.delete('/:workspaceId/invitations/:invitationId', authenticateToken, requireWorkspaceRole('admin'), catchAsync(async (req, res) => {
+  await revokeInvitation('workspace', req.workspace.id, req.params.invitationId);
+
+  res.json({
+    status: 'success',
+    message: 'Invitation revoked successfully',
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,275 @@
+// Deleting a platform account happens in two steps. The account is disabled
+// and everything it owns is soft-deleted right away; the owner can restore it
+// during the grace period. Once that has passed, the purge job removes the
+// account and all of its data for good.
+//
+// The purge job checks once an hour. Like the function scheduler, only one
+// backend instance should run it.
+
+const {
+  getAuth,
+  getDocument,
+  updateDocument,
+  queryDocuments,
+  deleteDocumentTree,
+  batchWrite,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { revokeAllSessions } = require('./sessions');
+const { logger } = require('../utils/logger');
+
+const GRACE_PERIOD_MS = (parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+// Firestore caps a batch at 500 writes
+const BATCH_SIZE = 500;
+
+// What an account owns, soft-deleted with it and restored with it
+const OWNED_COLLECTIONS = [
+  COLLECTIONS.APPS,
+  COLLECTIONS.PAGES,
+  COLLECTIONS.COMPONENTS,
+  COLLECTIONS.FUNCTIONS,
+  COLLECTIONS.DEPLOYMENTS,
+];
+
+// Everything stored per app, removed when the app is purged
+const APP_COLLECTIONS = [
+  COLLECTIONS.PAGES,
+  COLLECTIONS.COMPONENTS,
+  COLLECTIONS.FUNCTIONS,
+  COLLECTIONS.FUNCTION_RUNS,
+  COLLECTIONS.DEPLOYMENTS,
+  COLLECTIONS.SECRETS,
+  COLLECTIONS.DATA_MODELS,
+  COLLECTIONS.APP_USERS,
+  COLLECTIONS.APP_SESSIONS,
+  COLLECTIONS.APP_USER_LOGINS,
+  COLLECTIONS.APP_COLLABORATORS,
+];
+
+let timer = null;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const writeInBatches = async (operations) => {
+  for (let start = 0; start < operations.length; start += BATCH_SIZE) {
+    await batchWrite(operations.slice(start, start + BATCH_SIZE));
+  }
+};
+
+const updateAll = (collection, docs, data) => writeInBatches(docs.map(doc => ({
+  type: 'update',
+  collection,
+  docId: doc.id,
+  data,
+})));
+
+const deleteAll = (collection, docs) => writeInBatches(docs.map(doc => ({
+  type: 'delete',
+  collection,
+  docId: doc.id,
+})));
+
+// Firebase Auth may not know older or already purged accounts
+const updateAuthUser = async (userId, action) => {
+  try {
+    await action(getAuth(), userId);
+  } catch (error) {
+    if (error.code !== 'auth/user-not-found') {
+      throw error;
+    }
+  }
+};
+
+const hasOtherMembers = async (workspaceId, userId) => {
+  const members = await queryDocuments(COLLECTIONS.WORKSPACE_MEMBERS, [
+    { field: 'workspaceId', operator: '==', value: workspaceId },
+  ]);
+  return members.some(member => member.userId !== userId);
+};
+
+// Deleting the account would take away what other people work on: its
+// workspaces with other members, its apps with collaborators and its apps in
+// workspaces with other members. Those must be transferred first.
+const assertNothingShared = async (userId, workspaces) => {
+  for (const workspace of workspaces) {
+    if (await hasOtherMembers(workspace.id, userId)) {
+      throw new AppError(`Transfer the workspace ${workspace.name} to another member before deleting your account`, 409);
+    }
+  }
+
+  const apps = await queryDocuments(COLLECTIONS.APPS, [
+    { field: 'userId', operator: '==', value: userId },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+  for (const app of apps) {
+    const collaborators = await queryDocuments(COLLECTIONS.APP_COLLABORATORS, [
+      { field: 'appId', operator: '==', value: app.id },
+    ]);
+    const shared = collaborators.some(collaborator => collaborator.userId !== userId)
+      || (app.workspaceId && await hasOtherMembers(app.workspaceId, userId));
+    if (shared) {
+      throw new AppError(`Transfer the app ${app.name} to someone who works on it before deleting your account`, 409);
+    }
+  }
+};
+
+// Disables the account and soft-deletes what it owns. Items deleted earlier
+// by the owner are left alone so a restore does not bring them back.
+// Workspaces and apps other people work on must be transferred first.
+const scheduleAccountDeletion = async (user) => {
+  const deletedAt = new Date();
+  const purgeAfter = new Date(deletedAt.getTime() + GRACE_PERIOD_MS);
+
+  const workspaces = await queryDocuments(COLLECTIONS.WORKSPACES, [
+    { field: 'ownerId', operator: '==', value: user.id },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+  await assertNothingShared(user.id, workspaces);
+  await updateAll(COLLECTIONS.WORKSPACES, workspaces, { isDeleted: true, deletedAt, deletedWithAccount: true });
+
+  for (const collection of OWNED_COLLECTIONS) {
+    const docs = await queryDocuments(collection, [
+      { field: 'userId', operator: '==', value: user.id },
+      { field: 'isDeleted', operator: '==', value: false },
+    ]);
+    await updateAll(collection, docs, { isDeleted: true, deletedAt, deletedWithAccount: true });
+  }
+
+  await updateDocument(COLLECTIONS.USERS, user.id, {
+    isActive: false,
+    deletedAt,
+    deletion: { requestedAt: deletedAt, purgeAfter },
+  });
+  await updateAuthUser(user.id, (auth, uid) => auth.updateUser(uid, { disabled: true }));
+  await revokeAllSessions(user.id);
+
+  return purgeAfter;
+};
+
+const isPendingDeletion = (user) => Boolean(user?.deletion && toDate(user.deletion.purgeAfter) > new Date());
+
+const restoreAccount = async (user) => {
+  if (!isPendingDeletion(user)) {
+    throw new AppError('This account cannot be restored', 400);
+  }
+
+  for (const collection of OWNED_COLLECTIONS) {
+    const docs = await queryDocuments(collection, [
+      { field: 'userId', operator: '==', value: user.id },
+      { field: 'deletedWithAccount', operator: '==', value: true },
+    ]);
+    await updateAll(collection, docs, { isDeleted: false, deletedAt: null, deletedWithAccount: false });
+  }
+
+  const workspaces = await queryDocuments(COLLECTIONS.WORKSPACES, [
+    { field: 'ownerId', operator: '==', value: user.id },
+    { field: 'deletedWithAccount', operator: '==', value: true },
+  ]);
+  await updateAll(COLLECTIONS.WORKSPACES, workspaces, { isDeleted: false, deletedAt: null, deletedWithAccount: false });
+
+  await updateDocument(COLLECTIONS.USERS, user.id, {
+    isActive: true,
+    deletedAt: null,
+    deletion: null,
+  });
+  await updateAuthUser(user.id, (auth, uid) => auth.updateUser(uid, { disabled: false }));
+};
+
+const purgeApp = async (app) => {
+  const deployments = await queryDocuments(COLLECTIONS.DEPLOYMENTS, [
+    { field: 'appId', operator: '==', value: app.id },
+  ]);
+  for (const deployment of deployments) {
+    await deleteAll(COLLECTIONS.DEPLOYMENT_LOGS, await queryDocuments(COLLECTIONS.DEPLOYMENT_LOGS, [
+      { field: 'deploymentId', operator: '==', value: deployment.id },
+    ]));
+  }
+
+  for (const collection of APP_COLLECTIONS) {
+    await deleteAll(collection, await queryDocuments(collection, [
+      { field: 'appId', operator: '==', value: app.id },
+    ]));
+  }
+
+  await deleteAll(COLLECTIONS.APPS, [app]);
+};
+
+const purgeAccount = async (user) => {
+  const apps = await queryDocuments(COLLECTIONS.APPS, [
+    { field: 'userId', operator: '==', value: user.id },
+  ]);
+  for (const app of apps) {
+    await purgeApp(app);
+  }
+
+  await deleteAll(COLLECTIONS.SESSIONS, await queryDocuments(COLLECTIONS.SESSIONS, [
+    { field: 'userId', operator: '==', value: user.id },
+  ]));
+  await deleteAll(COLLECTIONS.API_KEYS, await queryDocuments(COLLECTIONS.API_KEYS, [
+    { field: 'userId', operator: '==', value: user.id },
+  ]));
+  await deleteAll(COLLECTIONS.APP_COLLABORATORS, await queryDocuments(COLLECTIONS.APP_COLLABORATORS, [
+    { field: 'userId', operator: '==', value: user.id },
+  ]));
+  await deleteAll(COLLECTIONS.WORKSPACE_MEMBERS, await queryDocuments(COLLECTIONS.WORKSPACE_MEMBERS, [
+    { field: 'userId', operator: '==', value: user.id },
+  ]));
+  // Only workspaces without other members get here
+  await deleteAll(COLLECTIONS.WORKSPACES, await queryDocuments(COLLECTIONS.WORKSPACES, [
+    { field: 'ownerId', operator: '==', value: user.id },
+  ]));
+  if (await getDocument(COLLECTIONS.USER_CREDENTIALS, user.id)) {
+    await deleteAll(COLLECTIONS.USER_CREDENTIALS, [user]);
+  }
+
+  await updateAuthUser(user.id, (auth, uid) => auth.deleteUser(uid));
+
+  // The user document holds the apps' record data in its subcollections
+  await deleteDocumentTree(COLLECTIONS.USERS, user.id);
+
+  logger.info(`Account ${user.id} purged with ${apps.length} app(s)`);
+};
+
+// Purges every account whose grace period is over
+const purgeDeletedAccounts = async (now = new Date()) => {
+  const users = await queryDocuments(COLLECTIONS.USERS, [
+    { field: 'deletion.purgeAfter', operator: '<=', value: now },
+  ]);
+
+  for (const user of users) {
+    try {
+      await purgeAccount(user);
+    } catch (error) {
+      // Left for the next run
+      logger.error(`Failed to purge account ${user.id}:`, error.message);
+    }
+  }
+  return users.length;
+};
+
+const startAccountPurge = () => {
+  if (timer) return;
+  timer = setInterval(() => {
+    purgeDeletedAccounts().catch((error) => {
+      logger.error('Account purge failed:', error.message);
+    });
+  }, PURGE_INTERVAL_MS);
+  timer.unref();
+  logger.info('🗑️ Account purge job started');
+};
+
+const stopAccountPurge = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  scheduleAccountDeletion,
+  isPendingDeletion,
+  restoreAccount,
+  purgeDeletedAccounts,
+  startAccountPurge,
+  stopAccountPurge,
+};
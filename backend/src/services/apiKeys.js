@@ -0,0 +1,119 @@
+// API keys let scripts and CI call the platform API as their owner, limited
+// to the scopes chosen when the key was created. Only a hash of each key is
+// stored; the key itself is shown once, when it is created.
+
+const crypto = require('crypto');
+const {
+  createDocument,
+  getDocument,
+  updateDocument,
+  queryDocuments,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+
+const API_KEY_PREFIX = 'xmbl_';
+const API_KEY_SCOPES = [
+  'apps:read',
+  'apps:write',
+  'builder:read',
+  'builder:write',
+  'deploy:read',
+  'deploy:write',
+];
+const MAX_API_KEYS = 20;
+const MAX_EXPIRY_DAYS = 365;
+// How often a key's last-used time is written
+const LAST_USED_INTERVAL_MS = 5 * 60 * 1000;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const isApiKey = (token) => String(token).startsWith(API_KEY_PREFIX);
+
+const isActive = (apiKey) => Boolean(apiKey
+  && !apiKey.revokedAt
+  && (!apiKey.expiresAt || toDate(apiKey.expiresAt) > new Date()));
+
+// What the API returns for a key: never the key or its hash
+const toApiKeySummary = (apiKey) => ({
+  id: apiKey.id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  createdAt: apiKey.createdAt,
+  expiresAt: apiKey.expiresAt,
+  lastUsedAt: apiKey.lastUsedAt,
+});
+
+const listApiKeys = async (userId) => {
+  const apiKeys = await queryDocuments(COLLECTIONS.API_KEYS, [
+    { field: 'userId', operator: '==', value: userId },
+    { field: 'revokedAt', operator: '==', value: null },
+  ]);
+  return apiKeys.filter(isActive);
+};
+
+// Returns the new key's document and the key itself
+const createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  if ((await listApiKeys(userId)).length >= MAX_API_KEYS) {
+    throw new AppError(`You can have at most ${MAX_API_KEYS} API keys. Revoke one to create another.`, 403);
+  }
+
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  const apiKeyId = await createDocument(COLLECTIONS.API_KEYS, {
+    userId,
+    name,
+    scopes: [...new Set(scopes)],
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    keyHash: hashKey(key),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+    lastUsedAt: null,
+    revokedAt: null,
+  });
+
+  return { apiKey: await getDocument(COLLECTIONS.API_KEYS, apiKeyId), key };
+};
+
+const revokeApiKey = async (userId, apiKeyId) => {
+  const apiKey = await getDocument(COLLECTIONS.API_KEYS, apiKeyId);
+
+  if (!apiKey || apiKey.userId !== userId || !isActive(apiKey)) {
+    throw new AppError('API key not found', 404);
+  }
+  await updateDocument(COLLECTIONS.API_KEYS, apiKeyId, { revokedAt: new Date() });
+};
+
+// Resolves a key to its document, or throws 401 when it is unknown, revoked,
+// expired or its owner's account is disabled
+const verifyApiKey = async (key) => {
+  const [apiKey] = await queryDocuments(COLLECTIONS.API_KEYS, [
+    { field: 'keyHash', operator: '==', value: hashKey(key) },
+  ]);
+
+  if (!isActive(apiKey)) {
+    throw new AppError('Invalid, expired or revoked API key', 401);
+  }
+
+  const user = await getDocument(COLLECTIONS.USERS, apiKey.userId);
+  if (!user || !user.isActive) {
+    throw new AppError('Account is disabled or not found', 401);
+  }
+
+  if (!apiKey.lastUsedAt || !(Date.now() - toDate(apiKey.lastUsedAt).getTime() < LAST_USED_INTERVAL_MS)) {
+    await updateDocument(COLLECTIONS.API_KEYS, apiKey.id, { lastUsedAt: new Date() });
+  }
+  return apiKey;
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_EXPIRY_DAYS,
+  isApiKey,
+  toApiKeySummary,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyApiKey,
+};
@@ -0,0 +1,213 @@
+// Accounts of the people using a generated app, kept apart from platform
+// users. Each app has its own users; signing in creates a session and returns
+// a token that only the app's data API and account endpoints accept.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const {
+  createDocument,
+  getDocument,
+  updateDocument,
+  queryDocuments,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { MAX_FAILED_LOGINS, reserveLoginAttempt, settleLoginAttempt } = require('./loginAttempts');
+
+const APP_SESSION_TTL = process.env.APP_SESSION_TTL || '30d';
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+// How often a session's last-seen time is written
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+const TOKEN_TYPE = 'app_user';
+
+// App user tokens are signed with their own key so they can never pass as a
+// platform token, or the other way round
+const getTokenKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('app-users').digest();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const hashPassword = (password) => bcrypt.hash(password, 12);
+
+// What the API returns for an app user
+const toAppUserSummary = (appUser) => ({
+  id: appUser.id,
+  email: appUser.email,
+  name: appUser.name,
+  isActive: appUser.isActive,
+  createdAt: appUser.createdAt,
+  lastLoginAt: appUser.lastLoginAt || null,
+});
+
+const findAppUserByEmail = async (appId, email) => {
+  const [appUser] = await queryDocuments(COLLECTIONS.APP_USERS, [
+    { field: 'appId', operator: '==', value: appId },
+    { field: 'email', operator: '==', value: normalizeEmail(email) },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+  return appUser || null;
+};
+
+const createAppUser = async (app, { email, password, name }) => {
+  if (await findAppUserByEmail(app.id, email)) {
+    throw new AppError('An account with this email already exists', 409);
+  }
+
+  const appUserId = await createDocument(COLLECTIONS.APP_USERS, {
+    appId: app.id,
+    email: normalizeEmail(email),
+    name: name || '',
+    passwordHash: await hashPassword(password),
+    isActive: true,
+    isDeleted: false,
+    lastLoginAt: null,
+    passwordReset: null,
+  });
+
+  return getDocument(COLLECTIONS.APP_USERS, appUserId);
+};
+
+// Failed logins are counted per app and email, whether or not the account
+// exists, so a lockout tells nothing about which emails have one
+const getLoginId = (appId, email) => `${appId}_${hashToken(normalizeEmail(email))}`;
+
+// Returns the user for a correct email and password, or throws 401, and 429
+// while the email is locked after repeated failures
+const verifyCredentials = async (app, email, password) => {
+  const loginId = getLoginId(app.id, email);
+  await reserveLoginAttempt(COLLECTIONS.APP_USER_LOGINS, loginId, { appId: app.id });
+
+  let appUser = null;
+  let matches = null;
+  try {
+    appUser = await findAppUserByEmail(app.id, email);
+    matches = Boolean(appUser && appUser.isActive && await bcrypt.compare(password, appUser.passwordHash));
+  } finally {
+    if (await settleLoginAttempt(COLLECTIONS.APP_USER_LOGINS, loginId, matches)) {
+      logger.warn(`Sign-in to app ${app.id} locked for an email after ${MAX_FAILED_LOGINS} failed attempts`);
+    }
+  }
+
+  if (!matches) {
+    throw new AppError('Invalid email or password', 401);
+  }
+  return appUser;
+};
+
+const createSession = async (app, appUser, { userAgent, ip } = {}) => {
+  const sessionId = await createDocument(COLLECTIONS.APP_SESSIONS, {
+    appId: app.id,
+    appUserId: appUser.id,
+    userAgent: userAgent || null,
+    ip: ip || null,
+    lastSeenAt: new Date(),
+    revokedAt: null,
+  });
+
+  await updateDocument(COLLECTIONS.APP_USERS, appUser.id, { lastLoginAt: new Date() });
+
+  const token = jwt.sign({ type: TOKEN_TYPE, appId: app.id, appUserId: appUser.id, sessionId }, getTokenKey(), {
+    expiresIn: APP_SESSION_TTL,
+  });
+  return { token, sessionId };
+};
+
+const isAppUserToken = (token) => jwt.decode(token)?.type === TOKEN_TYPE;
+
+// Resolves an app user token to { appUser, session }, or throws 401 when it is
+// invalid, expired, revoked or issued for another app
+const authenticateAppUser = async (app, token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getTokenKey());
+  } catch (error) {
+    throw new AppError('Invalid or expired token', 401);
+  }
+
+  if (payload.type !== TOKEN_TYPE || payload.appId !== app.id) {
+    throw new AppError('Invalid or expired token', 401);
+  }
+
+  const session = await getDocument(COLLECTIONS.APP_SESSIONS, payload.sessionId);
+  if (!session || session.revokedAt || session.appUserId !== payload.appUserId) {
+    throw new AppError('Session has ended, please sign in again', 401);
+  }
+
+  const appUser = await getDocument(COLLECTIONS.APP_USERS, payload.appUserId);
+  if (!appUser || !appUser.isActive || appUser.isDeleted) {
+    throw new AppError('Account is disabled or not found', 401);
+  }
+
+  const lastSeen = session.lastSeenAt?.toDate ? session.lastSeenAt.toDate() : new Date(session.lastSeenAt);
+  if (!(Date.now() - lastSeen.getTime() < LAST_SEEN_INTERVAL_MS)) {
+    await updateDocument(COLLECTIONS.APP_SESSIONS, session.id, { lastSeenAt: new Date() });
+  }
+
+  return { appUser, session };
+};
+
+const revokeSession = (sessionId) => updateDocument(COLLECTIONS.APP_SESSIONS, sessionId, { revokedAt: new Date() });
+
+const revokeAllSessions = async (appUserId) => {
+  const sessions = await queryDocuments(COLLECTIONS.APP_SESSIONS, [
+    { field: 'appUserId', operator: '==', value: appUserId },
+    { field: 'revokedAt', operator: '==', value: null },
+  ]);
+  await Promise.all(sessions.map(session => revokeSession(session.id)));
+};
+
+// Reset tokens are `<appUserId>.<secret>`; only a hash of the secret is
+// stored, and it can be used once within the hour
+const createPasswordResetToken = async (appUser) => {
+  const secret = crypto.randomBytes(32).toString('hex');
+
+  await updateDocument(COLLECTIONS.APP_USERS, appUser.id, {
+    passwordReset: {
+      tokenHash: hashToken(secret),
+      expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MS),
+    },
+  });
+
+  return `${appUser.id}.${secret}`;
+};
+
+const resetPassword = async (app, token, password) => {
+  const [appUserId, secret] = String(token).split('.');
+  const appUser = appUserId && secret ? await getDocument(COLLECTIONS.APP_USERS, appUserId) : null;
+  const reset = appUser?.appId === app.id ? appUser.passwordReset : null;
+  const expiresAt = reset && (reset.expiresAt?.toDate ? reset.expiresAt.toDate() : new Date(reset.expiresAt));
+
+  const valid = reset
+    && expiresAt > new Date()
+    && crypto.timingSafeEqual(Buffer.from(hashToken(secret)), Buffer.from(reset.tokenHash));
+
+  if (!valid) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  await updateDocument(COLLECTIONS.APP_USERS, appUser.id, {
+    passwordHash: await hashPassword(password),
+    passwordReset: null,
+  });
+  await revokeAllSessions(appUser.id);
+
+  return appUser;
+};
+
+module.exports = {
+  normalizeEmail,
+  toAppUserSummary,
+  findAppUserByEmail,
+  createAppUser,
+  verifyCredentials,
+  createSession,
+  isAppUserToken,
+  authenticateAppUser,
+  revokeSession,
+  revokeAllSessions,
+  createPasswordResetToken,
+  resetPassword,
+};
@@ -0,0 +1,240 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { logger } = require('../utils/logger');
+
+const WORKSPACE_ROOT = process.env.BUILD_WORKSPACE_DIR || path.join(os.tmpdir(), 'xmbl-builds');
+const ARTIFACTS_ROOT = process.env.DEPLOY_ARTIFACTS_DIR || path.join(__dirname, '../../deployments');
+const BUILD_TIMEOUT_MS = parseInt(process.env.BUILD_TIMEOUT_MS, 10) || 10 * 60 * 1000;
+const OUTPUT_TAIL_LENGTH = 4000;
+
+class BuildError extends Error {
+  constructor(message, { step, exitCode = null, output = '' } = {}) {
+    super(message);
+    this.name = 'BuildError';
+    this.step = step;
+    this.exitCode = exitCode;
+    this.output = output;
+  }
+}
+
+const tail = (text) => (text.length > OUTPUT_TAIL_LENGTH ? text.slice(-OUTPUT_TAIL_LENGTH) : text);
+
+// Bundlers only read variables with a public prefix, and inline them into the
+// client bundle. Other secrets stay with the app's functions: with shell: true
+// a name like NODE_OPTIONS or LD_PRELOAD would run code on the build host.
+const BUILD_SECRET_PREFIXES = ['VITE_', 'VUE_APP_'];
+
+const getBuildSecrets = (secrets = {}) => Object.fromEntries(Object.entries(secrets)
+  .filter(([name]) => BUILD_SECRET_PREFIXES.some(prefix => name.startsWith(prefix))));
+
+// Only pass what npm needs plus the app's public secrets; the build runs
+// user-generated code and must not see the platform's own credentials.
+const getBuildEnv = (secrets = {}) => ({
+  ...getBuildSecrets(secrets),
+  PATH: process.env.PATH,
+  HOME: process.env.HOME || os.tmpdir(),
+  NODE_ENV: 'production',
+  CI: '1',
+});
+
+const resolveInside = (root, filePath) => {
+  const resolved = path.resolve(root, filePath);
+  if (!resolved.startsWith(`${root}${path.sep}`)) {
+    throw new BuildError(`Refusing to write outside the workspace: ${filePath}`, { step: 'generation' });
+  }
+  return resolved;
+};
+
+const writeWorkspace = async (workspace, files) => {
+  await fs.rm(workspace, { recursive: true, force: true });
+  await fs.mkdir(workspace, { recursive: true });
+
+  for (const [filePath, contents] of Object.entries(files)) {
+    const target = resolveInside(workspace, filePath);
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    const data = typeof contents === 'string' ? contents : JSON.stringify(contents, null, 2);
+    await fs.writeFile(target, data);
+  }
+};
+
+// Splits a stream into lines, holding back a trailing partial line
+const lineReader = (onLine) => {
+  let pending = '';
+  return {
+    push(chunk) {
+      const lines = (pending + chunk).split(/\r?\n/);
+      pending = lines.pop();
+      lines.filter(line => line.trim()).forEach(onLine);
+    },
+    flush() {
+      if (pending.trim()) onLine(pending);
+      pending = '';
+    },
+  };
+};
+
+// Kills the shell and everything it started: the command runs in its own
+// process group, so npm and the bundler go down with the shell
+const killProcessGroup = (child) => {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (error) {
+    // The group has already exited
+  }
+};
+
+const runCommand = (command, { cwd, env, timeout = BUILD_TIMEOUT_MS, onLine = () => {} }) => {
+  return new Promise((resolve) => {
+    const child = spawn(command, { cwd, env, shell: true, detached: true });
+    const stdout = lineReader(line => onLine('info', line));
+    const stderr = lineReader(line => onLine('warn', line));
+    let output = '';
+    let settled = false;
+
+    const finish = (result) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      stdout.flush();
+      stderr.flush();
+      resolve(result);
+    };
+
+    const collect = (reader) => (chunk) => {
+      output = tail(output + chunk.toString());
+      reader.push(chunk.toString());
+    };
+    child.stdout.on('data', collect(stdout));
+    child.stderr.on('data', collect(stderr));
+
+    // Settles right away: a process that ignores the kill may keep the pipes
+    // open, and 'close' would then never come
+    const timer = setTimeout(() => {
+      killProcessGroup(child);
+      child.stdout.destroy();
+      child.stderr.destroy();
+      finish({ exitCode: null, output, timedOut: true });
+    }, timeout);
+
+    child.on('error', (error) => {
+      finish({ exitCode: null, output: tail(`${output}\n${error.message}`), timedOut: false });
+    });
+
+    child.on('close', (exitCode) => {
+      finish({ exitCode, output, timedOut: false });
+    });
+  });
+};
+
+const getDirectorySize = async (dir) => {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  let size = 0;
+
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      size += await getDirectorySize(entryPath);
+    } else if (entry.isFile()) {
+      size += (await fs.stat(entryPath)).size;
+    }
+  }
+
+  return size;
+};
+
+const runStep = async (step, command, { log, ...options }) => {
+  log(step, 'info', `$ ${command}`);
+  const result = await runCommand(command, {
+    ...options,
+    onLine: (level, line) => log(step, level, line),
+  });
+
+  if (result.timedOut) {
+    throw new BuildError(`${step} timed out after ${Math.round(BUILD_TIMEOUT_MS / 1000)}s`, {
+      step,
+      exitCode: result.exitCode,
+      output: result.output,
+    });
+  }
+
+  if (result.exitCode !== 0) {
+    throw new BuildError(`${step} failed with exit code ${result.exitCode}`, {
+      step,
+      exitCode: result.exitCode,
+      output: result.output,
+    });
+  }
+
+  return result;
+};
+
+// Writes the generated file map to a fresh workspace, installs and builds it,
+// then copies the output directory into the artifacts store. `secrets` with a
+// public prefix are added to the build environment. `log` receives (step, level, message) for
+// every step and every line of command output.
+const runBuild = async ({ deploymentId, subdomain, files, buildConfig, secrets, log = () => {} }) => {
+  const startedAt = Date.now();
+  const workspace = path.join(WORKSPACE_ROOT, deploymentId);
+  const env = getBuildEnv(secrets);
+
+  try {
+    log('generation', 'info', `Writing ${Object.keys(files).length} files to workspace`);
+    await writeWorkspace(workspace, files);
+
+    await runStep('install', buildConfig.installCommand || 'npm install --no-audit --no-fund', { cwd: workspace, env, log });
+    const build = await runStep('build', buildConfig.buildCommand, { cwd: workspace, env, log });
+
+    const outputDir = resolveInside(workspace, buildConfig.outputDirectory);
+    let size;
+    try {
+      size = await getDirectorySize(outputDir);
+    } catch (error) {
+      throw new BuildError(`Build output directory "${buildConfig.outputDirectory}" was not produced`, {
+        step: 'build',
+        exitCode: 0,
+        output: build.output,
+      });
+    }
+
+    log('build', 'info', `Build output: ${size} bytes in ${buildConfig.outputDirectory}/`);
+
+    const artifactPath = path.join(ARTIFACTS_ROOT, subdomain, deploymentId);
+    log('upload', 'info', 'Uploading build artifacts');
+    try {
+      await fs.mkdir(path.dirname(artifactPath), { recursive: true });
+      await fs.cp(outputDir, artifactPath, { recursive: true });
+    } catch (error) {
+      throw new BuildError(`Failed to upload artifacts: ${error.message}`, { step: 'upload' });
+    }
+
+    return {
+      exitCode: 0,
+      duration: Date.now() - startedAt,
+      size,
+      artifactPath,
+    };
+  } catch (error) {
+    if (!(error instanceof BuildError)) {
+      error = new BuildError(error.message, { step: 'generation' });
+    }
+    error.duration = Date.now() - startedAt;
+    log(error.step, 'error', error.message);
+    throw error;
+  } finally {
+    if (process.env.KEEP_BUILD_WORKSPACE !== 'true') {
+      await fs.rm(workspace, { recursive: true, force: true }).catch((error) => {
+        logger.warn(`Failed to clean up build workspace ${workspace}:`, error.message);
+      });
+    }
+  }
+};
+
+module.exports = {
+  BuildError,
+  runBuild,
+  runCommand,
+  getBuildSecrets,
+  getDirectorySize,
+};
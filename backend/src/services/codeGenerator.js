@@ -0,0 +1,1984 @@
+// Turns the builder's stored pages, components and functions into a
+// buildable Vue project, returned as a map of file path -> contents.
+//
+// Everything stored by the builder is user input. Values are always written
+// through the escaper for the context they land in (see utils/escape), never
+// interpolated directly.
+
+const {
+  escapeHtml,
+  escapeAttribute,
+  jsValue,
+  jsString,
+  jsComment,
+  cssValue,
+  cssProperty,
+  cssString,
+  safeUrl,
+  toComponentName,
+  toClassName,
+} = require('../utils/escape');
+
+const BUNDLERS = ['vite', 'vue-cli'];
+const DEFAULT_BUNDLER = 'vite';
+
+// Media queries for the per-breakpoint style overrides a component can carry
+const BREAKPOINTS = {
+  mobile: '(max-width: 767px)',
+  tablet: '(min-width: 768px) and (max-width: 1023px)',
+  desktop: '(min-width: 1024px)',
+};
+
+// Component events a function can be bound to. `load` runs when the page mounts.
+const EVENT_TYPES = ['click', 'change', 'submit', 'load'];
+
+// Functions with these triggers run on the platform and never ship in the app bundle
+const SERVER_TRIGGERS = ['schedule', 'http'];
+
+// Names the generated scripts already use at module scope
+const SCRIPT_GLOBALS = ['ref', 'onMounted', 'onUnmounted', 'defineProps', 'Chart'];
+
+// `dataModels` are the app's collections, which lists, tables and forms can be
+// bound to; `apiUrl` is where the generated app reaches the platform's data API
+const generateVueApp = (app, pages, components, functions, options = {}) => {
+  const { bundler = DEFAULT_BUNDLER, dataModels = [], apiUrl = '' } = options;
+  const scriptStyle = bundler === 'vue-cli' ? 'options' : 'setup';
+  const project = createProject();
+  const clientFunctions = functions.filter(func => !SERVER_TRIGGERS.includes(func.trigger));
+  dataModels.forEach(model => project.dataModels.set(model.name, model));
+
+  // Sign-up and login ship when the app turns them on or has protected pages
+  const auth = app.settings?.auth?.enabled === true || pages.some(page => page.settings?.protected === true);
+
+  // File and component names are derived from user-chosen names, so they are
+  // sanitized and de-duplicated up front
+  const pageNames = uniqueNames(pages.map(page => toComponentName(page.name, 'Page')), auth ? Object.keys(ACCOUNT_VIEWS) : []);
+  const views = pages.map((page, index) => ({ page, name: pageNames[index] }));
+  const componentNames = uniqueNames(components.map(component => toComponentName(component.name)));
+  const functionNames = uniqueNames(clientFunctions.map(func => toIdentifier(func.name)), SCRIPT_GLOBALS);
+  clientFunctions.forEach((func, index) => {
+    project.functions.set(func.id, { ...func, moduleName: functionNames[index] });
+  });
+
+  // Generate Vue.js application structure
+  const vueApp = bundler === 'vue-cli' ? generateVueCliScaffold(app, views, auth) : generateViteScaffold(app, views, auth);
+  vueApp['src/styles/components.css'] = COMPONENT_STYLES;
+
+  // Generate Vue components for each page
+  views.forEach(({ page, name }) => {
+    vueApp[`src/views/${name}.vue`] = generateVuePageComponent(page, app, scriptStyle, project, name);
+  });
+
+  // Generate custom components
+  components.forEach((component, index) => {
+    vueApp[`src/components/${componentNames[index]}.vue`] = generateVueCustomComponent(component, scriptStyle, componentNames[index]);
+  });
+
+  // Generate custom functions as ES modules
+  clientFunctions.forEach((func, index) => {
+    vueApp[`src/functions/${functionNames[index]}.js`] = generateFunctionModule(func, functionNames[index]);
+  });
+
+  if (project.usesData || auth) {
+    vueApp['src/api/config.js'] = generateApiConfig(app, bundler, apiUrl);
+  }
+  if (project.usesData) {
+    vueApp['src/api/data.js'] = generateDataClient(auth);
+  }
+  if (auth) {
+    vueApp['src/api/auth.js'] = AUTH_CLIENT;
+    Object.entries(ACCOUNT_VIEWS).forEach(([name, view]) => {
+      vueApp[`src/views/account/${name}.vue`] = generateAccountView(view, app, scriptStyle, name);
+    });
+  }
+
+  // Libraries pulled in by the components that were actually used
+  Object.assign(vueApp['package.json'].dependencies, project.dependencies);
+
+  vueApp['README.md'] = generateReadme(app, vueApp['package.json']);
+
+  return vueApp;
+};
+
+// Collects what individual pages need at the project level
+const createProject = () => ({
+  dependencies: {},
+  functions: new Map(),
+  dataModels: new Map(),
+  usesData: false,
+});
+
+// Appends a counter to repeated names: Home, Home2, Home3
+const uniqueNames = (names, reserved = []) => {
+  const used = new Set(reserved.map(name => name.toLowerCase()));
+  return names.map(name => {
+    let candidate = name;
+    for (let suffix = 2; used.has(candidate.toLowerCase()); suffix++) {
+      candidate = `${name}${suffix}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  });
+};
+
+// Base styles for the built-in component types, shipped as src/styles/components.css
+const COMPONENT_STYLES = `.btn,
+.hero-button {
+  display: inline-block;
+  padding: 0.625rem 1.25rem;
+  border: none;
+  border-radius: 0.375rem;
+  background: var(--primary-color);
+  color: #ffffff;
+  font: inherit;
+  text-decoration: none;
+  cursor: pointer;
+}
+
+.btn:disabled {
+  opacity: 0.6;
+  cursor: not-allowed;
+}
+
+.image,
+.card-image {
+  max-width: 100%;
+  height: auto;
+}
+
+.grid,
+.gallery {
+  display: grid;
+}
+
+.hero {
+  padding: 4rem 1rem;
+  background-size: cover;
+  background-position: center;
+  text-align: center;
+}
+
+.card {
+  padding: 1.5rem;
+  border: 1px solid #e5e7eb;
+  border-radius: 0.5rem;
+}
+
+.cta {
+  padding: 3rem 1rem;
+  background: var(--secondary-color);
+  color: #ffffff;
+  text-align: center;
+}
+
+.form,
+.field {
+  display: flex;
+  flex-direction: column;
+  gap: 0.75rem;
+}
+
+.field {
+  gap: 0.25rem;
+  border: none;
+  padding: 0;
+  margin: 0;
+}
+
+.field-checkbox,
+.field-option {
+  flex-direction: row;
+  align-items: center;
+  gap: 0.5rem;
+}
+
+.field-label {
+  font-weight: 500;
+}
+
+.field-input {
+  padding: 0.5rem 0.75rem;
+  border: 1px solid #d1d5db;
+  border-radius: 0.375rem;
+  font: inherit;
+}
+
+.form-success {
+  color: #047857;
+}
+
+.form-error {
+  color: #b91c1c;
+}
+
+.modal-overlay {
+  position: fixed;
+  inset: 0;
+  z-index: 50;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(0, 0, 0, 0.5);
+}
+
+.modal {
+  position: relative;
+  width: min(90vw, 32rem);
+  max-height: 90vh;
+  overflow: auto;
+  padding: 1.5rem;
+  border-radius: 0.5rem;
+  background: #ffffff;
+  color: #1a1a1a;
+}
+
+.modal-close {
+  position: absolute;
+  top: 0.5rem;
+  right: 0.75rem;
+  border: none;
+  background: none;
+  font-size: 1.5rem;
+  cursor: pointer;
+}
+
+.tabs-nav {
+  display: flex;
+  border-bottom: 1px solid #e5e7eb;
+}
+
+.tabs-tab,
+.accordion-header {
+  padding: 0.75rem 1rem;
+  border: none;
+  background: none;
+  font: inherit;
+  cursor: pointer;
+}
+
+.tabs-tab.active {
+  border-bottom: 2px solid var(--primary-color);
+  color: var(--primary-color);
+}
+
+.tabs-panel,
+.accordion-body {
+  padding: 1rem;
+}
+
+.accordion-item {
+  border-bottom: 1px solid #e5e7eb;
+}
+
+.accordion-header {
+  width: 100%;
+  text-align: left;
+  font-weight: 500;
+}
+
+.slider {
+  position: relative;
+  overflow: hidden;
+}
+
+.slider-track {
+  display: flex;
+  transition: transform 0.4s ease;
+}
+
+.slider-slide {
+  flex: 0 0 100%;
+  margin: 0;
+}
+
+.slider-slide img {
+  width: 100%;
+  display: block;
+}
+
+.slider-prev,
+.slider-next {
+  position: absolute;
+  top: 50%;
+  transform: translateY(-50%);
+  border: none;
+  background: rgba(0, 0, 0, 0.4);
+  color: #ffffff;
+  font-size: 2rem;
+  cursor: pointer;
+}
+
+.slider-prev {
+  left: 0.5rem;
+}
+
+.slider-next {
+  right: 0.5rem;
+}
+
+.slider-dots {
+  display: flex;
+  justify-content: center;
+  gap: 0.5rem;
+  padding: 0.5rem;
+}
+
+.slider-dot {
+  width: 0.625rem;
+  height: 0.625rem;
+  border: none;
+  border-radius: 50%;
+  background: #d1d5db;
+  cursor: pointer;
+}
+
+.slider-dot.active {
+  background: var(--primary-color);
+}
+
+.gallery {
+  gap: 0.5rem;
+}
+
+.gallery-item {
+  padding: 0;
+  border: none;
+  background: none;
+  cursor: zoom-in;
+}
+
+.gallery-item img {
+  width: 100%;
+  height: 100%;
+  object-fit: cover;
+}
+
+.gallery-lightbox {
+  position: fixed;
+  inset: 0;
+  z-index: 50;
+  display: flex;
+  align-items: center;
+  justify-content: center;
+  background: rgba(0, 0, 0, 0.85);
+  color: #ffffff;
+  cursor: zoom-out;
+}
+
+.gallery-lightbox img {
+  max-width: 90vw;
+  max-height: 85vh;
+}
+
+.video {
+  width: 100%;
+}
+
+.video-embed,
+.map {
+  position: relative;
+}
+
+.video-embed {
+  aspect-ratio: 16 / 9;
+}
+
+.video-embed iframe,
+.map iframe {
+  width: 100%;
+  height: 100%;
+  border: 0;
+}
+
+.table-wrapper {
+  overflow-x: auto;
+}
+
+.table {
+  width: 100%;
+  border-collapse: collapse;
+}
+
+.table th,
+.table td {
+  padding: 0.5rem 0.75rem;
+  border-bottom: 1px solid #e5e7eb;
+  text-align: left;
+}
+
+.data-message {
+  color: #6b7280;
+}
+
+.data-error {
+  color: #b91c1c;
+}
+
+.data-more {
+  margin-top: 1rem;
+}
+
+.navbar {
+  display: flex;
+  flex-wrap: wrap;
+  align-items: center;
+  justify-content: space-between;
+  padding: 1rem;
+}
+
+.navbar-brand {
+  font-weight: 700;
+  color: inherit;
+  text-decoration: none;
+}
+
+.navbar-toggle {
+  display: none;
+  border: none;
+  background: none;
+  font-size: 1.5rem;
+  cursor: pointer;
+}
+
+.navbar-links,
+.footer-links,
+.sidebar-links {
+  display: flex;
+  gap: 1rem;
+  margin: 0;
+  padding: 0;
+  list-style: none;
+}
+
+.navbar-links a,
+.footer-links a,
+.sidebar-links a {
+  color: inherit;
+  text-decoration: none;
+}
+
+.footer {
+  padding: 2rem 1rem;
+  border-top: 1px solid #e5e7eb;
+  text-align: center;
+}
+
+.footer-links {
+  justify-content: center;
+}
+
+.sidebar-layout {
+  display: flex;
+  gap: 2rem;
+}
+
+.sidebar {
+  flex: 0 0 16rem;
+}
+
+.sidebar-links {
+  flex-direction: column;
+}
+
+.sidebar-content {
+  flex: 1;
+}
+
+@media (max-width: 768px) {
+  .navbar-toggle {
+    display: block;
+  }
+
+  .navbar-menu {
+    display: none;
+    width: 100%;
+  }
+
+  .navbar-menu.open {
+    display: block;
+  }
+
+  .navbar-links {
+    flex-direction: column;
+    padding-top: 1rem;
+  }
+
+  .sidebar-layout {
+    flex-direction: column;
+  }
+
+  .sidebar {
+    flex-basis: auto;
+  }
+}
+`;
+
+// Project scaffolding
+
+// Account routes come first so a page cannot shadow them
+const generateRoutes = (views, auth) => `const routes = [
+${[
+  ...(auth ? Object.entries(ACCOUNT_VIEWS).map(([name, view]) => `  {
+    path: '${view.path}',
+    name: '${name}',
+    component: () => import('./views/account/${name}.vue')
+  }`) : []),
+  ...views.map(({ page, name }) => `  {
+    path: ${jsString(page.path)},
+    name: '${name}',
+    component: () => import('./views/${name}.vue')${auth && page.settings?.protected === true ? ',\n    meta: { protected: true }' : ''}
+  }`),
+].join(',\n')}
+]`;
+
+const generateRouteGuard = (auth) => (auth ? `
+
+// Pages marked protected in the builder need a signed-in user
+router.beforeEach((to) => {
+  if (to.meta.protected && !isSignedIn()) {
+    return { path: '/account/login', query: { redirect: to.fullPath } }
+  }
+})` : '');
+
+const generateAppStyles = (app) => `:root {
+  --primary-color: ${cssValue(app.theme?.primaryColor) || '#3B82F6'};
+  --secondary-color: ${cssValue(app.theme?.secondaryColor) || '#10B981'};
+}
+
+body {
+  margin: 0;
+  font-family: ${cssValue(app.theme?.fontFamily) || 'Inter'}, -apple-system, BlinkMacSystemFont, sans-serif;
+  background-color: ${cssValue(app.theme?.backgroundColor) || '#ffffff'};
+  color: ${cssValue(app.theme?.textColor) || '#1a1a1a'};
+}
+
+* {
+  box-sizing: border-box;
+}`;
+
+const generateIndexHtml = (app, entryScript) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(app.name)}</title>
+  </head>
+  <body>
+    <div id="app"></div>${entryScript ? `\n    ${entryScript}` : ''}
+  </body>
+</html>`;
+
+const generateViteScaffold = (app, views, auth) => ({
+  'package.json': {
+    name: app.subdomain,
+    version: '1.0.0',
+    private: true,
+    type: 'module',
+    scripts: {
+      dev: 'vite',
+      build: 'vite build',
+      preview: 'vite preview'
+    },
+    dependencies: {
+      'vue': '^3.4.21',
+      'vue-router': '^4.3.0'
+    },
+    devDependencies: {
+      '@vitejs/plugin-vue': '^5.0.4',
+      'vite': '^5.2.0'
+    }
+  },
+  'vite.config.js': `import { defineConfig } from 'vite'
+import vue from '@vitejs/plugin-vue'
+
+export default defineConfig({
+  plugins: [
+    // Image and media URLs come from the builder, not from project assets
+    vue({ template: { transformAssetUrls: false } }),
+  ],
+})
+`,
+  'index.html': generateIndexHtml(app, '<script type="module" src="/src/main.js"></script>'),
+  'src/main.js': `import { createApp } from 'vue'
+import { createRouter, createWebHistory } from 'vue-router'
+import App from './App.vue'
+import './styles/components.css'${auth ? "\nimport { isSignedIn } from './api/auth.js'" : ''}
+
+${generateRoutes(views, auth)}
+
+const router = createRouter({
+  history: createWebHistory(import.meta.env.BASE_URL),
+  routes
+})${generateRouteGuard(auth)}
+
+createApp(App).use(router).mount('#app')
+`,
+  'src/App.vue': `<template>
+  <router-view />
+</template>
+
+<style>
+${generateAppStyles(app)}
+</style>`
+});
+
+// Layout produced before the move to Vite, kept for apps that depend on it
+const generateVueCliScaffold = (app, views, auth) => ({
+  'package.json': {
+    name: app.subdomain,
+    version: '1.0.0',
+    private: true,
+    scripts: {
+      serve: 'vue-cli-service serve',
+      build: 'vue-cli-service build',
+      lint: 'vue-cli-service lint'
+    },
+    dependencies: {
+      'vue': '^3.2.13',
+      'vue-router': '^4.0.3',
+      '@vue/cli-service': '^5.0.0'
+    }
+  },
+  'vue.config.js': `module.exports = {
+  chainWebpack: config => {
+    // Image and media URLs come from the builder, not from project assets
+    config.module
+      .rule('vue')
+      .use('vue-loader')
+      .tap(options => ({ ...options, transformAssetUrls: false }))
+  }
+}
+`,
+  'public/index.html': generateIndexHtml(app),
+  'src/main.js': `import { createApp } from 'vue'
+import { createRouter, createWebHistory } from 'vue-router'
+import App from './App.vue'
+import './styles/components.css'${auth ? "\nimport { isSignedIn } from './api/auth.js'" : ''}
+
+${generateRoutes(views, auth)}
+
+const router = createRouter({
+  history: createWebHistory(),
+  routes
+})${generateRouteGuard(auth)}
+
+createApp(App).use(router).mount('#app')`,
+  'src/App.vue': `<template>
+  <div id="app">
+    <router-view />
+  </div>
+</template>
+
+<script>
+export default {
+  name: 'App'
+}
+</script>
+
+<style>
+${generateAppStyles(app)}
+</style>`
+});
+
+const generateReadme = (app, packageJson) => `# ${app.name}
+
+${app.description ? `${app.description}\n\n` : ''}Generated by XMBL App Generator.
+
+## Getting started
+
+\`\`\`bash
+npm install
+npm run ${packageJson.scripts.dev ? 'dev' : 'serve'}
+\`\`\`
+
+Build for production with \`npm run build\`.
+`;
+
+// Where the generated app reaches the platform, shipped as src/api/config.js.
+// The API URL can be overridden at build time.
+const generateApiConfig = (app, bundler, apiUrl) => `export const API_URL = ${bundler === 'vue-cli' ? 'process.env.VUE_APP_API_URL' : 'import.meta.env.VITE_API_URL'} || ${jsString(apiUrl)}
+export const SUBDOMAIN = ${jsString(encodeURIComponent(app.subdomain || ''))}
+`;
+
+// Client for the data API, shipped as src/api/data.js when a component is
+// bound to a collection. With auth, requests carry the signed-in user's token.
+const generateDataClient = (auth) => `import { API_URL, SUBDOMAIN } from './config.js'
+${auth ? "import { authHeaders, clearSession } from './auth.js'\n" : ''}
+const DATA_URL = \`\${API_URL}/data/\${SUBDOMAIN}\`
+
+async function request(path, options = {}) {
+  const response = await fetch(\`\${DATA_URL}/\${path}\`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ${auth ? '...authHeaders(), ' : ''}...options.headers },
+  })
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) {${auth ? '\n    // The session has ended\n    if (response.status === 401) clearSession()' : ''}
+    throw new Error(body.message || \`Request failed with status \${response.status}\`)
+  }
+  return body.data
+}
+
+// { filter: { status: 'open', price: { gte: 10 } }, sort: '-createdAt', limit: 20 }
+function toSearchParams({ filter = {}, sort, limit }, cursor) {
+  const params = new URLSearchParams()
+  Object.entries(filter).forEach(([field, condition]) => {
+    const conditions = condition !== null && typeof condition === 'object' && !Array.isArray(condition) ? condition : { eq: condition }
+    Object.entries(conditions).forEach(([operator, value]) => {
+      params.append(\`filter[\${field}][\${operator}]\`, Array.isArray(value) ? value.join(',') : String(value))
+    })
+  })
+  if (sort) params.set('sort', sort)
+  if (limit) params.set('limit', String(limit))
+  if (cursor) params.set('cursor', cursor)
+  return params
+}
+
+export function listRecords(collection, query = {}, cursor = null) {
+  return request(\`\${encodeURIComponent(collection)}?\${toSearchParams(query, cursor)}\`)
+}
+
+export async function createRecord(collection, data) {
+  const { record } = await request(encodeURIComponent(collection), {
+    method: 'POST',
+    body: JSON.stringify(data),
+  })
+  return record
+}
+
+// Reads a form into a record, converting values to the collection's field
+// types. Empty inputs are left out so the collection's defaults apply.
+export function formToRecord(form, types) {
+  const data = new FormData(form)
+  const record = {}
+  Object.entries(types).forEach(([name, type]) => {
+    if (type === 'boolean') {
+      if (form.elements[name]) record[name] = data.has(name)
+      return
+    }
+    const value = data.get(name)
+    if (value === null || value === '') return
+    record[name] = type === 'number' ? Number(value) : value
+  })
+  return record
+}
+`;
+
+// Sign-up, login and the stored session, shipped as src/api/auth.js when the
+// app has accounts. The token is kept in localStorage under the app's name.
+const AUTH_CLIENT = `import { API_URL, SUBDOMAIN } from './config.js'
+
+const ACCOUNTS_URL = \`\${API_URL}/accounts/\${SUBDOMAIN}\`
+const STORAGE_KEY = \`xmbl:\${SUBDOMAIN}:session\`
+
+function readSession() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY))
+  } catch (error) {
+    return null
+  }
+}
+
+function saveSession({ user, token }) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ user, token }))
+}
+
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY)
+}
+
+export function getToken() {
+  return readSession()?.token || null
+}
+
+// Only checks the token's expiry; the server still decides what it accepts
+export function isSignedIn() {
+  const token = getToken()
+  if (!token) return false
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return !payload.exp || payload.exp * 1000 > Date.now()
+  } catch (error) {
+    return false
+  }
+}
+
+export function getUser() {
+  return isSignedIn() ? readSession().user : null
+}
+
+export function authHeaders() {
+  const token = getToken()
+  return token ? { Authorization: \`Bearer \${token}\` } : {}
+}
+
+async function request(path, data, headers = {}) {
+  const response = await fetch(\`\${ACCOUNTS_URL}/\${path}\`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(data),
+  })
+  const body = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new Error(body.errors?.[0]?.msg || body.message || \`Request failed with status \${response.status}\`)
+  }
+  return body.data
+}
+
+export async function signUp(email, password, name = '') {
+  const session = await request('signup', { email, password, name })
+  saveSession(session)
+  return session.user
+}
+
+export async function logIn(email, password) {
+  const session = await request('login', { email, password })
+  saveSession(session)
+  return session.user
+}
+
+export async function logOut() {
+  try {
+    if (isSignedIn()) await request('logout', {}, authHeaders())
+  } finally {
+    clearSession()
+  }
+}
+
+export function requestPasswordReset(email) {
+  return request('forgot-password', { email })
+}
+
+export function resetPassword(token, password) {
+  return request('reset-password', { token, password })
+}
+`;
+
+// Script generation
+//
+// A page or component script is described once as { imports, state, refs,
+// methods, mounted, unmounted } and rendered either as `<script setup>` or as
+// an Options API object. Code fragments may be functions of an accessor so they
+// can refer to state (`count.value` vs `this.count`), methods (`save` vs
+// `this.save`) and template refs (`chart.value` vs `this.$refs.chart`).
+
+const createScript = () => ({
+  imports: [],
+  state: [],
+  refs: [],
+  methods: [],
+  mounted: [],
+  unmounted: [],
+});
+
+const addImport = (script, statement) => {
+  if (!script.imports.includes(statement)) script.imports.push(statement);
+};
+
+const indent = (text, spaces) => {
+  const pad = ' '.repeat(spaces);
+  return text.split('\n').map(line => (line ? `${pad}${line}` : line)).join('\n');
+};
+
+const setupAccessor = {
+  state: name => `${name}.value`,
+  method: name => name,
+  element: name => `${name}.value`,
+};
+
+const optionsAccessor = {
+  state: name => `this.${name}`,
+  method: name => `this.${name}`,
+  element: name => `this.$refs.${name}`,
+};
+
+const renderCode = (code, accessor) => (typeof code === 'function' ? code(accessor) : code);
+
+const renderSetupScript = (script, { props } = {}) => {
+  const vueImports = [];
+  if (script.state.length || script.refs.length) vueImports.push('ref');
+  if (script.mounted.length) vueImports.push('onMounted');
+  if (script.unmounted.length) vueImports.push('onUnmounted');
+
+  const blocks = [];
+  const imports = [
+    ...(vueImports.length ? [`import { ${vueImports.join(', ')} } from 'vue'`] : []),
+    ...script.imports,
+  ];
+  if (imports.length) blocks.push(imports.join('\n'));
+  if (props) blocks.push(`defineProps(${jsValue(props, 2)})`);
+  if (script.state.length) {
+    blocks.push(script.state.map(({ name, initial }) => `const ${name} = ref(${initial})`).join('\n'));
+  }
+  if (script.refs.length) {
+    blocks.push(script.refs.map(name => `const ${name} = ref(null)`).join('\n'));
+  }
+  script.methods.forEach(({ name, params = [], body, async: isAsync }) => {
+    blocks.push(`${isAsync ? 'async ' : ''}function ${name}(${params.join(', ')}) {
+${indent(renderCode(body, setupAccessor), 2)}
+}`);
+  });
+  if (script.mounted.length) {
+    blocks.push(`onMounted(() => {
+${indent(script.mounted.map(code => renderCode(code, setupAccessor)).join('\n\n'), 2)}
+})`);
+  }
+  if (script.unmounted.length) {
+    blocks.push(`onUnmounted(() => {
+${indent(script.unmounted.map(code => renderCode(code, setupAccessor)).join('\n\n'), 2)}
+})`);
+  }
+
+  return `<script setup>
+${blocks.join('\n\n')}
+</script>`;
+};
+
+const renderOptionsScript = (script, { name, props } = {}) => {
+  const members = [`name: '${name}'`];
+
+  if (props) members.push(`props: ${jsValue(props, 2)}`);
+  members.push(`data() {
+  return {
+${script.state.length ? script.state.map(({ name: key, initial }) => `    ${key}: ${initial},`).join('\n') : '    // Reactive state'}
+  }
+}`);
+  if (script.methods.length) {
+    members.push(`methods: {
+${script.methods.map(({ name: method, params = [], body, async: isAsync }) => `  ${isAsync ? 'async ' : ''}${method}(${params.join(', ')}) {
+${indent(renderCode(body, optionsAccessor), 4)}
+  }`).join(',\n')}
+}`);
+  }
+  if (script.mounted.length) {
+    members.push(`mounted() {
+${indent(script.mounted.map(code => renderCode(code, optionsAccessor)).join('\n\n'), 2)}
+}`);
+  }
+  if (script.unmounted.length) {
+    members.push(`unmounted() {
+${indent(script.unmounted.map(code => renderCode(code, optionsAccessor)).join('\n\n'), 2)}
+}`);
+  }
+
+  return `<script>
+${script.imports.length ? `${script.imports.join('\n')}\n\n` : ''}export default {
+${indent(members.join(',\n'), 2)}
+}
+</script>`;
+};
+
+const renderScript = (script, style, options) => {
+  return style === 'options' ? renderOptionsScript(script, options) : renderSetupScript(script, options);
+};
+
+// Pages and components
+
+const generateVuePageComponent = (page, app, scriptStyle = 'setup', project = createProject(), name = toComponentName(page.name, 'Page')) => {
+  const components = page.content?.components || [];
+  const script = createScript();
+  const ctx = { app, script, project, counter: 0, keys: new Map(), styles: [], dataLoaders: [] };
+  const pageClass = `page-${toClassName(page.name, 'page')}`;
+  const seo = page.content?.seo || {};
+
+  script.mounted.push(`// Set page title
+document.title = ${jsString(`${seo.title || page.name} | ${app.name}`)};`);
+
+  if (seo.description) {
+    script.mounted.push(`// Set meta description
+const metaDesc = document.querySelector('meta[name="description"]');
+if (metaDesc) {
+  metaDesc.content = ${jsString(seo.description)};
+} else {
+  const meta = document.createElement('meta');
+  meta.name = 'description';
+  meta.content = ${jsString(seo.description)};
+  document.getElementsByTagName('head')[0].appendChild(meta);
+}`);
+  }
+
+  const template = generateVueTemplate(components, ctx);
+
+  return `<template>
+  <div class="${pageClass}">
+${template}
+  </div>
+</template>
+
+${renderScript(script, scriptStyle, { name })}
+
+<style scoped>
+${[generateVueStyles(page.content?.styles, `.${pageClass}`), ...ctx.styles].filter(Boolean).join('\n\n')}
+</style>`;
+};
+
+// Account pages
+
+// Sign-in and password reset pages added to apps with accounts. `redirect`
+// is only followed to paths within the app.
+const ACCOUNT_VIEWS = {
+  AccountLogin: {
+    path: '/account/login',
+    title: 'Sign in',
+    state: {
+      mode: "'login'",
+      name: "''",
+      email: "''",
+      password: "''",
+      error: "''",
+      busy: 'false',
+      user: 'getUser()',
+    },
+    imports: ["import { getUser, signUp, logIn, logOut } from '../../api/auth.js'"],
+    methods: [
+      {
+        name: 'submit',
+        async: true,
+        body: ({ state }) => `${state('busy')} = true
+${state('error')} = ''
+try {
+  if (${state('mode')} === 'signup') {
+    await signUp(${state('email')}, ${state('password')}, ${state('name')})
+  } else {
+    await logIn(${state('email')}, ${state('password')})
+  }
+  const redirect = new URLSearchParams(window.location.search).get('redirect')
+  window.location.assign(redirect && /^\\/(?![/\\\\])/.test(redirect) ? redirect : '/')
+} catch (error) {
+  ${state('error')} = error.message
+} finally {
+  ${state('busy')} = false
+}`,
+      },
+      {
+        name: 'toggleMode',
+        body: ({ state }) => `${state('mode')} = ${state('mode')} === 'login' ? 'signup' : 'login'
+${state('error')} = ''`,
+      },
+      {
+        name: 'signOut',
+        async: true,
+        body: ({ state }) => `await logOut()
+${state('user')} = null`,
+      },
+    ],
+    template: `<div v-if="user" class="account-card">
+  <h1>Signed in</h1>
+  <p>{{ user.email }}</p>
+  <button type="button" class="btn" @click="signOut">Sign out</button>
+</div>
+<form v-else class="account-card form" @submit.prevent="submit">
+  <h1>{{ mode === 'signup' ? 'Create an account' : 'Sign in' }}</h1>
+  <label v-if="mode === 'signup'" class="field">
+    <span class="field-label">Name</span>
+    <input v-model="name" class="field-input" type="text" autocomplete="name" />
+  </label>
+  <label class="field">
+    <span class="field-label">Email</span>
+    <input v-model="email" class="field-input" type="email" autocomplete="email" required />
+  </label>
+  <label class="field">
+    <span class="field-label">Password</span>
+    <input v-model="password" class="field-input" type="password" :autocomplete="mode === 'signup' ? 'new-password' : 'current-password'" minlength="8" required />
+  </label>
+  <p v-if="error" class="form-error">{{ error }}</p>
+  <button type="submit" class="btn" :disabled="busy">{{ mode === 'signup' ? 'Create account' : 'Sign in' }}</button>
+  <button type="button" class="link-button" @click="toggleMode">{{ mode === 'signup' ? 'Already have an account? Sign in' : 'New here? Create an account' }}</button>
+  <router-link v-if="mode === 'login'" to="/account/reset-password" class="link-button">Forgot your password?</router-link>
+</form>`,
+  },
+
+  AccountReset: {
+    path: '/account/reset-password',
+    title: 'Reset password',
+    state: {
+      token: "new URLSearchParams(window.location.search).get('token') || ''",
+      email: "''",
+      password: "''",
+      message: "''",
+      error: "''",
+      busy: 'false',
+    },
+    imports: ["import { requestPasswordReset, resetPassword } from '../../api/auth.js'"],
+    methods: [
+      {
+        name: 'sendLink',
+        async: true,
+        body: ({ state }) => `${state('busy')} = true
+${state('error')} = ''
+try {
+  await requestPasswordReset(${state('email')})
+  ${state('message')} = 'If an account with that email exists, we have sent it a link to reset the password.'
+} catch (error) {
+  ${state('error')} = error.message
+} finally {
+  ${state('busy')} = false
+}`,
+      },
+      {
+        name: 'savePassword',
+        async: true,
+        body: ({ state }) => `${state('busy')} = true
+${state('error')} = ''
+try {
+  await resetPassword(${state('token')}, ${state('password')})
+  ${state('message')} = 'Your password has been changed. You can now sign in.'
+} catch (error) {
+  ${state('error')} = error.message
+} finally {
+  ${state('busy')} = false
+}`,
+      },
+    ],
+    template: `<div v-if="message" class="account-card">
+  <p class="form-success">{{ message }}</p>
+  <router-link to="/account/login" class="link-button">Back to sign in</router-link>
+</div>
+<form v-else-if="token" class="account-card form" @submit.prevent="savePassword">
+  <h1>Choose a new password</h1>
+  <label class="field">
+    <span class="field-label">New password</span>
+    <input v-model="password" class="field-input" type="password" autocomplete="new-password" minlength="8" required />
+  </label>
+  <p v-if="error" class="form-error">{{ error }}</p>
+  <button type="submit" class="btn" :disabled="busy">Save password</button>
+</form>
+<form v-else class="account-card form" @submit.prevent="sendLink">
+  <h1>Reset your password</h1>
+  <label class="field">
+    <span class="field-label">Email</span>
+    <input v-model="email" class="field-input" type="email" autocomplete="email" required />
+  </label>
+  <p v-if="error" class="form-error">{{ error }}</p>
+  <button type="submit" class="btn" :disabled="busy">Send reset link</button>
+  <router-link to="/account/login" class="link-button">Back to sign in</router-link>
+</form>`,
+  },
+};
+
+const ACCOUNT_STYLES = `.account-page {
+  display: flex;
+  justify-content: center;
+  padding: 3rem 1rem;
+}
+
+.account-card {
+  width: 100%;
+  max-width: 24rem;
+}
+
+.link-button {
+  padding: 0;
+  border: none;
+  background: none;
+  color: var(--primary-color);
+  font: inherit;
+  text-align: left;
+  text-decoration: underline;
+  cursor: pointer;
+}`;
+
+const generateAccountView = (view, app, scriptStyle, name) => {
+  const script = createScript();
+  view.imports.forEach(statement => addImport(script, statement));
+  Object.entries(view.state).forEach(([key, initial]) => script.state.push({ name: key, initial }));
+  script.methods.push(...view.methods);
+  script.mounted.push(`document.title = ${jsString(`${view.title} | ${app.name}`)};`);
+
+  return `<template>
+  <div class="account-page">
+${indent(view.template, 4)}
+  </div>
+</template>
+
+${renderScript(script, scriptStyle, { name })}
+
+<style scoped>
+${ACCOUNT_STYLES}
+</style>`;
+};
+
+const generateVueTemplate = (components, ctx) => {
+  if (!components || components.length === 0) {
+    return '    <div class="empty-page">This page is empty</div>';
+  }
+
+  return indent(renderComponents(components, ctx), 4);
+};
+
+const renderComponents = (components = [], ctx) => {
+  return components.map(component => renderComponent(component, ctx)).join('\n');
+};
+
+const renderComponent = (component, ctx) => {
+  const renderer = RENDERERS[component.type];
+  if (!renderer) {
+    const type = toClassName(component.type);
+    return `<div class="${type}"><!-- ${type} component --></div>`;
+  }
+  const props = component.props || {};
+  const markup = renderer(component, ctx, props);
+  return decorateRoot(markup, componentClasses(component, ctx, props), bindEvents(component, ctx));
+};
+
+// Resolves a component's `events` ({ click: functionId } or
+// { click: { functionId, args } }) to calls of the generated function modules.
+// Missing or inactive functions are skipped, as are functions whose trigger
+// does not match the event; `custom` functions can be bound to any event.
+const resolveEventHandlers = (component, ctx) => {
+  return Object.entries(component.events || {}).map(([event, binding]) => {
+    const { functionId, args = {} } = typeof binding === 'string' ? { functionId: binding } : binding || {};
+    const func = ctx.project.functions.get(functionId);
+
+    if (!EVENT_TYPES.includes(event) || !func || func.isActive === false) return null;
+    if (func.trigger !== event && func.trigger !== 'custom') return null;
+
+    addImport(ctx.script, `import ${func.moduleName} from '../functions/${func.moduleName}.js'`);
+    return {
+      event,
+      call: (locals = {}) => `${func.moduleName}(${renderArguments(func, args, locals)})`,
+    };
+  }).filter(Boolean);
+};
+
+// Fixed arguments from the binding win; otherwise parameters named after a
+// local (`event`, or `data` in a form submit) receive that local
+const renderArguments = (func, args, locals) => {
+  const fixed = Object.fromEntries(Object.entries(args || {}).map(([name, value]) => [toIdentifier(name, 'param'), value]));
+  const values = getParameterNames(func.parameters).map(name => {
+    if (Object.prototype.hasOwnProperty.call(fixed, name)) return jsValue(fixed[name]);
+    return locals[name] || 'undefined';
+  });
+
+  while (values[values.length - 1] === 'undefined') values.pop();
+  return values.join(', ');
+};
+
+// Click and change handlers become listeners on the component's root element
+// (both events bubble up from nested inputs); load handlers run on mount.
+// Submit handlers are called by the form renderer itself.
+const bindEvents = (component, ctx) => {
+  const attributes = [];
+
+  resolveEventHandlers(component, ctx).forEach(({ event, call }) => {
+    if (event === 'load') {
+      ctx.script.mounted.push(call());
+      return;
+    }
+    if (event === 'submit') return;
+
+    const key = componentKey(component, ctx);
+    const method = `on${key.charAt(0).toUpperCase()}${key.slice(1)}${event.charAt(0).toUpperCase()}${event.slice(1)}`;
+    ctx.script.methods.push({ name: method, params: ['event'], body: call({ event: 'event' }) });
+    attributes.push(`@${event}="${method}"`);
+  });
+
+  return attributes;
+};
+
+// Classes from the builder plus a generated class carrying the component's
+// own styles and breakpoint overrides, e.g. `c-comp-1a2b`
+const componentClasses = (component, ctx, props) => {
+  const classes = [...toClassList(props.className), ...toClassList(component.className)];
+  const hasResponsive = Object.values(component.responsive || {}).some(styles => styles && Object.keys(styles).length);
+
+  if ((component.styles && Object.keys(component.styles).length) || hasResponsive) {
+    const className = `c-${toClassName(componentKey(component, ctx))}`;
+    const rules = generateResponsiveStyles(`.${className}`, component.styles, component.responsive);
+    if (rules) {
+      ctx.styles.push(rules);
+      classes.push(className);
+    }
+  }
+
+  return [...new Set(classes)];
+};
+
+const toClassList = (value) => {
+  if (typeof value !== 'string') return [];
+  return value.split(/\s+/).filter(name => /^-?[_a-zA-Z][\w-]*$/.test(name));
+};
+
+// Adds classes and attributes to the first element of a rendered snippet,
+// merging the classes into its static class attribute when it has one
+const decorateRoot = (markup, classes, attributes = []) => {
+  if (!classes.length && !attributes.length) return markup;
+
+  const end = markup.indexOf('>');
+  let openingTag = markup.slice(0, end);
+  const classAttr = openingTag.match(/\sclass="([^"]*)"/);
+  if (classAttr) {
+    openingTag = openingTag.replace(classAttr[0], ` class="${[classAttr[1].trim(), ...classes].filter(Boolean).join(' ')}"`);
+  } else if (classes.length) {
+    attributes = [`class="${classes.join(' ')}"`, ...attributes];
+  }
+  const merged = attributes.length ? openingTag.replace(/\s*\/?$/, close => ` ${attributes.join(' ')}${close}`) : openingTag;
+
+  return merged + markup.slice(end);
+};
+
+const renderChildren = (component, ctx) => indent(renderComponents(component.children, ctx), 2);
+
+// Stable identifier for a component's generated state, e.g. `comp_1a2bTabs`
+const componentKey = (component, ctx) => {
+  if (!ctx.keys.has(component)) {
+    ctx.keys.set(component, component.id ? toIdentifier(component.id) : `component${++ctx.counter}`);
+  }
+  return ctx.keys.get(component);
+};
+
+const addState = (ctx, name, initial) => {
+  ctx.script.state.push({ name, initial });
+  return name;
+};
+
+const toSlugPath = (label) => {
+  const slug = String(label).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug === 'home' ? '/' : `/${slug}`;
+};
+
+const normalizeLink = (link) => {
+  if (typeof link === 'string') return { label: link, href: toSlugPath(link) };
+  return { label: link.label || link.text || '', href: safeUrl(link.href || link.path || link.url || '/') };
+};
+
+const renderLink = (link, className = '') => {
+  const { label, href } = normalizeLink(link);
+  const classAttr = className ? ` class="${className}"` : '';
+
+  if (href.startsWith('/') && !href.startsWith('//')) {
+    return `<router-link${classAttr} to="${escapeAttribute(href)}">${escapeHtml(label)}</router-link>`;
+  }
+  if (/^(?:https?:)?\/\//i.test(href)) {
+    return `<a${classAttr} href="${escapeAttribute(href)}" target="_blank" rel="noopener noreferrer">${escapeHtml(label)}</a>`;
+  }
+  return `<a${classAttr} href="${escapeAttribute(href)}">${escapeHtml(label)}</a>`;
+};
+
+const renderLinkList = (links = [], className) => {
+  return `<ul class="${className}">
+${links.map(link => `  <li>${renderLink(link)}</li>`).join('\n')}
+</ul>`;
+};
+
+const renderButtonLink = (text, link, className) => {
+  return link ? renderLink({ label: text, href: link }, className) : `<button type="button" class="${className}">${escapeHtml(text)}</button>`;
+};
+
+// Data-bound components
+//
+// A list, table or form can carry `props.dataSource`: { collection, filter,
+// sort, limit }. Lists and tables load their records from the collection when
+// the page mounts; forms create a record in it. Sources naming a collection
+// the app no longer has are ignored and the component renders its static props.
+
+const resolveDataSource = (ctx, props) => {
+  const source = props.dataSource;
+  const model = source && ctx.project.dataModels.get(source.collection);
+  if (!model) return null;
+
+  ctx.project.usesData = true;
+  return {
+    model,
+    query: {
+      ...(source.filter ? { filter: source.filter } : {}),
+      ...(source.sort ? { sort: source.sort } : {}),
+      ...(source.limit ? { limit: parseInt(source.limit, 10) || undefined } : {}),
+    },
+  };
+};
+
+const SYSTEM_RECORD_FIELDS = ['id', 'createdAt', 'updatedAt'];
+
+// Template expression for a record field, or null for fields the collection lacks
+const recordField = (model, name) => {
+  const known = SYSTEM_RECORD_FIELDS.includes(name) || model.fields.some(field => field.name === name);
+  return known && /^[A-Za-z_$][\w$]*$/.test(name) ? `record.${name}` : null;
+};
+
+// Adds the state and loader for a list or table bound to a collection
+const bindRecords = (component, ctx, source) => {
+  const key = componentKey(component, ctx);
+  const records = addState(ctx, `${key}Records`, '[]');
+  const status = addState(ctx, `${key}Status`, "'loading'");
+  const cursor = addState(ctx, `${key}Cursor`, 'null');
+  const load = `load${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+
+  addImport(ctx.script, "import { listRecords } from '../api/data.js'");
+  ctx.script.methods.push({
+    name: load,
+    params: ['more = false'],
+    async: true,
+    body: ({ state }) => `${state(status)} = 'loading'
+try {
+  const { records, pagination } = await listRecords(${jsString(source.model.name)}, ${jsValue(source.query)}, more ? ${state(cursor)} : null)
+  ${state(records)} = more ? [...${state(records)}, ...records] : records
+  ${state(cursor)} = pagination.nextCursor
+  ${state(status)} = 'ready'
+} catch (error) {
+  console.error(error)
+  ${state(status)} = 'error'
+}`,
+  });
+  ctx.script.mounted.push(({ method }) => `${method(load)}()`);
+  ctx.dataLoaders.push({ collection: source.model.name, load });
+
+  return { records, status, cursor, load };
+};
+
+const renderDataMessages = ({ records, status, cursor, load }, props) => `<p v-if="${status} === 'loading'" class="data-message">${escapeHtml(props.loadingText || 'Loading...')}</p>
+<p v-if="${status} === 'error'" class="data-message data-error">${escapeHtml(props.errorText || 'Could not load data.')}</p>
+<p v-if="${status} === 'ready' && !${records}.length" class="data-message">${escapeHtml(props.emptyText || 'Nothing here yet.')}</p>
+<button v-if="${cursor} && ${status} === 'ready'" type="button" class="btn data-more" @click="${load}(true)">${escapeHtml(props.loadMoreText || 'Load more')}</button>`;
+
+// Form controls for a collection's fields, used when a bound form lists none
+const fieldsFromModel = (model) => model.fields.map(field => {
+  const base = { name: field.name, label: field.name, required: field.required };
+  switch (field.type) {
+    case 'number':
+      return { ...base, type: 'number', step: field.integer ? '1' : 'any' };
+    case 'boolean':
+      return { ...base, type: 'checkbox', required: false, checked: field.default === true };
+    case 'date':
+      return { ...base, type: 'date' };
+    case 'enum':
+      return { ...base, type: 'select', options: field.values };
+    default:
+      return { ...base, type: 'text' };
+  }
+});
+
+const normalizeMedia = (item) => (typeof item === 'string' ? { src: item } : { ...item, src: item.src || item.image || item.url });
+
+const INPUT_TYPES = [
+  'text', 'email', 'password', 'number', 'tel', 'url', 'date', 'time',
+  'datetime-local', 'search', 'color', 'file',
+];
+
+const FIELD_TYPES = ['input', 'textarea', 'select', 'checkbox', 'radio'];
+
+const CHART_TYPES = ['bar', 'line', 'pie', 'doughnut', 'radar', 'polarArea'];
+
+const fieldAttributes = (props) => {
+  return [
+    props.name ? ` name="${escapeAttribute(props.name)}"` : '',
+    props.placeholder ? ` placeholder="${escapeAttribute(props.placeholder)}"` : '',
+    props.required ? ' required' : '',
+    props.step ? ` step="${escapeAttribute(props.step)}"` : '',
+  ].join('');
+};
+
+const renderFieldLabel = (props) => (props.label ? `\n  <span class="field-label">${escapeHtml(props.label)}</span>` : '');
+
+const getEmbedUrl = (src) => {
+  const youtube = String(src).match(/(?:youtube\.com\/(?:watch\?v=|embed\/)|youtu\.be\/)([\w-]{11})/);
+  if (youtube) return `https://www.youtube.com/embed/${youtube[1]}`;
+
+  const vimeo = String(src).match(/vimeo\.com\/(?:video\/)?(\d+)/);
+  if (vimeo) return `https://player.vimeo.com/video/${vimeo[1]}`;
+
+  return null;
+};
+
+const RENDERERS = {
+  heading: (component, ctx, props) => {
+    const level = Math.min(Math.max(parseInt(props.level, 10) || 1, 1), 6);
+    return `<h${level} class="heading">${escapeHtml(props.text)}</h${level}>`;
+  },
+
+  text: (component, ctx, props) => `<p class="text">${escapeHtml(props.content)}</p>`,
+
+  button: (component, ctx, props) => {
+    if (props.href) {
+      return renderLink({ label: props.text || 'Button', href: props.href }, 'btn');
+    }
+    return `<button type="button" class="btn">${escapeHtml(props.text || 'Button')}</button>`;
+  },
+
+  image: (component, ctx, props) => `<img src="${escapeAttribute(safeUrl(props.src))}" alt="${escapeAttribute(props.alt)}" class="image" loading="lazy" />`,
+
+  container: (component, ctx) => `<div class="container">
+${renderChildren(component, ctx)}
+</div>`,
+
+  grid: (component, ctx, props) => `<div class="grid" style="grid-template-columns: repeat(${parseInt(props.columns, 10) || 1}, 1fr); gap: ${escapeAttribute(cssValue(props.gap) || '1rem')};">
+${renderChildren(component, ctx)}
+</div>`,
+
+  hero: (component, ctx, props) => {
+    const background = props.backgroundImage ? ` style="${escapeAttribute(`background-image: url(${cssString(safeUrl(props.backgroundImage))});`)}"` : '';
+    const button = props.buttonText ? `\n    ${renderButtonLink(props.buttonText, props.buttonLink, 'hero-button')}` : '';
+    return `<section class="hero"${background}>
+  <div class="hero-content">
+    <h1 class="hero-title">${escapeHtml(props.title)}</h1>
+    <p class="hero-subtitle">${escapeHtml(props.subtitle)}</p>${button}
+  </div>
+</section>`;
+  },
+
+  card: (component, ctx, props) => {
+    const image = props.image ? `\n  <img src="${escapeAttribute(safeUrl(props.image))}" alt="${escapeAttribute(props.title)}" class="card-image" loading="lazy" />` : '';
+    const children = component.children?.length ? `\n${renderChildren(component, ctx)}` : '';
+    return `<div class="card">${image}
+  <h3 class="card-title">${escapeHtml(props.title)}</h3>
+  <p class="card-description">${escapeHtml(props.description)}</p>${children}
+</div>`;
+  },
+
+  cta: (component, ctx, props) => {
+    const button = `\n  ${renderButtonLink(props.buttonText || 'Get Started', props.buttonLink, 'btn cta-button')}`;
+    return `<section class="cta">
+  <h2 class="cta-title">${escapeHtml(props.title)}</h2>
+  <p class="cta-description">${escapeHtml(props.description)}</p>${button}
+</section>`;
+  },
+
+  form: (component, ctx, props) => {
+    const key = componentKey(component, ctx);
+    const status = addState(ctx, `${key}Status`, "'idle'");
+    const submit = `submit${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+    const source = resolveDataSource(ctx, props);
+    const fieldProps = source && !(props.fields || []).length ? fieldsFromModel(source.model) : props.fields || [];
+    const fields = fieldProps.map(field => renderComponent({ type: FIELD_TYPES.includes(field.type) ? field.type : 'input', props: field }, ctx));
+    const handlers = resolveEventHandlers(component, ctx).filter(handler => handler.event === 'submit');
+
+    if (source) {
+      addImport(ctx.script, "import { createRecord, formToRecord } from '../api/data.js'");
+    }
+    const readData = source
+      ? `formToRecord(event.target, ${jsValue(Object.fromEntries(source.model.fields.map(field => [field.name, field.type])))})`
+      : 'Object.fromEntries(new FormData(event.target))';
+
+    // Bound submit functions run first and can cancel the submission by returning false.
+    // Lists and tables of the same collection reload once a record is created.
+    const steps = ({ state, method }) => [
+      ...handlers.map(({ call }) => `if (await ${call({ event: 'event', data: 'data' })} === false) {
+  ${state(status)} = 'idle'
+  return
+}`),
+      source ? [
+        `await createRecord(${jsString(source.model.name)}, data)`,
+        ...ctx.dataLoaders
+          .filter(loader => loader.collection === source.model.name)
+          .map(loader => `${method(loader.load)}()`),
+      ].join('\n') : '',
+      !source && props.action ? `const response = await fetch(${jsString(safeUrl(props.action))}, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(data),
+})
+if (!response.ok) throw new Error(\`Request failed with status \${response.status}\`)` : '',
+      !source && !props.action && !handlers.length ? "console.log('Form submitted', data)" : '',
+    ].filter(Boolean).join('\n');
+
+    ctx.script.methods.push({
+      name: submit,
+      params: ['event'],
+      async: true,
+      body: (accessor) => `const data = ${readData}
+${accessor.state(status)} = 'sending'
+try {
+${indent(steps(accessor), 2)}
+  ${accessor.state(status)} = 'sent'
+  event.target.reset()
+} catch (error) {
+  console.error(error)
+  ${accessor.state(status)} = 'error'
+}`,
+    });
+
+    return `<form class="form" @submit.prevent="${submit}">
+${[...fields.map(field => indent(field, 2)), renderChildren(component, ctx)].filter(part => part.trim()).join('\n')}
+  <button type="submit" class="btn" :disabled="${status} === 'sending'">${escapeHtml(props.submitText || 'Submit')}</button>
+  <p v-if="${status} === 'sent'" class="form-message form-success">${escapeHtml(props.successMessage || 'Thanks! Your submission has been received.')}</p>
+  <p v-if="${status} === 'error'" class="form-message form-error">${escapeHtml(props.errorMessage || 'Something went wrong. Please try again.')}</p>
+</form>`;
+  },
+
+  input: (component, ctx, props) => {
+    const type = INPUT_TYPES.includes(props.type) ? props.type : 'text';
+    return `<label class="field">${renderFieldLabel(props)}
+  <input class="field-input" type="${type}"${fieldAttributes(props)} />
+</label>`;
+  },
+
+  textarea: (component, ctx, props) => `<label class="field">${renderFieldLabel(props)}
+  <textarea class="field-input" rows="${parseInt(props.rows, 10) || 4}"${fieldAttributes(props)}></textarea>
+</label>`,
+
+  select: (component, ctx, props) => {
+    const options = (props.options || []).map(option => {
+      const { label, value } = typeof option === 'string' ? { label: option, value: option } : option;
+      return `    <option value="${escapeAttribute(value ?? label)}">${escapeHtml(label ?? value)}</option>`;
+    });
+    const placeholder = props.placeholder ? `\n    <option value="" disabled selected>${escapeHtml(props.placeholder)}</option>` : '';
+    return `<label class="field">${renderFieldLabel(props)}
+  <select class="field-input"${props.name ? ` name="${escapeAttribute(props.name)}"` : ''}${props.required ? ' required' : ''}>${placeholder}
+${options.join('\n')}
+  </select>
+</label>`;
+  },
+
+  checkbox: (component, ctx, props) => `<label class="field field-checkbox">
+  <input type="checkbox"${props.name ? ` name="${escapeAttribute(props.name)}"` : ''} value="true"${props.checked ? ' checked' : ''}${props.required ? ' required' : ''} />
+  <span>${escapeHtml(props.label)}</span>
+</label>`,
+
+  radio: (component, ctx, props) => {
+    const options = (props.options || []).map(option => {
+      const { label, value } = typeof option === 'string' ? { label: option, value: option } : option;
+      return `  <label class="field-option">
+    <input type="radio"${props.name ? ` name="${escapeAttribute(props.name)}"` : ''} value="${escapeAttribute(value ?? label)}"${props.required ? ' required' : ''} />
+    <span>${escapeHtml(label ?? value)}</span>
+  </label>`;
+    });
+    return `<fieldset class="field field-radio">${props.label ? `\n  <legend class="field-label">${escapeHtml(props.label)}</legend>` : ''}
+${options.join('\n')}
+</fieldset>`;
+  },
+
+  modal: (component, ctx, props) => {
+    const open = addState(ctx, `${componentKey(component, ctx)}Open`, 'false');
+    const title = props.title ? `\n      <h3 class="modal-title">${escapeHtml(props.title)}</h3>` : '';
+    const content = props.content ? `\n      <p class="modal-content">${escapeHtml(props.content)}</p>` : '';
+    const children = component.children?.length ? `\n${indent(renderChildren(component, ctx), 4)}` : '';
+    return `<div class="modal-wrapper">
+  <button type="button" class="btn" @click="${open} = true">${escapeHtml(props.triggerText || 'Open')}</button>
+  <div v-if="${open}" class="modal-overlay" @click.self="${open} = false">
+    <div class="modal" role="dialog" aria-modal="true">
+      <button type="button" class="modal-close" aria-label="Close" @click="${open} = false">&times;</button>${title}${content}${children}
+    </div>
+  </div>
+</div>`;
+  },
+
+  tabs: (component, ctx, props) => {
+    const active = addState(ctx, `${componentKey(component, ctx)}Active`, '0');
+    const tabs = props.tabs || (component.children || []).map((child, index) => ({ label: child.props?.label || `Tab ${index + 1}` }));
+    const nav = tabs.map((tab, index) => `    <button type="button" class="tabs-tab" role="tab" :class="{ active: ${active} === ${index} }" :aria-selected="${active} === ${index}" @click="${active} = ${index}">${escapeHtml(tab.label || `Tab ${index + 1}`)}</button>`);
+    const panels = tabs.map((tab, index) => {
+      const child = component.children?.[index];
+      const body = child ? indent(renderComponent(child, ctx), 4) : `    ${escapeHtml(tab.content)}`;
+      return `  <div v-show="${active} === ${index}" class="tabs-panel" role="tabpanel">
+${body}
+  </div>`;
+    });
+    return `<div class="tabs">
+  <div class="tabs-nav" role="tablist">
+${nav.join('\n')}
+  </div>
+${panels.join('\n')}
+</div>`;
+  },
+
+  accordion: (component, ctx, props) => {
+    const open = addState(ctx, `${componentKey(component, ctx)}Open`, props.openFirst ? '0' : 'null');
+    const items = (props.items || []).map((item, index) => `  <div class="accordion-item" :class="{ open: ${open} === ${index} }">
+    <button type="button" class="accordion-header" :aria-expanded="${open} === ${index}" @click="${open} = ${open} === ${index} ? null : ${index}">${escapeHtml(item.title)}</button>
+    <div v-show="${open} === ${index}" class="accordion-body">${escapeHtml(item.content)}</div>
+  </div>`);
+    return `<div class="accordion">
+${items.join('\n')}
+</div>`;
+  },
+
+  slider: (component, ctx, props) => {
+    const slides = (props.slides || props.images || []).map(normalizeMedia);
+    if (slides.length === 0) {
+      return '<div class="slider slider-empty"></div>';
+    }
+
+    const key = componentKey(component, ctx);
+    const current = addState(ctx, `${key}Index`, '0');
+    const count = slides.length;
+    const interval = parseInt(props.autoplay, 10);
+
+    if (interval > 0) {
+      const timer = addState(ctx, `${key}Timer`, 'null');
+      ctx.script.mounted.push(({ state }) => `${state(timer)} = setInterval(() => {
+  ${state(current)} = (${state(current)} + 1) % ${count}
+}, ${interval})`);
+      ctx.script.unmounted.push(({ state }) => `clearInterval(${state(timer)})`);
+    }
+
+    const items = slides.map(slide => `    <figure class="slider-slide">
+      <img src="${escapeAttribute(safeUrl(slide.src))}" alt="${escapeAttribute(slide.alt)}" />${slide.caption ? `\n      <figcaption>${escapeHtml(slide.caption)}</figcaption>` : ''}
+    </figure>`);
+    return `<div class="slider">
+  <div class="slider-track" :style="{ transform: 'translateX(-' + ${current} * 100 + '%)' }">
+${items.join('\n')}
+  </div>
+  <button type="button" class="slider-prev" aria-label="Previous slide" @click="${current} = (${current} + ${count - 1}) % ${count}">&#8249;</button>
+  <button type="button" class="slider-next" aria-label="Next slide" @click="${current} = (${current} + 1) % ${count}">&#8250;</button>
+  <div class="slider-dots">
+    <button v-for="n in ${count}" :key="n" type="button" class="slider-dot" :class="{ active: ${current} === n - 1 }" :aria-label="'Go to slide ' + n" @click="${current} = n - 1"></button>
+  </div>
+</div>`;
+  },
+
+  gallery: (component, ctx, props) => {
+    const images = (props.images || []).map(normalizeMedia);
+    const selected = addState(ctx, `${componentKey(component, ctx)}Selected`, 'null');
+    const thumbnails = images.map((image, index) => `    <button type="button" class="gallery-item" @click="${selected} = ${index}">
+      <img src="${escapeAttribute(safeUrl(image.src))}" alt="${escapeAttribute(image.alt)}" loading="lazy" />
+    </button>`);
+    const fullSize = images.map((image, index) => `    <figure v-if="${selected} === ${index}">
+      <img src="${escapeAttribute(safeUrl(image.src))}" alt="${escapeAttribute(image.alt)}" />${image.caption ? `\n      <figcaption>${escapeHtml(image.caption)}</figcaption>` : ''}
+    </figure>`);
+    return `<div class="gallery-wrapper">
+  <div class="gallery" style="grid-template-columns: repeat(${parseInt(props.columns, 10) || 3}, 1fr);">
+${thumbnails.join('\n')}
+  </div>
+  <div v-if="${selected} !== null" class="gallery-lightbox" @click="${selected} = null">
+${fullSize.join('\n')}
+  </div>
+</div>`;
+  },
+
+  video: (component, ctx, props) => {
+    const src = props.src || '';
+    const embedUrl = getEmbedUrl(src);
+    if (embedUrl) {
+      return `<div class="video video-embed">
+  <iframe src="${embedUrl}" title="${escapeAttribute(props.title || 'Video')}" frameborder="0" allow="accelerometer; autoplay; encrypted-media; gyroscope; picture-in-picture" allowfullscreen></iframe>
+</div>`;
+    }
+
+    const flags = [
+      props.controls !== false ? ' controls' : '',
+      props.autoplay ? ' autoplay' : '',
+      props.muted || props.autoplay ? ' muted' : '',
+      props.loop ? ' loop' : '',
+    ].join('');
+    return `<video class="video" src="${escapeAttribute(safeUrl(src))}"${props.poster ? ` poster="${escapeAttribute(safeUrl(props.poster))}"` : ''}${flags} playsinline></video>`;
+  },
+
+  map: (component, ctx, props) => {
+    const query = props.address || (props.lat !== undefined && props.lng !== undefined ? `${props.lat},${props.lng}` : '');
+    const zoom = parseInt(props.zoom, 10) || 14;
+    const height = parseInt(props.height, 10) || 400;
+    return `<div class="map" style="height: ${height}px;">
+  <iframe src="https://maps.google.com/maps?q=${encodeURIComponent(query)}&amp;z=${zoom}&amp;output=embed" title="${escapeAttribute(props.title || 'Map')}" loading="lazy" frameborder="0"></iframe>
+</div>`;
+  },
+
+  chart: (component, ctx, props) => {
+    const canvas = `${componentKey(component, ctx)}Canvas`;
+    const type = CHART_TYPES.includes(props.type) ? props.type : 'bar';
+    const datasets = props.datasets || [{ label: props.label || '', data: props.data || [] }];
+    const config = {
+      type,
+      data: { labels: props.labels || [], datasets },
+      options: {
+        responsive: true,
+        plugins: {
+          legend: { display: datasets.length > 1 || type === 'pie' || type === 'doughnut' },
+          ...(props.title && { title: { display: true, text: props.title } }),
+        },
+      },
+    };
+
+    ctx.project.dependencies['chart.js'] = '^4.4.0';
+    addImport(ctx.script, "import Chart from 'chart.js/auto'");
+    ctx.script.refs.push(canvas);
+    ctx.script.mounted.push(({ element }) => `new Chart(${element(canvas)}, ${jsValue(config, 2)})`);
+    ctx.script.unmounted.push(({ element }) => `Chart.getChart(${element(canvas)})?.destroy()`);
+
+    return `<div class="chart">
+  <canvas ref="${canvas}"></canvas>
+</div>`;
+  },
+
+  list: (component, ctx, props) => {
+    const tag = props.ordered ? 'ol' : 'ul';
+    const source = resolveDataSource(ctx, props);
+
+    if (source) {
+      const data = bindRecords(component, ctx, source);
+      const { model } = source;
+      const title = recordField(model, props.titleField) || recordField(model, model.fields[0].name) || 'record.id';
+      const description = recordField(model, props.descriptionField);
+      return `<div class="data-list">
+  <${tag} class="list">
+    <li v-for="record in ${data.records}" :key="record.id">
+      <strong class="list-title">{{ ${title} }}</strong>${description ? `\n      <p v-if="${description}" class="list-description">{{ ${description} }}</p>` : ''}
+    </li>
+  </${tag}>
+${indent(renderDataMessages(data, props), 2)}
+</div>`;
+    }
+
+    const items = (props.items || []).map(item => {
+      if (typeof item === 'string') return `  <li>${escapeHtml(item)}</li>`;
+      return `  <li>
+    <strong class="list-title">${escapeHtml(item.title)}</strong>${item.description ? `\n    <p class="list-description">${escapeHtml(item.description)}</p>` : ''}
+  </li>`;
+    });
+    return `<${tag} class="list">
+${items.join('\n')}
+</${tag}>`;
+  },
+
+  table: (component, ctx, props) => {
+    const columns = (props.columns || []).map(column => (typeof column === 'string' ? { key: column, label: column } : column));
+    const source = resolveDataSource(ctx, props);
+
+    if (source) {
+      const data = bindRecords(component, ctx, source);
+      const { model } = source;
+      const boundColumns = (columns.length ? columns : model.fields.map(field => ({ key: field.name, label: field.name })))
+        .map(column => ({ ...column, value: recordField(model, column.key) }))
+        .filter(column => column.value);
+      return `<div class="table-wrapper">
+  <table class="table">${props.caption ? `\n    <caption>${escapeHtml(props.caption)}</caption>` : ''}
+    <thead>
+      <tr>
+${boundColumns.map(column => `        <th>${escapeHtml(column.label ?? column.key)}</th>`).join('\n')}
+      </tr>
+    </thead>
+    <tbody>
+      <tr v-for="record in ${data.records}" :key="record.id">
+${boundColumns.map(column => `        <td>{{ ${column.value} }}</td>`).join('\n')}
+      </tr>
+    </tbody>
+  </table>
+${indent(renderDataMessages(data, props), 2)}
+</div>`;
+    }
+
+    const rows = (props.rows || []).map(row => {
+      const cells = Array.isArray(row) ? row : columns.map(column => row[column.key]);
+      return `      <tr>
+${cells.map(cell => `        <td>${escapeHtml(cell)}</td>`).join('\n')}
+      </tr>`;
+    });
+    return `<div class="table-wrapper">
+  <table class="table">${props.caption ? `\n    <caption>${escapeHtml(props.caption)}</caption>` : ''}
+    <thead>
+      <tr>
+${columns.map(column => `        <th>${escapeHtml(column.label ?? column.key)}</th>`).join('\n')}
+      </tr>
+    </thead>
+    <tbody>
+${rows.join('\n')}
+    </tbody>
+  </table>
+</div>`;
+  },
+
+  navbar: (component, ctx, props) => {
+    const menuOpen = addState(ctx, `${componentKey(component, ctx)}MenuOpen`, 'false');
+    return `<nav class="navbar">
+  <router-link to="/" class="navbar-brand">${escapeHtml(props.brand || ctx.app.name)}</router-link>
+  <button type="button" class="navbar-toggle" aria-label="Toggle navigation" :aria-expanded="${menuOpen}" @click="${menuOpen} = !${menuOpen}">&#9776;</button>
+  <div class="navbar-menu" :class="{ open: ${menuOpen} }" @click="${menuOpen} = false">
+${indent(renderLinkList(props.links, 'navbar-links'), 4)}
+  </div>
+</nav>`;
+  },
+
+  footer: (component, ctx, props) => {
+    const links = props.links?.length ? `\n${indent(renderLinkList(props.links, 'footer-links'), 2)}` : '';
+    return `<footer class="footer">
+  <p class="footer-text">${props.text ? escapeHtml(props.text) : `&copy; ${new Date().getFullYear()} ${escapeHtml(ctx.app.name)}`}</p>${links}
+</footer>`;
+  },
+
+  sidebar: (component, ctx, props) => {
+    const title = props.title ? `\n    <h3 class="sidebar-title">${escapeHtml(props.title)}</h3>` : '';
+    return `<div class="sidebar-layout">
+  <aside class="sidebar">${title}
+${indent(renderLinkList(props.links, 'sidebar-links'), 4)}
+  </aside>
+  <div class="sidebar-content">
+${indent(renderComponents(component.children, ctx), 4)}
+  </div>
+</div>`;
+  },
+};
+
+// Turns a styles object such as { textAlign: 'center' } into a CSS rule
+const generateVueStyles = (styles, selector) => {
+  if (!styles) return '';
+
+  let css = '';
+  Object.entries(styles).forEach(([key, value]) => {
+    const property = cssProperty(key);
+    const declaration = cssValue(value);
+    if (property && declaration) css += `  ${property}: ${declaration};\n`;
+  });
+  return css ? `${selector} {\n${css}}` : '';
+};
+
+// Base rule followed by one media query per breakpoint override
+const generateResponsiveStyles = (selector, styles, responsive = {}) => {
+  const rules = [generateVueStyles(styles, selector)];
+  Object.entries(BREAKPOINTS).forEach(([breakpoint, query]) => {
+    const rule = generateVueStyles(responsive[breakpoint], selector);
+    if (rule) rules.push(`@media ${query} {\n${indent(rule, 2)}\n}`);
+  });
+  return rules.filter(Boolean).join('\n\n');
+};
+
+// Custom templates are authored Vue markup and are kept as is, apart from
+// anything that would run outside Vue or break out of the SFC block
+const sanitizeTemplate = (template) => String(template)
+  .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+  .replace(/<\/?(?:script|style)\b[^>]*>/gi, '')
+  .replace(/\son\w+\s*=\s*(?:"[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+
+const generateVueCustomComponent = (component, scriptStyle = 'setup', name = toComponentName(component.name)) => {
+  const className = `custom-${toClassName(component.name)}`;
+  return `<template>
+  <div class="${className}">
+    ${component.template ? sanitizeTemplate(component.template) : '<!-- Custom component template -->'}
+  </div>
+</template>
+
+${renderScript(createScript(), scriptStyle, { name, props: component.props || {} })}
+
+<style scoped>
+${generateVueStyles(component.styles, `.${className}`)}
+</style>`;
+};
+
+// Functions
+
+const RESERVED_WORDS = new Set([
+  'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default', 'delete',
+  'do', 'else', 'enum', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'import',
+  'in', 'instanceof', 'let', 'new', 'null', 'return', 'static', 'super', 'switch', 'this', 'throw',
+  'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield',
+]);
+
+const toIdentifier = (name, fallback = 'fn') => {
+  const identifier = String(name)
+    .replace(/[^A-Za-z0-9_$]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''))
+    .replace(/^[^A-Za-z_$]+/, '');
+  if (!identifier) return fallback;
+  return RESERVED_WORDS.has(identifier) ? `_${identifier}` : identifier;
+};
+
+const getParameterNames = (parameters = []) => {
+  return parameters
+    .map(param => (typeof param === 'string' ? param : param?.name))
+    .filter(Boolean)
+    .map(param => toIdentifier(param, 'param'));
+};
+
+const generateFunctionModule = (func, name = toIdentifier(func.name)) => {
+  const body = (func.code || '').split('\n').map(line => `  ${line}`).join('\n');
+
+  return `${func.description ? `// ${jsComment(func.description)}\n` : ''}// Trigger: ${jsComment(func.trigger)}${func.schedule ? ` (${jsComment(func.schedule)})` : ''}
+export default function ${name}(${getParameterNames(func.parameters).join(', ')}) {
+${body}
+}
+`;
+};
+
+module.exports = {
+  BUNDLERS,
+  DEFAULT_BUNDLER,
+  BREAKPOINTS,
+  EVENT_TYPES,
+  generateVueApp,
+};
@@ -0,0 +1,458 @@
+// Sharing apps with other platform users. People get access to an app as a
+// collaborator on the app itself, or as a member of the workspace the app
+// belongs to, and join either by accepting an email invitation. Their role
+// is the higher of the two.
+
+const crypto = require('crypto');
+const {
+  createDocument,
+  getDocument,
+  updateDocument,
+  deleteDocument,
+  queryDocuments,
+  batchWrite,
+  moveUserAppData,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { sendMail } = require('./mailer');
+
+// Least to most: viewers read an app, editors build it, admins manage its
+// settings, secrets, users, people and deployments, and only the owner can
+// delete it. Workspace roles use the same names.
+const APP_ROLES = ['viewer', 'editor', 'admin', 'owner'];
+// Roles that can be given out; the owner changes by transfer only
+const INVITABLE_ROLES = ['viewer', 'editor', 'admin'];
+const INVITATION_TYPES = ['app', 'workspace'];
+const INVITATION_TTL_MS = (parseInt(process.env.INVITATION_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+// Documents that carry the app owner's userId and move with the app
+const APP_OWNED_COLLECTIONS = [
+  COLLECTIONS.PAGES,
+  COLLECTIONS.COMPONENTS,
+  COLLECTIONS.FUNCTIONS,
+  COLLECTIONS.DATA_MODELS,
+  COLLECTIONS.DEPLOYMENTS,
+];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const hasRole = (role, required) => APP_ROLES.indexOf(role) >= APP_ROLES.indexOf(required);
+
+const highestRole = (roles) => roles
+  .filter(Boolean)
+  .reduce((highest, role) => (!highest || hasRole(role, highest) ? role : highest), null);
+
+// Workspace owners manage the workspace's apps, but can't delete apps that
+// belong to someone else
+const toAppRole = (workspaceRole) => (workspaceRole === 'owner' ? 'admin' : workspaceRole);
+
+// One document per person and app or workspace, so granting a role twice
+// updates it instead of adding a second entry
+const collaboratorId = (appId, userId) => `${appId}_${userId}`;
+const memberId = (workspaceId, userId) => `${workspaceId}_${userId}`;
+
+const writeInBatches = async (operations) => {
+  for (let i = 0; i < operations.length; i += 500) {
+    await batchWrite(operations.slice(i, i + 500));
+  }
+};
+
+const toPersonSummary = (user) => ({
+  id: user.id,
+  email: user.email,
+  displayName: user.displayName || '',
+  avatar: user.profile?.avatar || null,
+});
+
+// Adds each entry's user as `user`, dropping entries whose user is gone
+const withPeople = async (entries) => {
+  const users = await Promise.all(entries.map(entry => getDocument(COLLECTIONS.USERS, entry.userId)));
+  return entries
+    .map((entry, i) => users[i] && { ...entry, user: toPersonSummary(users[i]) })
+    .filter(Boolean);
+};
+
+const findUserByEmail = async (email) => {
+  const [user] = await queryDocuments(COLLECTIONS.USERS, [
+    { field: 'email', operator: '==', value: normalizeEmail(email) },
+  ]);
+  return user || null;
+};
+
+// Workspaces
+
+const getWorkspaceMember = (workspaceId, userId) => getDocument(COLLECTIONS.WORKSPACE_MEMBERS, memberId(workspaceId, userId));
+
+const getWorkspaceRole = async (workspace, userId) => {
+  if (!workspace || workspace.isDeleted) {
+    return null;
+  }
+  return (await getWorkspaceMember(workspace.id, userId))?.role || null;
+};
+
+const createWorkspace = async (userId, { name, description }) => {
+  const workspaceId = await createDocument(COLLECTIONS.WORKSPACES, {
+    name,
+    description: description || '',
+    ownerId: userId,
+    isDeleted: false,
+  });
+  await createDocument(COLLECTIONS.WORKSPACE_MEMBERS, { workspaceId, userId, role: 'owner' }, memberId(workspaceId, userId));
+
+  return getDocument(COLLECTIONS.WORKSPACES, workspaceId);
+};
+
+// The user's workspaces, each with their role as `role`
+const listWorkspaces = async (userId) => {
+  const memberships = await queryDocuments(COLLECTIONS.WORKSPACE_MEMBERS, [
+    { field: 'userId', operator: '==', value: userId },
+  ]);
+  const workspaces = await Promise.all(memberships.map(membership => getDocument(COLLECTIONS.WORKSPACES, membership.workspaceId)));
+
+  return workspaces
+    .map((workspace, i) => workspace && !workspace.isDeleted && { ...workspace, role: memberships[i].role })
+    .filter(Boolean);
+};
+
+const listWorkspaceMembers = async (workspaceId) => withPeople(await queryDocuments(COLLECTIONS.WORKSPACE_MEMBERS, [
+  { field: 'workspaceId', operator: '==', value: workspaceId },
+]));
+
+const getOtherMemberOrFail = async (workspace, userId) => {
+  const member = await getWorkspaceMember(workspace.id, userId);
+
+  if (!member) {
+    throw new AppError('Member not found', 404);
+  }
+  if (member.role === 'owner') {
+    throw new AppError('The owner keeps their role until they transfer the workspace', 400);
+  }
+  return member;
+};
+
+const setWorkspaceMemberRole = async (workspace, userId, role) => {
+  const member = await getOtherMemberOrFail(workspace, userId);
+  await updateDocument(COLLECTIONS.WORKSPACE_MEMBERS, member.id, { role });
+};
+
+const removeWorkspaceMember = async (workspace, userId) => {
+  const member = await getOtherMemberOrFail(workspace, userId);
+  await deleteDocument(COLLECTIONS.WORKSPACE_MEMBERS, member.id);
+};
+
+const transferWorkspaceOwnership = async (workspace, newOwnerId) => {
+  const member = await getWorkspaceMember(workspace.id, newOwnerId);
+
+  if (!member || member.role === 'owner') {
+    throw new AppError('The new owner must be another member of the workspace', 400);
+  }
+
+  await updateDocument(COLLECTIONS.WORKSPACE_MEMBERS, member.id, { role: 'owner' });
+  await updateDocument(COLLECTIONS.WORKSPACE_MEMBERS, memberId(workspace.id, workspace.ownerId), { role: 'admin' });
+  await updateDocument(COLLECTIONS.WORKSPACES, workspace.id, { ownerId: newOwnerId });
+};
+
+// Apps leave the workspace and stay with their owners
+const deleteWorkspace = async (workspace) => {
+  const [apps, members, invitations] = await Promise.all([
+    queryDocuments(COLLECTIONS.APPS, [{ field: 'workspaceId', operator: '==', value: workspace.id }]),
+    queryDocuments(COLLECTIONS.WORKSPACE_MEMBERS, [{ field: 'workspaceId', operator: '==', value: workspace.id }]),
+    listTargetInvitations('workspace', workspace.id),
+  ]);
+
+  await writeInBatches([
+    ...apps.map(app => ({ type: 'update', collection: COLLECTIONS.APPS, docId: app.id, data: { workspaceId: null } })),
+    ...members.map(member => ({ type: 'delete', collection: COLLECTIONS.WORKSPACE_MEMBERS, docId: member.id })),
+    ...invitations.map(invitation => ({ type: 'update', collection: COLLECTIONS.INVITATIONS, docId: invitation.id, data: { status: 'revoked' } })),
+  ]);
+  await updateDocument(COLLECTIONS.WORKSPACES, workspace.id, { isDeleted: true, deletedAt: new Date() });
+};
+
+// Apps
+
+// The user's role on an app, or null when they have no access
+const getAppRole = async (app, userId) => {
+  if (app.userId === userId) {
+    return 'owner';
+  }
+
+  const [collaborator, workspaceRole] = await Promise.all([
+    getDocument(COLLECTIONS.APP_COLLABORATORS, collaboratorId(app.id, userId)),
+    app.workspaceId
+      ? getDocument(COLLECTIONS.WORKSPACES, app.workspaceId).then(workspace => getWorkspaceRole(workspace, userId))
+      : null,
+  ]);
+
+  return highestRole([collaborator?.role, workspaceRole && toAppRole(workspaceRole)]);
+};
+
+// Apps shared with the user, each with their role as `role`. Apps the user
+// owns are not included.
+const listSharedApps = async (userId) => {
+  const [collaborations, workspaces] = await Promise.all([
+    queryDocuments(COLLECTIONS.APP_COLLABORATORS, [{ field: 'userId', operator: '==', value: userId }]),
+    listWorkspaces(userId),
+  ]);
+
+  const roles = new Map();
+  const addApp = (app, role) => {
+    if (app && !app.isDeleted && app.userId !== userId) {
+      roles.set(app.id, { ...app, role: highestRole([roles.get(app.id)?.role, role]) });
+    }
+  };
+
+  const apps = await Promise.all(collaborations.map(collaboration => getDocument(COLLECTIONS.APPS, collaboration.appId)));
+  apps.forEach((app, i) => addApp(app, collaborations[i].role));
+
+  for (const workspace of workspaces) {
+    const workspaceApps = await queryDocuments(COLLECTIONS.APPS, [
+      { field: 'workspaceId', operator: '==', value: workspace.id },
+      { field: 'isDeleted', operator: '==', value: false },
+    ]);
+    workspaceApps.forEach(app => addApp(app, toAppRole(workspace.role)));
+  }
+
+  return [...roles.values()];
+};
+
+const listAppCollaborators = async (appId) => withPeople(await queryDocuments(COLLECTIONS.APP_COLLABORATORS, [
+  { field: 'appId', operator: '==', value: appId },
+]));
+
+const getCollaboratorOrFail = async (app, userId) => {
+  const collaborator = await getDocument(COLLECTIONS.APP_COLLABORATORS, collaboratorId(app.id, userId));
+
+  if (!collaborator) {
+    throw new AppError('Collaborator not found', 404);
+  }
+  return collaborator;
+};
+
+const setCollaboratorRole = async (app, userId, role) => {
+  const collaborator = await getCollaboratorOrFail(app, userId);
+  await updateDocument(COLLECTIONS.APP_COLLABORATORS, collaborator.id, { role });
+};
+
+const removeCollaborator = async (app, userId) => {
+  const collaborator = await getCollaboratorOrFail(app, userId);
+  await deleteDocument(COLLECTIONS.APP_COLLABORATORS, collaborator.id);
+};
+
+// Moves the app, its documents and its records to a user who already has
+// access to it. The previous owner stays on as an admin.
+const transferAppOwnership = async (app, newOwnerId) => {
+  if (newOwnerId === app.userId || !(await getAppRole(app, newOwnerId))) {
+    throw new AppError('The new owner must be a collaborator on the app or a member of its workspace', 400);
+  }
+
+  for (const collection of APP_OWNED_COLLECTIONS) {
+    const docs = await queryDocuments(collection, [{ field: 'appId', operator: '==', value: app.id }]);
+    await writeInBatches(docs.map(doc => ({ type: 'update', collection, docId: doc.id, data: { userId: newOwnerId } })));
+  }
+  await moveUserAppData(app.userId, newOwnerId, app.id);
+  await updateDocument(COLLECTIONS.APPS, app.id, { userId: newOwnerId });
+
+  if (await getDocument(COLLECTIONS.APP_COLLABORATORS, collaboratorId(app.id, newOwnerId))) {
+    await deleteDocument(COLLECTIONS.APP_COLLABORATORS, collaboratorId(app.id, newOwnerId));
+  }
+  await createDocument(COLLECTIONS.APP_COLLABORATORS, {
+    appId: app.id,
+    userId: app.userId,
+    role: 'admin',
+  }, collaboratorId(app.id, app.userId));
+};
+
+// Invitations are accepted with a `<invitationId>.<secret>` token sent by
+// email; only a hash of the secret is stored
+
+const toInvitationSummary = (invitation) => ({
+  id: invitation.id,
+  type: invitation.type,
+  targetId: invitation.targetId,
+  targetName: invitation.targetName,
+  email: invitation.email,
+  role: invitation.role,
+  invitedBy: invitation.invitedBy,
+  status: invitation.status,
+  expiresAt: invitation.expiresAt,
+  createdAt: invitation.createdAt,
+});
+
+const isPending = (invitation) => invitation.status === 'pending' && toDate(invitation.expiresAt) > new Date();
+
+const listTargetInvitations = async (type, targetId) => (await queryDocuments(COLLECTIONS.INVITATIONS, [
+  { field: 'type', operator: '==', value: type },
+  { field: 'targetId', operator: '==', value: targetId },
+  { field: 'status', operator: '==', value: 'pending' },
+])).filter(isPending);
+
+const listInvitationsForEmail = async (email) => (await queryDocuments(COLLECTIONS.INVITATIONS, [
+  { field: 'email', operator: '==', value: normalizeEmail(email) },
+  { field: 'status', operator: '==', value: 'pending' },
+])).filter(isPending);
+
+const hasDirectAccess = async (type, target, userId) => {
+  if (type === 'app') {
+    return target.userId === userId
+      || Boolean(await getDocument(COLLECTIONS.APP_COLLABORATORS, collaboratorId(target.id, userId)));
+  }
+  return Boolean(await getWorkspaceMember(target.id, userId));
+};
+
+// `target` is the app or workspace. Returns the invitation and its token.
+const createInvitation = async ({ type, target, email, role, invitedBy }) => {
+  const invitee = await findUserByEmail(email);
+
+  if (invitee && await hasDirectAccess(type, target, invitee.id)) {
+    throw new AppError(`This person is already a ${type === 'app' ? 'collaborator on this app' : 'member of this workspace'}`, 409);
+  }
+
+  // A new invitation replaces any earlier one to the same address
+  const earlier = (await listTargetInvitations(type, target.id)).filter(invitation => invitation.email === normalizeEmail(email));
+  await Promise.all(earlier.map(invitation => updateDocument(COLLECTIONS.INVITATIONS, invitation.id, { status: 'revoked' })));
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const invitationId = await createDocument(COLLECTIONS.INVITATIONS, {
+    type,
+    targetId: target.id,
+    targetName: target.name,
+    email: normalizeEmail(email),
+    role,
+    invitedBy,
+    tokenHash: hashToken(secret),
+    status: 'pending',
+    expiresAt: new Date(Date.now() + INVITATION_TTL_MS),
+    respondedAt: null,
+  });
+
+  return {
+    invitation: await getDocument(COLLECTIONS.INVITATIONS, invitationId),
+    token: `${invitationId}.${secret}`,
+  };
+};
+
+const getInvitationByToken = async (token) => {
+  const [invitationId, secret] = String(token).split('.');
+  const invitation = invitationId && secret ? await getDocument(COLLECTIONS.INVITATIONS, invitationId) : null;
+
+  const valid = invitation
+    && isPending(invitation)
+    && crypto.timingSafeEqual(Buffer.from(hashToken(secret)), Buffer.from(invitation.tokenHash));
+
+  if (!valid) {
+    throw new AppError('Invalid or expired invitation', 400);
+  }
+  return invitation;
+};
+
+const revokeInvitation = async (type, targetId, invitationId) => {
+  const invitation = await getDocument(COLLECTIONS.INVITATIONS, invitationId);
+
+  if (!invitation || invitation.type !== type || invitation.targetId !== targetId || !isPending(invitation)) {
+    throw new AppError('Invitation not found', 404);
+  }
+  await updateDocument(COLLECTIONS.INVITATIONS, invitationId, { status: 'revoked' });
+};
+
+// Grants the invited role to `user`, who must be signed in with the address
+// the invitation was sent to
+const acceptInvitation = async (token, user) => {
+  const invitation = await getInvitationByToken(token);
+
+  if (normalizeEmail(user.email) !== invitation.email) {
+    throw new AppError('This invitation was sent to a different email address', 403);
+  }
+
+  if (invitation.type === 'app') {
+    const app = await getDocument(COLLECTIONS.APPS, invitation.targetId);
+    if (!app || app.isDeleted) {
+      throw new AppError('This app no longer exists', 404);
+    }
+    if (app.userId !== user.id) {
+      await createDocument(COLLECTIONS.APP_COLLABORATORS, {
+        appId: app.id,
+        userId: user.id,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+      }, collaboratorId(app.id, user.id));
+    }
+  } else {
+    const workspace = await getDocument(COLLECTIONS.WORKSPACES, invitation.targetId);
+    if (!workspace || workspace.isDeleted) {
+      throw new AppError('This workspace no longer exists', 404);
+    }
+    if (workspace.ownerId !== user.id) {
+      await createDocument(COLLECTIONS.WORKSPACE_MEMBERS, {
+        workspaceId: workspace.id,
+        userId: user.id,
+        role: invitation.role,
+        invitedBy: invitation.invitedBy,
+      }, memberId(workspace.id, user.id));
+    }
+  }
+
+  await updateDocument(COLLECTIONS.INVITATIONS, invitation.id, { status: 'accepted', respondedAt: new Date() });
+  return invitation;
+};
+
+// Emails the invitation link. A delivery failure is logged; the invitation
+// stays pending and can be sent again.
+const sendInvitation = async (invitation, token, inviter) => {
+  const frontendUrl = process.env.FRONTEND_URL || process.env.CORS_ORIGIN || 'http://localhost:5173';
+  const link = `${frontendUrl}/invitations?token=${encodeURIComponent(token)}`;
+  const target = invitation.type === 'app' ? `the app ${invitation.targetName}` : `the workspace ${invitation.targetName}`;
+
+  try {
+    await sendMail({
+      to: invitation.email,
+      subject: `${inviter.displayName || inviter.email} invited you to ${invitation.targetName} on XMBL`,
+      text: `${inviter.displayName || inviter.email} invited you to join ${target} as ${invitation.role}.\n\n`
+        + `Open this link to accept or decline:\n${link}\n\n`
+        + `The invitation expires on ${toDate(invitation.expiresAt).toUTCString()}.`,
+    });
+  } catch (error) {
+    logger.error(`Failed to send invitation ${invitation.id}:`, error);
+  }
+};
+
+const declineInvitation = async (token) => {
+  const invitation = await getInvitationByToken(token);
+  await updateDocument(COLLECTIONS.INVITATIONS, invitation.id, { status: 'declined', respondedAt: new Date() });
+  return invitation;
+};
+
+module.exports = {
+  APP_ROLES,
+  INVITABLE_ROLES,
+  INVITATION_TYPES,
+  hasRole,
+  toPersonSummary,
+  getWorkspaceRole,
+  createWorkspace,
+  listWorkspaces,
+  listWorkspaceMembers,
+  setWorkspaceMemberRole,
+  removeWorkspaceMember,
+  transferWorkspaceOwnership,
+  deleteWorkspace,
+  getAppRole,
+  listSharedApps,
+  listAppCollaborators,
+  setCollaboratorRole,
+  removeCollaborator,
+  transferAppOwnership,
+  toInvitationSummary,
+  listTargetInvitations,
+  listInvitationsForEmail,
+  createInvitation,
+  sendInvitation,
+  getInvitationByToken,
+  revokeInvitation,
+  acceptInvitation,
+  declineInvitation,
+};
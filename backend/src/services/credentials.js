@@ -0,0 +1,202 @@
+// Platform user passwords. Hashes live in their own collection, keyed by user
+// id, so they never travel with the user documents the API returns.
+//
+// Accounts created before hashes were stored have none yet; their password is
+// checked once against Firebase Auth and the hash is saved on success.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const {
+  createDocument,
+  getDocument,
+  updateDocument,
+  updateDocumentInTransaction,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+const { MAX_FAILED_LOGINS, reserveLoginAttempt, settleLoginAttempt } = require('./loginAttempts');
+
+const RESET_TOKEN_TTL = '1h';
+const RESET_TOKEN_TYPE = 'password_reset';
+
+// Firebase Auth error codes that mean the credentials are wrong
+const INVALID_CREDENTIAL_CODES = ['EMAIL_NOT_FOUND', 'INVALID_PASSWORD', 'INVALID_LOGIN_CREDENTIALS', 'USER_DISABLED'];
+
+const hashPassword = async (password) => {
+  return await bcrypt.hash(password, 12);
+};
+
+const comparePasswords = async (candidatePassword, hashedPassword) => {
+  return await bcrypt.compare(candidatePassword, hashedPassword);
+};
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Reset tokens are signed with their own key so they can never pass as an
+// access token
+const getResetTokenKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('password-reset').digest();
+
+const saveCredentials = async (userId, data) => {
+  if (await getDocument(COLLECTIONS.USER_CREDENTIALS, userId)) {
+    await updateDocument(COLLECTIONS.USER_CREDENTIALS, userId, data);
+  } else {
+    await createDocument(COLLECTIONS.USER_CREDENTIALS, {
+      passwordHash: null,
+      failedLogins: 0,
+      lockedUntil: null,
+      passwordReset: null,
+      ...data,
+    }, userId);
+  }
+};
+
+const setPassword = async (userId, password) => {
+  await saveCredentials(userId, { passwordHash: await hashPassword(password) });
+};
+
+// Signs in through the Firebase Auth REST API, or the emulator when
+// FIREBASE_AUTH_EMULATOR_HOST is set
+const verifyWithFirebase = async (email, password) => {
+  const emulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST;
+  const apiKey = process.env.FIREBASE_WEB_API_KEY || (emulatorHost && 'emulator');
+
+  if (!apiKey) {
+    logger.warn('FIREBASE_WEB_API_KEY is not set; accounts without a stored password hash cannot sign in');
+    return false;
+  }
+
+  const baseUrl = emulatorHost ? `http://${emulatorHost}/identitytoolkit.googleapis.com` : 'https://identitytoolkit.googleapis.com';
+  let response;
+  try {
+    response = await fetch(`${baseUrl}/v1/accounts:signInWithPassword?key=${encodeURIComponent(apiKey)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email, password, returnSecureToken: false }),
+    });
+  } catch (error) {
+    logger.error('Firebase Auth password check failed:', error);
+    throw new AppError('Unable to verify credentials, please try again later', 503);
+  }
+
+  if (response.ok) {
+    return true;
+  }
+
+  const body = await response.json().catch(() => ({}));
+  const code = String(body.error?.message || '').split(' ')[0];
+  if (INVALID_CREDENTIAL_CODES.includes(code)) {
+    return false;
+  }
+
+  logger.error(`Firebase Auth password check failed with status ${response.status}: ${code}`);
+  throw new AppError('Unable to verify credentials, please try again later', 503);
+};
+
+// Reserves a login attempt on the user's credentials before a password or code
+// is checked, and returns the credentials. Throws 429 while the account is
+// locked. Legacy accounts have no credentials yet; their hash is stored after
+// the first successful login.
+const reserveUserLogin = (user) => reserveLoginAttempt(COLLECTIONS.USER_CREDENTIALS, user.id, {
+  passwordHash: null,
+  passwordReset: null,
+});
+
+// Counts the outcome of an attempt reserved with reserveUserLogin
+const settleUserLogin = async (user, valid) => {
+  if (await settleLoginAttempt(COLLECTIONS.USER_CREDENTIALS, user.id, valid)) {
+    logger.warn(`Account ${user.id} locked after ${MAX_FAILED_LOGINS} failed logins`);
+  }
+};
+
+// Resolves when `password` is the user's password. Throws 401 when it is not,
+// and 429 while the account is locked after repeated failures.
+const verifyPassword = async (user, password) => {
+  const credentials = await reserveUserLogin(user);
+
+  let valid = null;
+  try {
+    valid = credentials?.passwordHash
+      ? await comparePasswords(password, credentials.passwordHash)
+      : await verifyWithFirebase(user.email, password);
+  } finally {
+    await settleUserLogin(user, valid);
+  }
+
+  if (!valid) {
+    throw new AppError('Invalid email or password', 401);
+  }
+
+  if (!credentials?.passwordHash) {
+    await setPassword(user.id, password);
+  }
+};
+
+// Reset tokens are signed, expire after an hour and work once: the token id
+// is stored hashed and cleared when the password is changed, and a new token
+// replaces the previous one
+const createPasswordResetToken = async (userId) => {
+  const tokenId = crypto.randomBytes(16).toString('hex');
+  const token = jwt.sign({ type: RESET_TOKEN_TYPE, userId }, getResetTokenKey(), {
+    expiresIn: RESET_TOKEN_TTL,
+    jwtid: tokenId,
+  });
+
+  await saveCredentials(userId, {
+    passwordReset: {
+      tokenHash: hashToken(tokenId),
+      expiresAt: new Date(jwt.decode(token).exp * 1000),
+    },
+  });
+  return token;
+};
+
+// Sets a new password with a reset token and returns the user id, or throws 400.
+// The token is checked and spent in the transaction that stores the new hash,
+// so two requests with the same token cannot both succeed.
+const resetPassword = async (token, password) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), getResetTokenKey());
+  } catch (error) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  if (payload.type !== RESET_TOKEN_TYPE || !payload.jti) {
+    throw new AppError('Invalid or expired reset token', 400);
+  }
+
+  const passwordHash = await hashPassword(password);
+  await updateDocumentInTransaction(COLLECTIONS.USER_CREDENTIALS, payload.userId, async (credentials) => {
+    const reset = credentials?.passwordReset;
+    const valid = reset
+      && toDate(reset.expiresAt) > new Date()
+      && crypto.timingSafeEqual(Buffer.from(hashToken(payload.jti)), Buffer.from(reset.tokenHash));
+
+    if (!valid) {
+      throw new AppError('Invalid or expired reset token', 400);
+    }
+
+    return {
+      passwordHash,
+      passwordReset: null,
+      failedLogins: 0,
+      lockedUntil: null,
+    };
+  });
+
+  return payload.userId;
+};
+
+module.exports = {
+  saveCredentials,
+  setPassword,
+  reserveUserLogin,
+  settleUserLogin,
+  verifyPassword,
+  createPasswordResetToken,
+  resetPassword,
+};
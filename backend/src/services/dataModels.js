@@ -0,0 +1,557 @@
+// Collections that users define for their apps. A data model describes the
+// fields of one collection; its records live under the app owner's data area
+// (users/{uid}/apps/{appId}/data/{collection}/items) and every write goes
+// through validateRecord.
+
+const {
+  createUserAppCollection,
+  getUserAppRecord,
+  updateUserAppRecord,
+  deleteUserAppRecord,
+  queryUserAppRecords,
+  queryDocuments,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+
+const FIELD_TYPES = ['string', 'number', 'boolean', 'date', 'reference', 'enum'];
+// Collection names are used as document IDs in the data area
+const COLLECTION_NAME = /^[a-z][a-z0-9_-]{0,63}$/;
+const FIELD_NAME = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+// Set by the platform on every record
+const RESERVED_FIELD_NAMES = ['id', 'createdAt', 'updatedAt', 'createdBy'];
+// Firestore document IDs cannot contain slashes
+const RECORD_ID = /^[^/]{1,1500}$/;
+
+// Who may use a collection through the data API. The app owner always can.
+//   public         anyone
+//   authenticated  any signed-in user of the app
+//   owner          signed-in users of the app, limited to the records they created
+//   private        only the app owner
+const ACCESS_LEVELS = ['public', 'authenticated', 'owner', 'private'];
+const DEFAULT_ACCESS = { read: 'private', write: 'private' };
+
+const FILTER_OPERATORS = {
+  eq: '==',
+  ne: '!=',
+  gt: '>',
+  gte: '>=',
+  lt: '<',
+  lte: '<=',
+  in: 'in',
+};
+// Firestore allows these on one field only, which must also be the sort field
+const RANGE_OPERATORS = ['!=', '>', '>=', '<', '<='];
+const MAX_IN_VALUES = 10;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Platform fields that can be filtered and sorted on like model fields
+const SYSTEM_FIELDS = {
+  createdAt: { name: 'createdAt', type: 'date' },
+  updatedAt: { name: 'updatedAt', type: 'date' },
+  createdBy: { name: 'createdBy', type: 'reference' },
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+const toDate = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Checks a value against its field, returning { value } with the value to
+// store or { error }
+const coerceValue = (field, value) => {
+  switch (field.type) {
+    case 'string':
+      if (typeof value !== 'string') return { error: 'must be a string' };
+      if (field.minLength !== null && value.length < field.minLength) {
+        return { error: `must be at least ${field.minLength} characters` };
+      }
+      if (field.maxLength !== null && value.length > field.maxLength) {
+        return { error: `must be at most ${field.maxLength} characters` };
+      }
+      return { value };
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'must be a number' };
+      if (field.integer && !Number.isInteger(value)) return { error: 'must be an integer' };
+      if (field.min !== null && value < field.min) return { error: `must be at least ${field.min}` };
+      if (field.max !== null && value > field.max) return { error: `must be at most ${field.max}` };
+      return { value };
+    case 'boolean':
+      if (typeof value !== 'boolean') return { error: 'must be true or false' };
+      return { value };
+    case 'date': {
+      const date = ['string', 'number'].includes(typeof value) || value instanceof Date ? toDate(value) : null;
+      if (!date) return { error: 'must be a valid date' };
+      return { value: date };
+    }
+    case 'reference':
+      if (typeof value !== 'string' || !RECORD_ID.test(value)) return { error: `must be a ${field.collection} record ID` };
+      return { value };
+    case 'enum':
+      if (!field.values.includes(value)) return { error: `must be one of ${field.values.join(', ')}` };
+      return { value };
+    default:
+      return { error: `has unknown type ${field.type}` };
+  }
+};
+
+// A date field defaulting to 'now' gets the time of the write
+const resolveDefault = (field) => (field.type === 'date' && field.default === 'now' ? new Date() : field.default);
+
+const normalizeField = (field, collectionNames, errors) => {
+  const label = `Field ${field.name}`;
+  const normalized = {
+    name: field.name,
+    type: field.type,
+    required: field.required === true,
+    default: field.default === undefined ? null : field.default,
+    description: typeof field.description === 'string' ? field.description : '',
+  };
+
+  switch (field.type) {
+    case 'string':
+      ['minLength', 'maxLength'].forEach((key) => {
+        if (field[key] !== undefined && field[key] !== null && !isNonNegativeInteger(field[key])) {
+          errors.push(`${label}: ${key} must be a non-negative integer`);
+        }
+        normalized[key] = field[key] ?? null;
+      });
+      break;
+    case 'number':
+      ['min', 'max'].forEach((key) => {
+        if (field[key] !== undefined && field[key] !== null && !Number.isFinite(field[key])) {
+          errors.push(`${label}: ${key} must be a number`);
+        }
+        normalized[key] = field[key] ?? null;
+      });
+      normalized.integer = field.integer === true;
+      break;
+    case 'reference':
+      if (!collectionNames.includes(field.collection)) {
+        errors.push(`${label}: collection must name a collection of this app`);
+      }
+      normalized.collection = field.collection;
+      break;
+    case 'enum':
+      if (!Array.isArray(field.values) || field.values.length === 0
+        || !field.values.every(value => typeof value === 'string' && value.length > 0)
+        || new Set(field.values).size !== field.values.length) {
+        errors.push(`${label}: values must be a list of distinct strings`);
+        return normalized;
+      }
+      normalized.values = field.values;
+      break;
+    default:
+      break;
+  }
+
+  if (normalized.default !== null && !(field.type === 'date' && normalized.default === 'now')) {
+    const result = coerceValue(normalized, normalized.default);
+    if (result.error) {
+      errors.push(`${label}: default ${result.error}`);
+    } else if (field.type === 'date') {
+      // Stored as text so the definition stays plain JSON
+      normalized.default = result.value.toISOString();
+    }
+  }
+
+  return normalized;
+};
+
+// Validates field definitions, returning them in their stored form.
+// `collectionNames` are the collections reference fields may point to.
+const normalizeFields = (fields, collectionNames = []) => {
+  if (!Array.isArray(fields) || fields.length === 0) {
+    throw new AppError('A collection needs at least one field', 400);
+  }
+
+  const errors = [];
+  const names = new Set();
+
+  const normalized = fields.map((field, index) => {
+    if (!isPlainObject(field) || typeof field.name !== 'string' || !FIELD_NAME.test(field.name)) {
+      errors.push(`Field ${index + 1}: name must start with a letter or underscore and contain only letters, digits and underscores`);
+      return null;
+    }
+    if (RESERVED_FIELD_NAMES.includes(field.name)) {
+      errors.push(`Field ${field.name}: name is reserved`);
+      return null;
+    }
+    if (names.has(field.name.toLowerCase())) {
+      errors.push(`Field ${field.name}: name is used more than once`);
+      return null;
+    }
+    names.add(field.name.toLowerCase());
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      errors.push(`Field ${field.name}: type must be one of ${FIELD_TYPES.join(', ')}`);
+      return null;
+    }
+
+    return normalizeField(field, collectionNames, errors);
+  });
+
+  if (errors.length > 0) {
+    throw new AppError(`Invalid fields: ${errors.join('; ')}`, 400);
+  }
+
+  return normalized;
+};
+
+// Validates record data against a model. Unknown fields are rejected; on
+// create, missing fields get their default (or null). With `partial`, only
+// the fields present are checked, as for an update.
+const validateRecord = (model, data, { partial = false } = {}) => {
+  if (!isPlainObject(data)) {
+    throw new AppError('Record data must be an object', 400);
+  }
+
+  const errors = [];
+  const record = {};
+  const fieldNames = model.fields.map(field => field.name);
+
+  Object.keys(data)
+    .filter(key => !fieldNames.includes(key))
+    .forEach(key => errors.push(`unknown field ${key}`));
+
+  model.fields.forEach((field) => {
+    let value = data[field.name];
+
+    if (value === undefined) {
+      if (partial) return;
+      value = resolveDefault(field);
+    }
+
+    if (value === null) {
+      if (field.required) {
+        errors.push(`${field.name} is required`);
+      } else {
+        record[field.name] = null;
+      }
+      return;
+    }
+
+    const result = coerceValue(field, value);
+    if (result.error) {
+      errors.push(`${field.name} ${result.error}`);
+    } else {
+      record[field.name] = result.value;
+    }
+  });
+
+  if (errors.length > 0) {
+    throw new AppError(`Invalid ${model.name} record: ${errors.join('; ')}`, 400);
+  }
+
+  return record;
+};
+
+const normalizeAccess = (access, current = DEFAULT_ACCESS) => {
+  if (!isPlainObject(access)) {
+    throw new AppError('Access rules must be an object', 400);
+  }
+
+  const unknown = Object.keys(access).filter(key => !['read', 'write'].includes(key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown access rules: ${unknown.join(', ')}`, 400);
+  }
+
+  const normalized = { ...DEFAULT_ACCESS, ...current };
+  ['read', 'write'].forEach((action) => {
+    if (access[action] === undefined) return;
+    if (!ACCESS_LEVELS.includes(access[action])) {
+      throw new AppError(`Access rule ${action} must be one of ${ACCESS_LEVELS.join(', ')}`, 400);
+    }
+    normalized[action] = access[action];
+  });
+
+  return normalized;
+};
+
+// Checks whether `caller` ({ userId, isOwner }, or null when signed out) may
+// read or write the collection. Returns the user the records are limited to
+// under `owner` access, or null when all records are available.
+const authorize = (model, action, caller) => {
+  if (caller && caller.isOwner) return null;
+
+  const level = { ...DEFAULT_ACCESS, ...model.access }[action];
+  if (level === 'public') return null;
+  if (!caller) {
+    throw new AppError('Authentication is required', 401);
+  }
+  if (level === 'private') {
+    throw new AppError(`You do not have permission to ${action} ${model.name}`, 403);
+  }
+  return level === 'owner' ? caller.userId : null;
+};
+
+// Reference fields must point at an existing record of their collection
+const checkReferences = async (app, model, record) => {
+  const references = model.fields.filter(field => field.type === 'reference' && record[field.name]);
+
+  const missing = [];
+  await Promise.all(references.map(async (field) => {
+    const target = await getUserAppRecord(app.userId, app.id, field.collection, record[field.name]);
+    if (!target) missing.push(`${field.name} references a ${field.collection} record that does not exist`);
+  }));
+
+  if (missing.length > 0) {
+    throw new AppError(`Invalid ${model.name} record: ${missing.join('; ')}`, 400);
+  }
+};
+
+// Firestore timestamps become ISO strings in API responses
+const serializeRecord = (record) => Object.fromEntries(
+  Object.entries(record).map(([key, value]) => [
+    key,
+    value && typeof value.toDate === 'function' ? value.toDate().toISOString() : value,
+  ]),
+);
+
+const parseQueryValue = (field, raw) => {
+  if (typeof raw !== 'string') return { error: 'must be a single value' };
+  if (raw === 'null') return { value: null };
+
+  switch (field.type) {
+    case 'number': {
+      const value = raw.trim() === '' ? NaN : Number(raw);
+      return Number.isFinite(value) ? { value } : { error: 'must be a number' };
+    }
+    case 'boolean':
+      return ['true', 'false'].includes(raw) ? { value: raw === 'true' } : { error: 'must be true or false' };
+    case 'date': {
+      const value = toDate(raw);
+      return value ? { value } : { error: 'must be a valid date' };
+    }
+    case 'enum':
+      return field.values.includes(raw) ? { value: raw } : { error: `must be one of ${field.values.join(', ')}` };
+    default:
+      return { value: raw };
+  }
+};
+
+const getQueryField = (model, name) => model.fields.find(field => field.name === name) || SYSTEM_FIELDS[name];
+
+// The cursor is the sort value and ID of the last record of a page
+const encodeCursor = (record, field) => {
+  const value = record[field] === undefined ? null : record[field];
+  const cursorValue = value && typeof value.toDate === 'function'
+    ? { seconds: value.seconds, nanoseconds: value.nanoseconds }
+    : value;
+  return Buffer.from(JSON.stringify([cursorValue, record.id])).toString('base64url');
+};
+
+const decodeCursor = (cursor, field) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    parsed = null;
+  }
+
+  if (!Array.isArray(parsed) || parsed.length !== 2 || typeof parsed[1] !== 'string' || !RECORD_ID.test(parsed[1])) {
+    throw new AppError('Invalid cursor', 400);
+  }
+  // Dates of model fields are stored as Date values
+  if (field.type === 'date' && typeof parsed[0] === 'string') {
+    parsed[0] = toDate(parsed[0]);
+  }
+  return parsed;
+};
+
+// Turns list query parameters into a query:
+//   filter[status]=open             equality
+//   filter[price][gte]=10           eq, ne, gt, gte, lt, lte, or in (comma separated)
+//   sort=-createdAt                 one field, `-` for descending
+//   limit=20&cursor=...             page size and the nextCursor of the previous page
+const parseListQuery = (model, query = {}) => {
+  const { filter = {}, sort = '-createdAt', limit, cursor } = query;
+  const errors = [];
+  const filters = [];
+
+  if (!isPlainObject(filter)) {
+    throw new AppError('filter must be given as filter[field]=value', 400);
+  }
+
+  Object.entries(filter).forEach(([name, condition]) => {
+    const field = getQueryField(model, name);
+    if (!field) {
+      errors.push(`unknown field ${name}`);
+      return;
+    }
+
+    const conditions = isPlainObject(condition) ? condition : { eq: condition };
+    Object.entries(conditions).forEach(([key, raw]) => {
+      const operator = FILTER_OPERATORS[key];
+      if (!operator) {
+        errors.push(`unknown operator ${key} for ${name}`);
+        return;
+      }
+
+      if (operator === 'in') {
+        const values = typeof raw === 'string' ? raw.split(',') : [];
+        if (values.length === 0 || values.length > MAX_IN_VALUES) {
+          errors.push(`${name} in must list 1 to ${MAX_IN_VALUES} comma separated values`);
+          return;
+        }
+        const results = values.map(value => parseQueryValue(field, value));
+        const failed = results.find(result => result.error);
+        if (failed) {
+          errors.push(`${name} ${failed.error}`);
+        } else {
+          filters.push({ field: name, operator, value: results.map(result => result.value) });
+        }
+        return;
+      }
+
+      const result = parseQueryValue(field, raw);
+      if (result.error) {
+        errors.push(`${name} ${result.error}`);
+      } else {
+        filters.push({ field: name, operator, value: result.value });
+      }
+    });
+  });
+
+  const sortName = typeof sort === 'string' ? sort.replace(/^-/, '') : '';
+  const sortField = getQueryField(model, sortName);
+  if (!sortField) {
+    errors.push(`cannot sort by ${sortName || 'that value'}`);
+  }
+
+  const rangeFields = [...new Set(filters
+    .filter(({ operator }) => RANGE_OPERATORS.includes(operator))
+    .map(({ field }) => field))];
+  if (rangeFields.length > 1) {
+    errors.push('range filters can only be used on one field');
+  } else if (rangeFields.length === 1 && rangeFields[0] !== sortName) {
+    errors.push(`range filters on ${rangeFields[0]} require sort=${rangeFields[0]} or sort=-${rangeFields[0]}`);
+  }
+
+  if (errors.length > 0) {
+    throw new AppError(`Invalid query: ${errors.join('; ')}`, 400);
+  }
+
+  return {
+    filters,
+    sort: { field: sortName, direction: sort.startsWith('-') ? 'desc' : 'asc' },
+    limit: Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE),
+    cursor: cursor ? decodeCursor(cursor, sortField) : null,
+  };
+};
+
+// The list query a data-bound component's { filter, sort, limit } stands for,
+// in the form it takes once parsed from a query string
+const toListQuery = ({ filter = {}, sort, limit } = {}) => ({
+  filter: Object.fromEntries(Object.entries(filter).map(([name, condition]) => [
+    name,
+    Object.fromEntries(Object.entries(isPlainObject(condition) ? condition : { eq: condition })
+      .map(([key, value]) => [key, Array.isArray(value) ? value.join(',') : String(value)])),
+  ])),
+  ...(sort ? { sort } : {}),
+  ...(limit !== undefined ? { limit: String(limit) } : {}),
+});
+
+// Lists one page of records. `ownerId` limits the listing to that user's
+// records, as returned by authorize.
+const listRecords = async (app, model, query, ownerId = null) => {
+  const { filters, sort, limit, cursor } = parseListQuery(model, query);
+  if (ownerId) {
+    filters.push({ field: 'createdBy', operator: '==', value: ownerId });
+  }
+
+  // One extra record tells whether there is a next page
+  const records = await queryUserAppRecords(app.userId, app.id, model.name, filters, sort, limit + 1, cursor);
+  const page = records.slice(0, limit);
+  const hasNextPage = records.length > limit;
+
+  return {
+    records: page.map(serializeRecord),
+    pagination: {
+      limit,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(page[page.length - 1], sort.field) : null,
+    },
+  };
+};
+
+const getDataModels = (appId) => queryDocuments(COLLECTIONS.DATA_MODELS, [
+  { field: 'appId', operator: '==', value: appId },
+  { field: 'isDeleted', operator: '==', value: false },
+]);
+
+const getDataModel = async (appId, name) => {
+  const [model] = await queryDocuments(COLLECTIONS.DATA_MODELS, [
+    { field: 'appId', operator: '==', value: appId },
+    { field: 'name', operator: '==', value: name },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+  return model || null;
+};
+
+const getRecord = async (app, model, recordId) => {
+  const record = RECORD_ID.test(recordId) ? await getUserAppRecord(app.userId, app.id, model.name, recordId) : null;
+  return record ? serializeRecord(record) : null;
+};
+
+// With `ownerId`, records created by someone else are treated as missing
+const getRecordOrFail = async (app, model, recordId, ownerId = null) => {
+  const record = await getRecord(app, model, recordId);
+  if (!record || (ownerId && record.createdBy !== ownerId)) {
+    throw new AppError('Record not found', 404);
+  }
+  return record;
+};
+
+// `extra` holds platform fields such as createdBy, which bypass the model
+const createRecord = async (app, model, data, extra = {}) => {
+  const record = validateRecord(model, data);
+  await checkReferences(app, model, record);
+
+  const recordId = await createUserAppCollection(app.userId, app.id, model.name, { ...record, ...extra });
+  return getRecord(app, model, recordId);
+};
+
+// Without `replace`, only the given fields change
+const updateRecord = async (app, model, recordId, data, { replace = false, ownerId = null } = {}) => {
+  await getRecordOrFail(app, model, recordId, ownerId);
+
+  const record = validateRecord(model, data, { partial: !replace });
+  await checkReferences(app, model, record);
+
+  await updateUserAppRecord(app.userId, app.id, model.name, recordId, record);
+  return getRecord(app, model, recordId);
+};
+
+const deleteRecord = async (app, model, recordId, ownerId = null) => {
+  await getRecordOrFail(app, model, recordId, ownerId);
+  await deleteUserAppRecord(app.userId, app.id, model.name, recordId);
+};
+
+module.exports = {
+  FIELD_TYPES,
+  COLLECTION_NAME,
+  RESERVED_FIELD_NAMES,
+  ACCESS_LEVELS,
+  DEFAULT_ACCESS,
+  normalizeFields,
+  normalizeAccess,
+  authorize,
+  parseListQuery,
+  toListQuery,
+  listRecords,
+  validateRecord,
+  serializeRecord,
+  getDataModels,
+  getDataModel,
+  getRecord,
+  getRecordOrFail,
+  createRecord,
+  updateRecord,
+  deleteRecord,
+};
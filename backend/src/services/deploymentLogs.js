@@ -0,0 +1,159 @@
+const { EventEmitter } = require('events');
+const { batchWrite, queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { logger } = require('../utils/logger');
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'success'];
+const MAX_MESSAGE_LENGTH = 2000;
+// Lines are written in batches of this many, or after this long
+const FLUSH_LINES = 100;
+const FLUSH_INTERVAL_MS = 1000;
+// Output lines stored per build step; errors and the final outcome are always kept
+const MAX_LINES_PER_STEP = parseInt(process.env.DEPLOY_LOG_MAX_LINES_PER_STEP, 10) || 5000;
+const CAPPED_LEVELS = ['debug', 'info', 'warn'];
+
+// Live subscribers are per process; storage remains the source of truth
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Per deployment: the next sequence number, lines per step, lines not yet
+// stored and the chain of batch writes. A build runs in one process, so its
+// sequence numbers can be handed out here.
+const streams = new Map();
+
+const getStream = (deploymentId) => {
+  if (!streams.has(deploymentId)) {
+    streams.set(deploymentId, {
+      seq: 0,
+      stepLines: new Map(),
+      pending: [],
+      unsaved: [],
+      timer: null,
+      writing: Promise.resolve(),
+    });
+  }
+  return streams.get(deploymentId);
+};
+
+const toDocId = (entry) => `${entry.deploymentId}_${String(entry.seq).padStart(6, '0')}`;
+
+// Writes the buffered lines as one batch after the batches before it
+const flushLogs = (deploymentId) => {
+  const stream = streams.get(deploymentId);
+  if (!stream) return Promise.resolve();
+
+  clearTimeout(stream.timer);
+  stream.timer = null;
+
+  const entries = stream.pending.splice(0);
+  if (entries.length === 0) return stream.writing;
+
+  stream.writing = stream.writing
+    .then(() => batchWrite(entries.map(entry => ({
+      type: 'create',
+      collection: COLLECTIONS.DEPLOYMENT_LOGS,
+      docId: toDocId(entry),
+      data: entry,
+    }))))
+    .catch((error) => {
+      logger.error(`Failed to persist ${entries.length} log lines for deployment ${deploymentId}:`, error.message);
+    })
+    .then(() => {
+      stream.unsaved = stream.unsaved.filter(entry => !entries.includes(entry));
+    });
+  return stream.writing;
+};
+
+const addEntry = (deploymentId, stream, { step, level, message }) => {
+  stream.seq += 1;
+  const entry = {
+    deploymentId,
+    seq: stream.seq,
+    step,
+    level,
+    message: String(message).slice(0, MAX_MESSAGE_LENGTH),
+    timestamp: new Date(),
+  };
+
+  emitter.emit(`log:${deploymentId}`, entry);
+  stream.pending.push(entry);
+  stream.unsaved.push(entry);
+
+  if (stream.pending.length >= FLUSH_LINES) {
+    flushLogs(deploymentId);
+  } else if (!stream.timer) {
+    stream.timer = setTimeout(() => flushLogs(deploymentId), FLUSH_INTERVAL_MS);
+    stream.timer.unref();
+  }
+
+  return entry;
+};
+
+// Buffers a line for the next batch write and sends it to live subscribers
+// right away. Returns the entry, or null once its step has hit the line cap.
+const appendLog = async (deploymentId, { step, level = 'info', message }) => {
+  const stream = getStream(deploymentId);
+  const entryLevel = LOG_LEVELS.includes(level) ? level : 'info';
+
+  if (CAPPED_LEVELS.includes(entryLevel)) {
+    const lines = (stream.stepLines.get(step) || 0) + 1;
+    stream.stepLines.set(step, lines);
+
+    if (lines > MAX_LINES_PER_STEP) {
+      if (lines === MAX_LINES_PER_STEP + 1) {
+        addEntry(deploymentId, stream, {
+          step,
+          level: 'warn',
+          message: `Output of the ${step} step is longer than ${MAX_LINES_PER_STEP} lines; the rest is not stored`,
+        });
+      }
+      return null;
+    }
+  }
+
+  return addEntry(deploymentId, stream, { step, level: entryLevel, message });
+};
+
+// Returns a logger bound to one deployment that never throws, so a storage
+// hiccup cannot fail the build it is describing.
+const createDeploymentLogger = (deploymentId) => (step, level, message) => {
+  return appendLog(deploymentId, { step, level, message }).catch((error) => {
+    logger.error(`Failed to log for deployment ${deploymentId}:`, error.message);
+  });
+};
+
+// Tells subscribers the build finished, then stores what is still buffered
+const endLogStream = async (deploymentId, status) => {
+  emitter.emit(`end:${deploymentId}`, status);
+  await flushLogs(deploymentId);
+  streams.delete(deploymentId);
+};
+
+// Stored lines, plus the ones this process has not finished storing yet
+const getLogs = async (deploymentId) => {
+  const stored = await queryDocuments(COLLECTIONS.DEPLOYMENT_LOGS, [
+    { field: 'deploymentId', operator: '==', value: deploymentId },
+  ], { field: 'seq', direction: 'asc' });
+
+  const unsaved = streams.get(deploymentId)?.unsaved || [];
+  const storedSeqs = new Set(stored.map(entry => entry.seq));
+  return [...stored, ...unsaved.filter(entry => !storedSeqs.has(entry.seq))]
+    .sort((a, b) => a.seq - b.seq);
+};
+
+const subscribe = (deploymentId, { onLog, onEnd }) => {
+  emitter.on(`log:${deploymentId}`, onLog);
+  emitter.on(`end:${deploymentId}`, onEnd);
+
+  return () => {
+    emitter.off(`log:${deploymentId}`, onLog);
+    emitter.off(`end:${deploymentId}`, onEnd);
+  };
+};
+
+module.exports = {
+  appendLog,
+  createDeploymentLogger,
+  endLogStream,
+  getLogs,
+  subscribe,
+};
@@ -0,0 +1,256 @@
+const { AppError } = require('../middleware/errorHandler');
+const { createDocument, updateDocument, increment, COLLECTIONS } = require('../config/firebase');
+const { logger } = require('../utils/logger');
+const { getAppSecrets } = require('./secrets');
+
+// Functions only ever run inside isolated-vm. If its native module is missing
+// the server still starts, but nothing runs function code
+let ivm = null;
+try {
+  ivm = require('isolated-vm');
+} catch (error) {
+  logger.warn(`Function sandbox unavailable, functions are disabled: ${error.message}`);
+}
+
+const isSandboxAvailable = () => ivm !== null;
+
+const FUNCTION_TIMEOUT_MS = parseInt(process.env.FUNCTION_TIMEOUT_MS, 10) || 5000;
+const FUNCTION_MEMORY_MB = parseInt(process.env.FUNCTION_MEMORY_MB, 10) || 64;
+const MAX_LOG_ENTRIES = 200;
+const MAX_LOG_LENGTH = 2000;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// Declared parameters are either names or { name, required, default }
+const normalizeParameters = (parameters = []) => {
+  return parameters.map((param) => {
+    const definition = typeof param === 'string' ? { name: param } : { ...param };
+    if (!definition.name || !IDENTIFIER.test(definition.name)) {
+      throw new AppError(`Invalid parameter name: ${definition.name}`, 400);
+    }
+    return definition;
+  });
+};
+
+// Orders the supplied params to match the declared parameters
+const resolveArguments = (parameters, params = {}) => {
+  return parameters.map(({ name, required, default: defaultValue }) => {
+    if (params[name] !== undefined) return params[name];
+    if (defaultValue !== undefined) return defaultValue;
+    if (required) {
+      throw new AppError(`Missing required parameter: ${name}`, 400);
+    }
+    return null;
+  });
+};
+
+const PRELUDE = `
+const __logs = [];
+const __format = (value) => {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return value.stack || String(value);
+  try { return JSON.stringify(value) ?? String(value); } catch (error) { return String(value); }
+};
+const __log = (level) => (...values) => {
+  if (__logs.length < ${MAX_LOG_ENTRIES}) {
+    __logs.push({ level, message: values.map(__format).join(' ').slice(0, ${MAX_LOG_LENGTH}) });
+  }
+};
+globalThis.console = {
+  log: __log('info'),
+  info: __log('info'),
+  debug: __log('debug'),
+  warn: __log('warn'),
+  error: __log('error'),
+};
+Object.assign(globalThis, JSON.parse(__globals));
+`;
+
+// Drops the prelude's frames so traces only point into the function
+const cleanStack = (stack) => stack
+  .split('\n')
+  .filter((line, index) => index === 0 || line.includes('function.js'))
+  .join('\n');
+
+// Runs a builder function's code in its own V8 isolate (isolated-vm) with a
+// separate heap and memory limit. The isolate has no Node APIs and shares no
+// objects with the host: arguments and globals are copied in as JSON strings
+// and everything read back out is a string produced inside it, so walking the
+// constructor chain only ever reaches the isolate's own builtins.
+// `params` are matched to the declared parameters by name; `globals` is JSON
+// data exposed as globals and the globals named in `capture` are read back
+// into `captured` after the run.
+const runFunction = async ({ code, parameters, params, globals = {}, capture = [], timeout = FUNCTION_TIMEOUT_MS }) => {
+  if (!isSandboxAvailable()) {
+    throw new AppError('Functions are disabled: the function sandbox is not available on this server', 503);
+  }
+
+  const declared = normalizeParameters(parameters);
+  const args = resolveArguments(declared, params);
+  const startedAt = Date.now();
+
+  const header = `${PRELUDE}
+let __result;
+(async (${declared.map(param => param.name).join(', ')}) => {
+`;
+  const source = `${header}${code}
+})(...JSON.parse(${JSON.stringify(JSON.stringify(args))})).then(
+  (value) => {
+    try {
+      __result = JSON.stringify({ ok: true, value: value === undefined ? null : value });
+    } catch (error) {
+      __result = JSON.stringify({ ok: false, error: 'Return value is not JSON serializable: ' + error.message });
+    }
+  },
+  (error) => { __result = JSON.stringify({ ok: false, error: error instanceof Error ? (error.stack || error.message) : __format(error) }); },
+);
+`;
+
+  const isolate = new ivm.Isolate({ memoryLimit: FUNCTION_MEMORY_MB });
+  let status = 'success';
+  let error = null;
+  let result = null;
+  let logs = [];
+  const captured = {};
+
+  try {
+    const context = await isolate.createContext();
+    await context.global.set('__globals', JSON.stringify(globals || {}));
+
+    try {
+      // Line numbers in stack traces then match the function's own code
+      const script = await isolate.compileScript(source, {
+        filename: 'function.js',
+        lineOffset: -(header.split('\n').length - 1),
+      });
+      // Promise callbacks run before this settles, so the timeout covers async code too
+      await script.run(context, { timeout });
+    } catch (thrown) {
+      const timedOut = /timed out/i.test(thrown && thrown.message);
+      status = timedOut ? 'timeout' : 'error';
+      error = timedOut ? `Execution timed out after ${timeout}ms` : String(thrown && thrown.message);
+    }
+
+    const read = async (expression) => {
+      try {
+        const value = await context.eval(expression, { timeout });
+        return typeof value === 'string' ? value : null;
+      } catch (thrown) {
+        return null;
+      }
+    };
+
+    if (status === 'success') {
+      const outcome = await read('__result');
+      if (outcome === null) {
+        status = 'error';
+        error = 'Function did not finish: it is waiting on something that never completes';
+      } else {
+        try {
+          const parsed = JSON.parse(outcome);
+          if (parsed.ok) {
+            result = parsed.value;
+          } else {
+            status = 'error';
+            error = cleanStack(String(parsed.error));
+          }
+        } catch (thrown) {
+          status = 'error';
+          error = 'Function result could not be read';
+        }
+      }
+    }
+
+    try {
+      const parsed = JSON.parse(await read('JSON.stringify(__logs)') || '[]');
+      if (Array.isArray(parsed)) {
+        logs = parsed.map(entry => ({ level: String(entry.level), message: String(entry.message) }));
+      }
+    } catch (thrown) {
+      // Logs were tampered with by the function itself
+    }
+
+    // Globals the caller wants back after the run, e.g. a `response` the function filled in
+    for (const name of capture) {
+      try {
+        const value = await read(`JSON.stringify(globalThis[${JSON.stringify(name)}])`);
+        captured[name] = value === null ? null : JSON.parse(value);
+      } catch (thrown) {
+        captured[name] = null;
+      }
+    }
+  } finally {
+    if (isolate.isDisposed) {
+      // The isolate is torn down when it goes over its memory limit
+      status = 'error';
+      error = `Execution exceeded the ${FUNCTION_MEMORY_MB}MB memory limit`;
+      result = null;
+    } else {
+      isolate.dispose();
+    }
+  }
+
+  return { status, result, error, logs, captured, duration: Date.now() - startedAt };
+};
+
+// Results larger than this are not stored with the run record
+const MAX_STORED_RESULT_LENGTH = 10000;
+
+// Runs a stored function document with the app's secrets for `environment`
+// available as the `secrets` global, records the run in FUNCTION_RUNS and
+// updates the function's execution stats. `trigger` says what started it.
+// Throws only when the run could not start or could not be recorded.
+const executeFunction = async (func, {
+  trigger,
+  environment = 'production',
+  params = {},
+  globals = {},
+  capture = [],
+  extra = {},
+} = {}) => {
+  const startedAt = new Date();
+  const secrets = await getAppSecrets(func.appId, environment);
+  const execution = await runFunction({
+    code: func.code,
+    parameters: func.parameters,
+    params,
+    globals: { ...globals, secrets },
+    capture,
+  });
+
+  const storedResult = JSON.stringify(execution.result) || 'null';
+  await createDocument(COLLECTIONS.FUNCTION_RUNS, {
+    functionId: func.id,
+    appId: func.appId,
+    trigger,
+    environment,
+    status: execution.status,
+    result: storedResult.length <= MAX_STORED_RESULT_LENGTH ? execution.result : null,
+    resultTruncated: storedResult.length > MAX_STORED_RESULT_LENGTH,
+    error: execution.error,
+    logs: execution.logs,
+    duration: execution.duration,
+    startedAt,
+    ...extra,
+  });
+
+  // The run is recorded at this point, so a failed stats update is not an error of the run
+  await updateDocument(COLLECTIONS.FUNCTIONS, func.id, {
+    'metadata.executionCount': increment(1),
+    'metadata.lastExecuted': startedAt,
+    'metadata.lastStatus': execution.status,
+  }).catch((error) => {
+    logger.error(`Failed to update execution stats of function ${func.id}:`, error.message);
+  });
+
+  logger.info(`Function ${func.id} (${trigger}) finished with status ${execution.status} in ${execution.duration}ms`);
+
+  return execution;
+};
+
+module.exports = {
+  FUNCTION_TIMEOUT_MS,
+  isSandboxAvailable,
+  runFunction,
+  executeFunction,
+};
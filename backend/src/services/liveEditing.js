@@ -0,0 +1,511 @@
+// Live page editing. Everyone editing a page connects to
+//   ws(s)://<api>/api/builder/:appId/pages/:pageId/live
+// and sends changes to single components instead of saving the whole page, so
+// edits to different components, or to different props of one component, all
+// survive. The server applies operations one at a time, saves each to the
+// page and broadcasts it with the page's new revision; clients apply the
+// broadcast operations in order and end up with the same page. Operations on
+// a component someone else removed are rejected and the sender resyncs.
+//
+// Messages are JSON. Clients send:
+//   { type: 'join', token }                  first, with a platform access token
+//   { type: 'op', opId, op }                 a component operation (editors and up)
+//   { type: 'presence', selection, cursor }  what the sender is looking at
+// The server sends:
+//   { type: 'joined', clientId, role, page, peers }
+//   { type: 'ack', opId, op, revision }      to the sender of an operation
+//   { type: 'op', op, revision, clientId }   to everyone else
+//   { type: 'reject', opId, message, status }
+//   { type: 'presence', peer } and { type: 'leave', clientId }
+//   { type: 'page', page }                   when the page was saved through the API
+//   { type: 'error', message }               before closing the connection
+//
+// Operations place components by their neighbours' IDs rather than indexes:
+//   { action: 'insert', component, parentId, afterId }
+//   { action: 'update', componentId, changes: { props, styles, responsive, events, className } }
+//   { action: 'move', componentId, parentId, afterId }
+//   { action: 'remove', componentId }
+// A null parentId is the top level of the page and a null afterId the first
+// position. Props and styles are merged key by key (null removes a key); the
+// other fields are replaced.
+//
+// Connections and their presence live in this process, so everyone editing a
+// page must reach the same backend instance.
+
+const { WebSocketServer, WebSocket } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const { getDocument, updateDocumentInTransaction, COLLECTIONS } = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { verifyAccessToken } = require('../middleware/auth');
+const { getActiveSession } = require('./sessions');
+const { hasRole, getAppRole } = require('./collaboration');
+const {
+  generateComponentId,
+  isPlainObject,
+  validateStyles,
+  validateComponent,
+  validateFunctionBindings,
+  validateDataSources,
+} = require('./pageComponents');
+const { logger } = require('../utils/logger');
+
+const LIVE_PATH = /^\/api\/builder\/([^/]+)\/pages\/([^/]+)\/live\/?$/;
+const JOIN_TIMEOUT_MS = 10 * 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const PRESENCE_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+const UPDATABLE_FIELDS = ['props', 'styles', 'responsive', 'events', 'className'];
+const MERGED_FIELDS = ['props', 'styles'];
+
+// Connected clients and the queue of pending operations, per page
+const channels = new Map();
+
+let heartbeat = null;
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const toPeer = (client) => ({
+  clientId: client.clientId,
+  user: client.user,
+  color: client.color,
+  role: client.role,
+  selection: client.selection,
+  cursor: client.cursor,
+});
+
+const broadcast = (channel, message, except = null) => {
+  channel.clients.forEach(client => {
+    if (client !== except) send(client.socket, message);
+  });
+};
+
+// Component tree
+
+// Finds a component anywhere on the page: { component, siblings, index }
+const findComponent = (components, componentId) => {
+  for (let index = 0; index < components.length; index++) {
+    const component = components[index];
+    if (component.id === componentId) {
+      return { component, siblings: components, index };
+    }
+    const found = Array.isArray(component.children) && findComponent(component.children, componentId);
+    if (found) return found;
+  }
+  return null;
+};
+
+const getChildren = (content, parentId) => {
+  if (!parentId) {
+    return content.components;
+  }
+
+  const parent = findComponent(content.components, parentId);
+  if (!parent) {
+    throw new AppError('The parent component was removed', 409);
+  }
+  parent.component.children = parent.component.children || [];
+  return parent.component.children;
+};
+
+// Puts the component after its sibling `afterId`, or first when afterId is
+// null. If that sibling was removed meanwhile, the component goes last.
+// Returns the afterId it ended up with.
+const place = (siblings, component, afterId) => {
+  if (!afterId) {
+    siblings.unshift(component);
+    return null;
+  }
+
+  const index = siblings.findIndex(sibling => sibling.id === afterId);
+  if (index === -1) {
+    const last = siblings[siblings.length - 1];
+    siblings.push(component);
+    return last ? last.id : null;
+  }
+
+  siblings.splice(index + 1, 0, component);
+  return afterId;
+};
+
+const findOrFail = (content, componentId) => {
+  const found = findComponent(content.components, componentId);
+  if (!found) {
+    throw new AppError('The component was removed', 409);
+  }
+  return found;
+};
+
+// Each operation changes `content` in place and returns the operation as
+// applied, for the other clients, and the component to validate
+const OPERATIONS = {
+  insert: (content, { component, parentId = null, afterId = null }) => {
+    if (!isPlainObject(component)) {
+      throw new AppError('insert needs a component', 400);
+    }
+
+    const inserted = { ...component, id: component.id || generateComponentId() };
+    if (findComponent(content.components, inserted.id)) {
+      throw new AppError(`A component with the ID ${inserted.id} already exists`, 409);
+    }
+
+    const placedAfter = place(getChildren(content, parentId), inserted, afterId);
+    return {
+      op: { action: 'insert', component: inserted, parentId, afterId: placedAfter },
+      changed: inserted,
+    };
+  },
+
+  update: (content, { componentId, changes }) => {
+    if (!isPlainObject(changes) || Object.keys(changes).some(field => !UPDATABLE_FIELDS.includes(field))) {
+      throw new AppError(`update changes can only hold ${UPDATABLE_FIELDS.join(', ')}`, 400);
+    }
+
+    const { component } = findOrFail(content, componentId);
+    Object.entries(changes).forEach(([field, value]) => {
+      if (!MERGED_FIELDS.includes(field)) {
+        component[field] = value;
+        return;
+      }
+      if (!isPlainObject(value)) {
+        throw new AppError(`update ${field} must be an object`, 400);
+      }
+      const merged = { ...component[field], ...value };
+      Object.keys(value).forEach(key => {
+        if (value[key] === null) delete merged[key];
+      });
+      component[field] = merged;
+    });
+
+    return { op: { action: 'update', componentId, changes }, changed: component };
+  },
+
+  move: (content, { componentId, parentId = null, afterId = null }) => {
+    const { component, siblings, index } = findOrFail(content, componentId);
+    if (parentId && (parentId === componentId || findComponent(component.children || [], parentId))) {
+      throw new AppError('A component cannot move into itself', 400);
+    }
+
+    siblings.splice(index, 1);
+    const placedAfter = place(getChildren(content, parentId), component, afterId === componentId ? null : afterId);
+    return { op: { action: 'move', componentId, parentId, afterId: placedAfter }, changed: null };
+  },
+
+  remove: (content, { componentId }) => {
+    const { siblings, index } = findOrFail(content, componentId);
+    siblings.splice(index, 1);
+    return { op: { action: 'remove', componentId }, changed: null };
+  },
+};
+
+// Access
+
+// Checks the token and the caller's access to the app
+const authorize = async (token, appId) => {
+  const { userId, sessionId } = await verifyAccessToken(token);
+
+  const app = await getDocument(COLLECTIONS.APPS, appId);
+  if (!app || app.isDeleted) {
+    throw new AppError('App not found', 404);
+  }
+
+  const role = await getAppRole(app, userId);
+  if (!role) {
+    throw new AppError('You do not have permission to access this app', 403);
+  }
+
+  return { userId, sessionId, role };
+};
+
+const getLivePage = async (appId, pageId) => {
+  const page = await getDocument(COLLECTIONS.PAGES, pageId);
+  if (!page || page.appId !== appId || page.isDeleted) {
+    throw new AppError('Page not found', 404);
+  }
+  return page;
+};
+
+// Sessions can end and roles change while the connection stays open
+const checkCanEdit = async (client) => {
+  if (!(await getActiveSession(client.sessionId))) {
+    throw new AppError('Session has ended, please log in again', 401);
+  }
+
+  const app = await getDocument(COLLECTIONS.APPS, client.appId);
+  client.role = app && !app.isDeleted ? await getAppRole(app, client.userId) : null;
+
+  if (!client.role || !hasRole(client.role, 'editor')) {
+    throw new AppError('This requires the editor role on this app', 403);
+  }
+};
+
+const applyOperation = async (client, operation) => {
+  const apply = isPlainObject(operation) && Object.hasOwn(OPERATIONS, operation.action) && OPERATIONS[operation.action];
+  if (!apply) {
+    throw new AppError(`Unknown operation. Use one of: ${Object.keys(OPERATIONS).join(', ')}`, 400);
+  }
+
+  await checkCanEdit(client);
+
+  // In a transaction, so a save through the API in between is never lost
+  let applied;
+  await updateDocumentInTransaction(COLLECTIONS.PAGES, client.pageId, async (page) => {
+    if (!page || page.isDeleted) {
+      throw new AppError('Page not found', 404);
+    }
+
+    const content = JSON.parse(JSON.stringify(page.content || {}));
+    content.components = content.components || [];
+
+    const { op, changed } = apply(content, operation);
+
+    if (changed) {
+      validateComponent(changed);
+      await validateFunctionBindings(client.appId, [changed]);
+      await validateDataSources(client.appId, [changed]);
+    }
+    if (content.styles) {
+      validateStyles(content.styles, 'Page styles');
+    }
+
+    applied = { op, revision: (page.metadata?.revision || 0) + 1 };
+    return {
+      content,
+      'metadata.lastModified': new Date(),
+      'metadata.modifiedBy': client.userId,
+      'metadata.revision': applied.revision,
+    };
+  });
+
+  return applied;
+};
+
+// Connections
+
+// Runs `task` after everything already queued on the page, e.g. operations
+const enqueue = (channel, task) => {
+  const run = channel.queue.then(task);
+  channel.queue = run.catch(() => {});
+  return run;
+};
+
+// Channels are dropped once nobody is connected or joining
+const releaseChannel = (pageId, channel) => {
+  if (channel.clients.size === 0 && channel.joining === 0 && channels.get(pageId) === channel) {
+    channels.delete(pageId);
+  }
+};
+
+const leave = (client) => {
+  const channel = channels.get(client.pageId);
+  if (!channel || !channel.clients.delete(client)) return;
+
+  releaseChannel(client.pageId, channel);
+  if (channel.clients.size > 0) {
+    broadcast(channel, { type: 'leave', clientId: client.clientId });
+  }
+};
+
+const join = async (client, token) => {
+  const { userId, sessionId, role } = await authorize(token, client.appId);
+  const user = await getDocument(COLLECTIONS.USERS, userId);
+
+  if (!channels.has(client.pageId)) {
+    channels.set(client.pageId, { clients: new Set(), queue: Promise.resolve(), joining: 0 });
+  }
+  const channel = channels.get(client.pageId);
+  channel.joining += 1;
+
+  try {
+    // The page is read in the queue, so no operation can be saved between
+    // reading it and adding the client to the ones that get broadcasts
+    await enqueue(channel, async () => {
+      const page = await getLivePage(client.appId, client.pageId);
+
+      // The connection may have closed while access was checked
+      if (client.socket.readyState !== WebSocket.OPEN) return;
+
+      const usedColors = new Set([...channel.clients].map(peer => peer.color));
+      Object.assign(client, {
+        userId,
+        sessionId,
+        role,
+        user: { id: userId, displayName: user?.displayName || '', avatar: user?.profile?.avatar || null },
+        color: PRESENCE_COLORS.find(color => !usedColors.has(color)) || PRESENCE_COLORS[channel.clients.size % PRESENCE_COLORS.length],
+      });
+
+      send(client.socket, {
+        type: 'joined',
+        clientId: client.clientId,
+        role,
+        page,
+        peers: [...channel.clients].map(toPeer),
+      });
+      channel.clients.add(client);
+      broadcast(channel, { type: 'presence', peer: toPeer(client) }, client);
+    });
+  } finally {
+    channel.joining -= 1;
+    releaseChannel(client.pageId, channel);
+  }
+};
+
+const handleMessage = async (client, data) => {
+  let message;
+  try {
+    message = JSON.parse(data);
+  } catch (error) {
+    message = null;
+  }
+  if (!isPlainObject(message)) {
+    throw new AppError('Messages must be JSON objects', 400);
+  }
+
+  if (message.type === 'join') {
+    if (client.userId || client.joining) {
+      throw new AppError('Already joined', 400);
+    }
+    client.joining = true;
+    clearTimeout(client.joinTimer);
+    return join(client, message.token);
+  }
+
+  const channel = client.userId && channels.get(client.pageId);
+  if (!channel) {
+    throw new AppError('Join the page first', 400);
+  }
+
+  if (message.type === 'presence') {
+    client.selection = typeof message.selection === 'string' ? message.selection : null;
+    client.cursor = isPlainObject(message.cursor) && Number.isFinite(message.cursor.x) && Number.isFinite(message.cursor.y)
+      ? { x: message.cursor.x, y: message.cursor.y }
+      : null;
+    broadcast(channel, { type: 'presence', peer: toPeer(client) }, client);
+    return;
+  }
+
+  if (message.type === 'op') {
+    // Operations on a page run one at a time, in the order they arrived
+    enqueue(channel, async () => {
+      const { op, revision } = await applyOperation(client, message.op);
+      send(client.socket, { type: 'ack', opId: message.opId, op, revision });
+      broadcast(channel, { type: 'op', op, revision, clientId: client.clientId }, client);
+    }).catch(error => {
+      if (!error.isOperational) {
+        logger.error(`Live edit of page ${client.pageId} failed:`, error);
+      }
+      send(client.socket, {
+        type: 'reject',
+        opId: message.opId,
+        status: error.statusCode || 500,
+        message: error.isOperational ? error.message : 'The change could not be saved',
+      });
+    });
+    return;
+  }
+
+  throw new AppError(`Unknown message type: ${message.type}`, 400);
+};
+
+const handleConnection = (socket, appId, pageId) => {
+  const client = {
+    socket,
+    clientId: uuidv4(),
+    appId,
+    pageId,
+    userId: null,
+    selection: null,
+    cursor: null,
+  };
+
+  socket.isAlive = true;
+  socket.on('pong', () => { socket.isAlive = true; });
+
+  client.joinTimer = setTimeout(() => {
+    send(socket, { type: 'error', message: 'Join the page first' });
+    socket.close(4408, 'Join timed out');
+  }, JOIN_TIMEOUT_MS);
+
+  socket.on('message', (data) => {
+    handleMessage(client, data).catch(error => {
+      if (!error.isOperational) {
+        logger.error(`Live editing message for page ${pageId} failed:`, error);
+      }
+      const message = error.isOperational ? error.message : 'Something went wrong';
+      send(socket, { type: 'error', message });
+
+      // Failing to join ends the connection; other errors only answer
+      if (!client.userId) {
+        socket.close(4000 + (error.statusCode || 500), message);
+      }
+    });
+  });
+
+  socket.on('close', () => {
+    clearTimeout(client.joinTimer);
+    leave(client);
+  });
+};
+
+// Tells the people editing a page it was saved or deleted through the API
+const notifyPageChanged = (page) => {
+  const channel = channels.get(page.id);
+  if (!channel) return;
+
+  // Queued like operations, so clients still joining hear about it too
+  enqueue(channel, () => {
+    if (page.isDeleted) {
+      channel.clients.forEach(client => {
+        send(client.socket, { type: 'error', message: 'The page was deleted' });
+        client.socket.close(4404, 'Page deleted');
+      });
+      return;
+    }
+
+    broadcast(channel, { type: 'page', page });
+  });
+};
+
+// Serves live editing on the API's HTTP server
+const attachLiveEditing = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const match = new URL(req.url, 'http://localhost').pathname.match(LIVE_PATH);
+    if (!match) {
+      socket.destroy();
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => handleConnection(ws, match[1], match[2]));
+  });
+
+  // Connections that stop answering pings are dropped
+  heartbeat = setInterval(() => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }, HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  server.on('close', () => {
+    clearInterval(heartbeat);
+    wss.close();
+  });
+
+  logger.info('Live page editing enabled');
+  return wss;
+};
+
+module.exports = {
+  attachLiveEditing,
+  notifyPageChanged,
+};
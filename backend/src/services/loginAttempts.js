@@ -0,0 +1,88 @@
+// Login throttling shared by platform and app user sign-in. The counters live
+// on a document per account: failed logins in a row, the attempts still being
+// checked, and when the account is locked until.
+//
+// An attempt is reserved in a transaction before the password is checked, so
+// a burst sent in parallel gets no more guesses than a sequence of them.
+
+const { updateDocumentInTransaction } = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+// How long a reserved login attempt counts if its request never finishes
+const PENDING_LOGIN_TTL_MS = 60 * 1000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+// Throws 429 while the account is locked after repeated failures
+const assertNotLocked = (attempts) => {
+  if (attempts?.lockedUntil && toDate(attempts.lockedUntil) > new Date()) {
+    const minutes = Math.ceil((toDate(attempts.lockedUntil) - Date.now()) / 60000);
+    throw new AppError(`Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`, 429);
+  }
+};
+
+// Reserves a login attempt and returns the document it read. A missing
+// document is created from `fields` plus the counters. Throws 429 while the
+// account is locked or the attempts in flight take up what is left of the limit.
+const reserveLoginAttempt = async (collection, docId, fields = {}) => {
+  let attempts;
+  await updateDocumentInTransaction(collection, docId, async (current) => {
+    attempts = current;
+    assertNotLocked(current);
+
+    // A reservation left behind by a request that never finished stops counting
+    const pendingLogins = current?.pendingLogins && toDate(current.pendingLoginsAt) > new Date(Date.now() - PENDING_LOGIN_TTL_MS)
+      ? current.pendingLogins
+      : 0;
+    if ((current?.failedLogins || 0) + pendingLogins >= MAX_FAILED_LOGINS) {
+      throw new AppError('Too many login attempts. Try again in a minute.', 429);
+    }
+
+    if (!current) {
+      return {
+        ...fields,
+        failedLogins: 0,
+        lockedUntil: null,
+        pendingLogins: 1,
+        pendingLoginsAt: new Date(),
+      };
+    }
+    return { pendingLogins: pendingLogins + 1, pendingLoginsAt: new Date() };
+  });
+  return attempts;
+};
+
+// Releases a reserved attempt and counts its outcome: `true` clears the
+// failures, `false` counts one and locks the account at the limit, and null,
+// for a check that could not be made, counts nothing. Resolves to true when
+// this attempt locked the account.
+const settleLoginAttempt = async (collection, docId, valid) => {
+  const saved = await updateDocumentInTransaction(collection, docId, async (attempts) => {
+    if (!attempts) return null;
+
+    const pendingLogins = Math.max((attempts.pendingLogins || 0) - 1, 0);
+    if (valid) {
+      return { pendingLogins, failedLogins: 0, lockedUntil: null };
+    }
+    if (valid === null) {
+      return { pendingLogins };
+    }
+
+    const failedLogins = (attempts.failedLogins || 0) + 1;
+    if (failedLogins >= MAX_FAILED_LOGINS) {
+      return { pendingLogins, failedLogins: 0, lockedUntil: new Date(Date.now() + LOCKOUT_MS) };
+    }
+    return { pendingLogins, failedLogins };
+  });
+
+  return Boolean(saved?.lockedUntil);
+};
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  reserveLoginAttempt,
+  settleLoginAttempt,
+};
@@ -0,0 +1,94 @@
+// Outgoing email. MAIL_TRANSPORT picks how messages are delivered:
+//   console  logs the recipient and subject of each message, never the body
+//            (the default outside production)
+//   file     writes each message to MAIL_OUTBOX_DIR as an .eml file
+//   smtp     sends through the server set by SMTP_HOST, SMTP_PORT, SMTP_USER
+//            and SMTP_PASS
+// In production MAIL_TRANSPORT must be set: without it sending fails instead
+// of falling back to the console.
+
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'XMBL <no-reply@xmbl.app>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './mail-outbox';
+
+// Header values come from user input; a line break would start a new header
+const headerValue = (value) => String(value).replace(/[\r\n]+/g, ' ').trim();
+
+const formatMessage = ({ from, to, subject, text, date }) => [
+  `From: ${headerValue(from)}`,
+  `To: ${headerValue(to)}`,
+  `Subject: ${headerValue(subject)}`,
+  `Date: ${date.toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  text,
+].join('\r\n');
+
+let smtpTransporter;
+
+// Port 465 speaks TLS from the start; other ports upgrade with STARTTLS
+const getSmtpTransporter = () => {
+  if (!smtpTransporter) {
+    const port = parseInt(process.env.SMTP_PORT, 10) || 587;
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+    });
+  }
+  return smtpTransporter;
+};
+
+const transports = {
+  // Bodies hold reset links and invitation tokens, so they stay out of the log
+  console: async (message) => {
+    logger.info(`Email to ${headerValue(message.to)}: ${headerValue(message.subject)} (body not logged)`);
+  },
+
+  file: async (message) => {
+    await fs.promises.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const file = path.join(MAIL_OUTBOX_DIR, `${message.date.getTime()}-${uuidv4()}.eml`);
+    await fs.promises.writeFile(file, formatMessage(message));
+    logger.info(`Email to ${headerValue(message.to)} written to ${file}`);
+  },
+
+  smtp: async (message) => {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST must be set to send email over SMTP');
+    }
+    await getSmtpTransporter().sendMail({
+      from: headerValue(message.from),
+      to: headerValue(message.to),
+      subject: headerValue(message.subject),
+      text: message.text,
+      date: message.date,
+    });
+    logger.info(`Email to ${headerValue(message.to)} sent`);
+  },
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT must be set in production');
+  }
+  if (!transports[name]) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return transports[name];
+};
+
+const sendMail = async ({ to, subject, text, from = MAIL_FROM }) => {
+  await getTransport()({ from, to, subject, text, date: new Date() });
+};
+
+module.exports = {
+  sendMail,
+};
@@ -0,0 +1,208 @@
+// Validation of the components that make up a page's content, shared by the
+// builder API and live page editing.
+
+const { v4: uuidv4 } = require('uuid');
+const { queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { BREAKPOINTS, EVENT_TYPES } = require('./codeGenerator');
+const { parseListQuery, toListQuery, getDataModels } = require('./dataModels');
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isValidClassName = (value) => typeof value === 'string'
+  && value.trim().split(/\s+/).every(name => name === '' || /^-?[_a-zA-Z][\w-]*$/.test(name));
+
+// Styles map CSS properties (camelCase or kebab-case) to plain values
+const validateStyles = (styles, label = 'Styles') => {
+  if (!isPlainObject(styles)) {
+    throw new AppError(`${label} must be an object`, 400);
+  }
+
+  Object.entries(styles).forEach(([property, value]) => {
+    if (!/^-?[a-zA-Z][a-zA-Z0-9-]*$/.test(property)) {
+      throw new AppError(`${label}: invalid CSS property "${property}"`, 400);
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      throw new AppError(`${label}: value for "${property}" must be a string or number`, 400);
+    }
+    if (/[;{}<>\\]/.test(String(value))) {
+      throw new AppError(`${label}: value for "${property}" contains invalid characters`, 400);
+    }
+  });
+};
+
+const generateComponentId = () => `comp_${uuidv4().replace(/-/g, '_')}`;
+
+const validateComponent = (component) => {
+  const requiredFields = ['type', 'props'];
+  for (const field of requiredFields) {
+    if (!component[field]) {
+      throw new AppError(`Component missing required field: ${field}`, 400);
+    }
+  }
+
+  const allowedTypes = [
+    'text', 'heading', 'button', 'image', 'container', 'grid', 'form',
+    'input', 'textarea', 'select', 'checkbox', 'radio', 'card', 'modal',
+    'tabs', 'accordion', 'slider', 'gallery', 'video', 'map', 'chart',
+    'list', 'table', 'navbar', 'footer', 'sidebar', 'hero', 'cta'
+  ];
+
+  if (!allowedTypes.includes(component.type)) {
+    throw new AppError(`Invalid component type: ${component.type}`, 400);
+  }
+
+  if (component.styles !== undefined) {
+    validateStyles(component.styles, `Component ${component.id || component.type} styles`);
+  }
+
+  if (component.className !== undefined && !isValidClassName(component.className)) {
+    throw new AppError(`Invalid className for component ${component.id || component.type}`, 400);
+  }
+
+  if (component.responsive !== undefined) {
+    if (!isPlainObject(component.responsive)) {
+      throw new AppError('Component responsive styles must be an object', 400);
+    }
+    Object.entries(component.responsive).forEach(([breakpoint, styles]) => {
+      if (!BREAKPOINTS[breakpoint]) {
+        throw new AppError(`Invalid breakpoint: ${breakpoint}. Use one of ${Object.keys(BREAKPOINTS).join(', ')}`, 400);
+      }
+      validateStyles(styles, `Component ${component.id || component.type} ${breakpoint} styles`);
+    });
+  }
+
+  if (component.events !== undefined) {
+    validateEvents(component);
+  }
+
+  if (component.props.dataSource !== undefined && component.props.dataSource !== null) {
+    validateDataSource(component);
+  }
+
+  if (component.children !== undefined) {
+    if (!Array.isArray(component.children)) {
+      throw new AppError('Component children must be an array', 400);
+    }
+    component.children.forEach(validateComponent);
+  }
+};
+
+// Events map an event name to a function ID, or to { functionId, args }
+const validateEvents = (component) => {
+  const label = `Component ${component.id || component.type}`;
+  if (!isPlainObject(component.events)) {
+    throw new AppError(`${label} events must be an object`, 400);
+  }
+
+  Object.entries(component.events).forEach(([event, binding]) => {
+    if (!EVENT_TYPES.includes(event)) {
+      throw new AppError(`${label}: invalid event "${event}". Use one of ${EVENT_TYPES.join(', ')}`, 400);
+    }
+    if (event === 'submit' && component.type !== 'form') {
+      throw new AppError(`${label}: only form components have a submit event`, 400);
+    }
+
+    const { functionId, args } = typeof binding === 'string' ? { functionId: binding } : binding || {};
+    if (typeof functionId !== 'string' || !functionId) {
+      throw new AppError(`${label}: ${event} event must reference a function ID`, 400);
+    }
+    if (args !== undefined && !isPlainObject(args)) {
+      throw new AppError(`${label}: ${event} event args must be an object`, 400);
+    }
+  });
+};
+
+// A data source binds a list, table or form to one of the app's collections:
+// { collection, filter, sort, limit }. Forms only use the collection.
+const DATA_COMPONENT_TYPES = ['list', 'table', 'form'];
+
+const validateDataSource = (component) => {
+  const label = `Component ${component.id || component.type}`;
+  const source = component.props.dataSource;
+
+  if (!DATA_COMPONENT_TYPES.includes(component.type)) {
+    throw new AppError(`${label}: only ${DATA_COMPONENT_TYPES.join(', ')} components can have a data source`, 400);
+  }
+  if (!isPlainObject(source) || typeof source.collection !== 'string' || !source.collection) {
+    throw new AppError(`${label}: dataSource must name a collection`, 400);
+  }
+  if (source.filter !== undefined && !isPlainObject(source.filter)) {
+    throw new AppError(`${label}: dataSource filter must be an object`, 400);
+  }
+  if (source.sort !== undefined && typeof source.sort !== 'string') {
+    throw new AppError(`${label}: dataSource sort must be a field name`, 400);
+  }
+  if (source.limit !== undefined && !(Number.isInteger(source.limit) && source.limit > 0)) {
+    throw new AppError(`${label}: dataSource limit must be a positive integer`, 400);
+  }
+};
+
+const collectDataSources = (components = [], sources = []) => {
+  components.forEach(component => {
+    if (component.props?.dataSource) sources.push(component);
+    collectDataSources(component.children, sources);
+  });
+  return sources;
+};
+
+// Bound collections must exist, and lists and tables must query them the way
+// the data API accepts
+const validateDataSources = async (appId, components) => {
+  const bound = collectDataSources(components);
+  if (bound.length === 0) return;
+
+  const models = new Map((await getDataModels(appId)).map(model => [model.name, model]));
+
+  bound.forEach((component) => {
+    const source = component.props.dataSource;
+    const model = models.get(source.collection);
+    if (!model) {
+      throw new AppError(`Collection not found: ${source.collection}`, 400);
+    }
+    if (component.type !== 'form') {
+      parseListQuery(model, toListQuery(source));
+    }
+  });
+};
+
+const collectFunctionBindings = (components = [], bindings = []) => {
+  components.forEach(component => {
+    Object.entries(component.events || {}).forEach(([event, binding]) => {
+      bindings.push({ event, functionId: typeof binding === 'string' ? binding : binding.functionId });
+    });
+    collectFunctionBindings(component.children, bindings);
+  });
+  return bindings;
+};
+
+// Bound functions must belong to the app and have a trigger matching the event
+const validateFunctionBindings = async (appId, components) => {
+  const bindings = collectFunctionBindings(components);
+  if (bindings.length === 0) return;
+
+  const functions = await queryDocuments(COLLECTIONS.FUNCTIONS, [
+    { field: 'appId', operator: '==', value: appId },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+  const functionsById = new Map(functions.map(func => [func.id, func]));
+
+  bindings.forEach(({ event, functionId }) => {
+    const func = functionsById.get(functionId);
+    if (!func) {
+      throw new AppError(`Function not found: ${functionId}`, 400);
+    }
+    if (func.trigger !== event && func.trigger !== 'custom') {
+      throw new AppError(`Function "${func.name}" has a ${func.trigger} trigger and cannot handle ${event} events`, 400);
+    }
+  });
+};
+
+module.exports = {
+  generateComponentId,
+  isPlainObject,
+  validateStyles,
+  validateComponent,
+  validateFunctionBindings,
+  validateDataSources,
+};
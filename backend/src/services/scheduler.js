@@ -0,0 +1,132 @@
+// Runs builder functions with a `schedule` trigger when their cron expression
+// is due. Checks once a minute, on the minute.
+//
+// Only one backend instance should run the scheduler; set
+// SCHEDULER_ENABLED=false on the others.
+
+const { queryDocuments, createDocument, updateDocument, COLLECTIONS } = require('../config/firebase');
+const { executeFunction, isSandboxAvailable } = require('./functionRunner');
+const { matchesCron, getNextRun } = require('../utils/cron');
+const { logger } = require('../utils/logger');
+
+const TICK_INTERVAL_MS = 60 * 1000;
+const SCHEDULER_CONCURRENCY = parseInt(process.env.SCHEDULER_CONCURRENCY, 10) || 2;
+
+let timer = null;
+// Functions whose previous run has not finished yet
+const running = new Set();
+
+const getDueFunctions = async (scheduledFor) => {
+  const functions = await queryDocuments(COLLECTIONS.FUNCTIONS, [
+    { field: 'trigger', operator: '==', value: 'schedule' },
+    { field: 'isActive', operator: '==', value: true },
+    { field: 'isDeleted', operator: '==', value: false },
+  ]);
+
+  return functions.filter((func) => {
+    try {
+      return matchesCron(func.schedule, scheduledFor);
+    } catch (error) {
+      logger.warn(`Skipping function ${func.id} with invalid schedule "${func.schedule}": ${error.message}`);
+      return false;
+    }
+  });
+};
+
+const runScheduledFunction = async (func, scheduledFor) => {
+  if (running.has(func.id)) {
+    logger.warn(`Skipping scheduled run of function ${func.id}: previous run still in progress`);
+    return;
+  }
+
+  running.add(func.id);
+  try {
+    await executeFunction(func, {
+      trigger: 'schedule',
+      globals: {
+        schedule: { expression: func.schedule, scheduledFor: scheduledFor.toISOString() },
+      },
+      extra: { scheduledFor },
+    });
+  } catch (error) {
+    // executeFunction only throws for problems outside the function itself,
+    // e.g. a missing required parameter or a storage error, and then has not
+    // recorded the run. Record it here so the failure shows up in the run history.
+    logger.error(`Scheduled run of function ${func.id} failed:`, error.message);
+    await createDocument(COLLECTIONS.FUNCTION_RUNS, {
+      functionId: func.id,
+      appId: func.appId,
+      trigger: 'schedule',
+      environment: 'production',
+      status: 'error',
+      result: null,
+      resultTruncated: false,
+      error: error.message,
+      logs: [],
+      duration: 0,
+      startedAt: new Date(),
+      scheduledFor,
+    }).catch((recordError) => {
+      logger.error(`Failed to record scheduled run of function ${func.id}:`, recordError.message);
+    });
+  } finally {
+    running.delete(func.id);
+    await updateDocument(COLLECTIONS.FUNCTIONS, func.id, {
+      'metadata.nextRun': getNextRun(func.schedule, scheduledFor),
+    }).catch((error) => {
+      logger.error(`Failed to update next run for function ${func.id}:`, error.message);
+    });
+  }
+};
+
+const tick = async (now = new Date()) => {
+  if (!isSandboxAvailable()) return;
+
+  const scheduledFor = new Date(now);
+  scheduledFor.setUTCSeconds(0, 0);
+
+  const queue = await getDueFunctions(scheduledFor);
+  if (queue.length === 0) return;
+
+  logger.info(`Scheduler: ${queue.length} function(s) due at ${scheduledFor.toISOString()}`);
+
+  const workers = Array.from({ length: Math.min(SCHEDULER_CONCURRENCY, queue.length) }, async () => {
+    while (queue.length) {
+      await runScheduledFunction(queue.shift(), scheduledFor);
+    }
+  });
+  await Promise.all(workers);
+};
+
+const scheduleNextTick = () => {
+  const delay = TICK_INTERVAL_MS - (Date.now() % TICK_INTERVAL_MS);
+  timer = setTimeout(() => {
+    scheduleNextTick();
+    tick().catch((error) => {
+      logger.error('Scheduler tick failed:', error.message);
+    });
+  }, delay);
+  timer.unref();
+};
+
+const startScheduler = () => {
+  if (timer) return;
+  // Scheduled functions run with nobody watching, so never without the isolate
+  if (!isSandboxAvailable()) {
+    logger.warn('Function scheduler not started: the function sandbox is not available');
+    return;
+  }
+  scheduleNextTick();
+  logger.info('⏰ Function scheduler started');
+};
+
+const stopScheduler = () => {
+  clearTimeout(timer);
+  timer = null;
+};
+
+module.exports = {
+  startScheduler,
+  stopScheduler,
+  tick,
+};
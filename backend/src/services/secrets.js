@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const { queryDocuments, COLLECTIONS } = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+// `all` applies to every environment; a secret for a specific environment
+// overrides it there
+const SECRET_ENVIRONMENTS = ['all', 'staging', 'production'];
+const SECRET_NAME = /^[A-Z][A-Z0-9_]{0,63}$/;
+// Names the build and function runtimes set themselves, and variables that
+// change what node, npm, git or the shell run
+const RESERVED_SECRET_NAMES = [
+  'PATH', 'HOME', 'NODE_ENV', 'CI', 'ENV', 'BASH_ENV', 'SHELL', 'SHELLOPTS', 'BASHOPTS',
+  'IFS', 'PS4', 'CDPATH', 'PROMPT_COMMAND', 'TMPDIR', 'HTTP_PROXY', 'HTTPS_PROXY', 'NO_PROXY',
+];
+const RESERVED_SECRET_PREFIXES = ['NODE_', 'NPM_', 'YARN_', 'PNPM_', 'COREPACK_', 'LD_', 'DYLD_', 'GIT_', 'SSH_'];
+
+const isReservedSecretName = (name) => RESERVED_SECRET_NAMES.includes(name)
+  || RESERVED_SECRET_PREFIXES.some(prefix => name.startsWith(prefix));
+
+// SECRETS_ENCRYPTION_KEY is 32 bytes, hex or base64 encoded
+const getKey = () => {
+  const raw = process.env.SECRETS_ENCRYPTION_KEY;
+  const key = raw && (/^[0-9a-f]{64}$/i.test(raw) ? Buffer.from(raw, 'hex') : Buffer.from(raw, 'base64'));
+
+  if (!key || key.length !== 32) {
+    throw new AppError('Secrets encryption is not configured', 500);
+  }
+  return key;
+};
+
+// Binds the ciphertext to its app, name and environment so a stored value
+// cannot be copied onto another secret
+const getAssociatedData = ({ appId, name, environment }) => Buffer.from(`${appId}:${name}:${environment}`);
+
+const encryptSecret = (value, owner) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  cipher.setAAD(getAssociatedData(owner));
+  const ciphertext = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+
+  return {
+    ciphertext: ciphertext.toString('base64'),
+    iv: iv.toString('base64'),
+    authTag: cipher.getAuthTag().toString('base64'),
+  };
+};
+
+const decryptSecret = (secret) => {
+  try {
+    const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(secret.iv, 'base64'));
+    decipher.setAAD(getAssociatedData(secret));
+    decipher.setAuthTag(Buffer.from(secret.authTag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(secret.ciphertext, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  } catch (error) {
+    if (error instanceof AppError) throw error;
+    throw new AppError(`Failed to decrypt secret ${secret.name}`, 500);
+  }
+};
+
+// What the API returns for a secret: never the value
+const toSecretSummary = (secret) => ({
+  id: secret.id,
+  name: secret.name,
+  environment: secret.environment,
+  version: secret.version,
+  createdAt: secret.createdAt,
+  updatedAt: secret.updatedAt,
+  lastRotatedAt: secret.lastRotatedAt || null,
+});
+
+// Decrypted { NAME: value } map for one environment
+const getAppSecrets = async (appId, environment) => {
+  const secrets = await queryDocuments(COLLECTIONS.SECRETS, [
+    { field: 'appId', operator: '==', value: appId },
+  ]);
+
+  const values = {};
+  secrets
+    .filter(secret => secret.environment === 'all')
+    .forEach((secret) => {
+      values[secret.name] = decryptSecret(secret);
+    });
+  secrets
+    .filter(secret => secret.environment === environment)
+    .forEach((secret) => {
+      values[secret.name] = decryptSecret(secret);
+    });
+
+  return values;
+};
+
+module.exports = {
+  SECRET_ENVIRONMENTS,
+  SECRET_NAME,
+  isReservedSecretName,
+  encryptSecret,
+  decryptSecret,
+  toSecretSummary,
+  getAppSecrets,
+};
@@ -0,0 +1,186 @@
+// Platform user sessions. Signing in creates a session per device and returns
+// a short-lived access token plus a refresh token. A session is one refresh
+// token family: each refresh swaps the token for the next generation, and
+// presenting any earlier generation again means a token was copied, which
+// ends the session.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  createDocument,
+  getDocument,
+  updateDocument,
+  updateDocumentInTransaction,
+  queryDocuments,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { logger } = require('../utils/logger');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+// How often a session's last-seen time is written
+const LAST_SEEN_INTERVAL_MS = 5 * 60 * 1000;
+
+const toDate = (value) => (value?.toDate ? value.toDate() : new Date(value));
+
+const isActive = (session) => Boolean(session && !session.revokedAt && toDate(session.expiresAt) > new Date());
+
+const generateAccessToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+};
+
+// Refresh tokens are `<sessionId>.<generation>.<secret>`, the secret signing the
+// other two with its own key. Nothing secret is stored, and a token of an
+// earlier generation can still be told apart from a forged one.
+const getRefreshTokenKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('refresh-token').digest();
+
+const generateRefreshToken = (sessionId, generation) => {
+  const secret = crypto.createHmac('sha256', getRefreshTokenKey()).update(`${sessionId}.${generation}`).digest('hex');
+  return `${sessionId}.${generation}.${secret}`;
+};
+
+// Returns the session id and generation of a genuine refresh token, or null
+const parseRefreshToken = (token) => {
+  const [sessionId, generation] = String(token).split('.');
+  if (!sessionId || !/^\d{1,15}$/.test(generation || '')) {
+    return null;
+  }
+
+  const expected = Buffer.from(generateRefreshToken(sessionId, Number(generation)));
+  const presented = Buffer.from(String(token));
+  return presented.length === expected.length && crypto.timingSafeEqual(presented, expected)
+    ? { sessionId, generation: Number(generation) }
+    : null;
+};
+
+// What the API returns for a session
+const toSessionSummary = (session) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastSeenAt: session.lastSeenAt,
+  expiresAt: session.expiresAt,
+});
+
+// `twoFactorVerified` records whether the login passed a second factor
+const createSession = async (userId, { userAgent, ip, twoFactorVerified = false } = {}) => {
+  const sessionId = await createDocument(COLLECTIONS.SESSIONS, {
+    userId,
+    userAgent: userAgent || null,
+    ip: ip || null,
+    twoFactorVerified,
+    refreshGeneration: 0,
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    revokedAt: null,
+  });
+
+  return {
+    sessionId,
+    accessToken: generateAccessToken(userId, sessionId),
+    refreshToken: generateRefreshToken(sessionId, 0),
+  };
+};
+
+// Swaps a refresh token for a new access and refresh token, or throws 401. The
+// generation is checked and moved on in one transaction, so a token can be
+// swapped once; a stale token ends the session instead.
+const refreshSession = async (token, { userAgent, ip } = {}) => {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) {
+    throw new AppError('Session has ended, please log in again', 401);
+  }
+
+  let session = null;
+  let reused = false;
+  const saved = await updateDocumentInTransaction(COLLECTIONS.SESSIONS, parsed.sessionId, async (current) => {
+    session = current;
+    reused = false;
+    if (!isActive(current) || parsed.generation > current.refreshGeneration) {
+      return null;
+    }
+
+    if (parsed.generation < current.refreshGeneration) {
+      reused = true;
+      return { revokedAt: new Date() };
+    }
+
+    return {
+      refreshGeneration: parsed.generation + 1,
+      lastSeenAt: new Date(),
+      ...(userAgent && { userAgent }),
+      ...(ip && { ip }),
+    };
+  });
+
+  if (reused) {
+    logger.warn(`Replaced refresh token presented for session ${session.id}; ending the session`);
+  }
+  if (!saved || reused) {
+    throw new AppError('Session has ended, please log in again', 401);
+  }
+
+  return {
+    sessionId: session.id,
+    userId: session.userId,
+    twoFactorVerified: Boolean(session.twoFactorVerified),
+    accessToken: generateAccessToken(session.userId, session.id),
+    refreshToken: generateRefreshToken(session.id, saved.refreshGeneration),
+  };
+};
+
+// Returns the session an access token belongs to while it is still active
+const getActiveSession = async (sessionId) => {
+  const session = sessionId ? await getDocument(COLLECTIONS.SESSIONS, sessionId) : null;
+  if (!isActive(session)) {
+    return null;
+  }
+
+  if (!(Date.now() - toDate(session.lastSeenAt).getTime() < LAST_SEEN_INTERVAL_MS)) {
+    await updateDocument(COLLECTIONS.SESSIONS, session.id, { lastSeenAt: new Date() });
+  }
+  return session;
+};
+
+const listSessions = async (userId) => {
+  const sessions = await queryDocuments(COLLECTIONS.SESSIONS, [
+    { field: 'userId', operator: '==', value: userId },
+    { field: 'revokedAt', operator: '==', value: null },
+  ]);
+  return sessions.filter(isActive);
+};
+
+const revokeSession = (sessionId) => updateDocument(COLLECTIONS.SESSIONS, sessionId, { revokedAt: new Date() });
+
+// Ends the session a refresh token belongs to; unknown tokens are ignored
+const revokeRefreshToken = async (token) => {
+  const parsed = parseRefreshToken(token);
+  const session = parsed ? await getDocument(COLLECTIONS.SESSIONS, parsed.sessionId) : null;
+  if (isActive(session)) {
+    await revokeSession(session.id);
+  }
+};
+
+// Ends every session of the user, or every other one when `exceptSessionId` is given
+const revokeAllSessions = async (userId, exceptSessionId = null) => {
+  const sessions = await listSessions(userId);
+  await Promise.all(sessions
+    .filter(session => session.id !== exceptSessionId)
+    .map(session => revokeSession(session.id)));
+};
+
+module.exports = {
+  REFRESH_TOKEN_TTL_MS,
+  toSessionSummary,
+  createSession,
+  refreshSession,
+  getActiveSession,
+  listSessions,
+  revokeSession,
+  revokeRefreshToken,
+  revokeAllSessions,
+};
@@ -0,0 +1,230 @@
+// Two-factor authentication for platform accounts with authenticator app
+// codes (TOTP). Setup stores a pending secret until the first code confirms
+// it. Recovery codes stand in for a lost device and work once each.
+//
+// Between the password and the code, the client holds a short-lived challenge
+// token instead of a session.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  createDocument,
+  getDocument,
+  updateDocument,
+  updateDocumentInTransaction,
+  COLLECTIONS,
+} = require('../config/firebase');
+const { AppError } = require('../middleware/errorHandler');
+const { encryptSecret, decryptSecret } = require('./secrets');
+const {
+  saveCredentials,
+  reserveUserLogin,
+  settleUserLogin,
+} = require('./credentials');
+const { generateSecret, verifyCode, getProvisioningUri } = require('../utils/totp');
+
+const ISSUER = 'XMBL';
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const CHALLENGE_TYPES = ['login', 'setup'];
+const SECURITY_SETTINGS_ID = 'security';
+
+// Challenge tokens are signed with their own key so they can never pass as an
+// access token
+const getChallengeKey = () => crypto.createHmac('sha256', process.env.JWT_SECRET).update('two-factor').digest();
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+
+// TOTP secrets are encrypted like app secrets, bound to the user
+const encryptTotpSecret = (userId, secret) => {
+  const owner = { appId: 'platform', name: `totp:${userId}`, environment: 'all' };
+  return { ...owner, ...encryptSecret(secret, owner) };
+};
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+});
+
+const getSecuritySettings = async () => {
+  const settings = await getDocument(COLLECTIONS.PLATFORM_SETTINGS, SECURITY_SETTINGS_ID);
+  return {
+    twoFactorRequiredRoles: settings?.twoFactorRequiredRoles || [],
+  };
+};
+
+const updateSecuritySettings = async ({ twoFactorRequiredRoles }, updatedBy) => {
+  const data = { twoFactorRequiredRoles, updatedBy };
+
+  if (await getDocument(COLLECTIONS.PLATFORM_SETTINGS, SECURITY_SETTINGS_ID)) {
+    await updateDocument(COLLECTIONS.PLATFORM_SETTINGS, SECURITY_SETTINGS_ID, data);
+  } else {
+    await createDocument(COLLECTIONS.PLATFORM_SETTINGS, data, SECURITY_SETTINGS_ID);
+  }
+  return getSecuritySettings();
+};
+
+const isTwoFactorRequired = async (user) => {
+  const { twoFactorRequiredRoles } = await getSecuritySettings();
+  return twoFactorRequiredRoles.includes(user.role);
+};
+
+const getTwoFactor = async (userId) => {
+  const credentials = await getDocument(COLLECTIONS.USER_CREDENTIALS, userId);
+  return credentials?.twoFactor || null;
+};
+
+const isTwoFactorEnabled = async (userId) => Boolean((await getTwoFactor(userId))?.enabled);
+
+const getTwoFactorStatus = async (user) => {
+  const twoFactor = await getTwoFactor(user.id);
+  return {
+    enabled: Boolean(twoFactor?.enabled),
+    required: await isTwoFactorRequired(user),
+    recoveryCodesRemaining: twoFactor?.enabled ? twoFactor.recoveryCodes.length : 0,
+  };
+};
+
+const createChallenge = (userId, type) => {
+  return jwt.sign({ type, userId }, getChallengeKey(), { expiresIn: CHALLENGE_TTL });
+};
+
+// Returns the user id of a challenge token of the given type, or throws 401
+const verifyChallenge = (token, type) => {
+  let payload;
+  try {
+    payload = jwt.verify(String(token), getChallengeKey());
+  } catch (error) {
+    throw new AppError('Verification has expired, please log in again', 401);
+  }
+
+  if (!CHALLENGE_TYPES.includes(type) || payload.type !== type) {
+    throw new AppError('Verification has expired, please log in again', 401);
+  }
+  return payload.userId;
+};
+
+// Returns the secret to add to an authenticator app, as text and as an
+// otpauth:// URI for a QR code
+const startSetup = async (user) => {
+  const twoFactor = await getTwoFactor(user.id);
+  if (twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = generateSecret();
+  await saveCredentials(user.id, {
+    twoFactor: {
+      enabled: false,
+      pendingSecret: encryptTotpSecret(user.id, secret),
+    },
+  });
+
+  return {
+    secret,
+    otpauthUrl: getProvisioningUri({ secret, accountName: user.email, issuer: ISSUER }),
+  };
+};
+
+// Turns two-factor authentication on once a code from the new secret checks
+// out, and returns the recovery codes. They are only ever shown here.
+const enableTwoFactor = async (user, code) => {
+  const twoFactor = await getTwoFactor(user.id);
+  if (twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409);
+  }
+  if (!twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup first', 400);
+  }
+
+  const step = verifyCode(decryptSecret(twoFactor.pendingSecret), code);
+  if (step === null) {
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await updateDocument(COLLECTIONS.USER_CREDENTIALS, user.id, {
+    twoFactor: {
+      enabled: true,
+      secret: twoFactor.pendingSecret,
+      pendingSecret: null,
+      lastUsedStep: step,
+      recoveryCodes: recoveryCodes.map(recoveryCode => hashCode(normalizeRecoveryCode(recoveryCode))),
+      enabledAt: new Date(),
+    },
+  });
+
+  return recoveryCodes;
+};
+
+// Checks the code and marks it used in one transaction, so two requests with
+// the same code cannot both pass. Returns whether the code was accepted.
+const consumeSecondFactor = async (userId, code) => {
+  const saved = await updateDocumentInTransaction(COLLECTIONS.USER_CREDENTIALS, userId, async (credentials) => {
+    const twoFactor = credentials?.twoFactor;
+    if (!twoFactor?.enabled) {
+      throw new AppError('Two-factor authentication is not enabled', 400);
+    }
+
+    // A code is accepted once; later steps only
+    const step = verifyCode(decryptSecret(twoFactor.secret), code);
+    if (step !== null && step > (twoFactor.lastUsedStep ?? -1)) {
+      return { 'twoFactor.lastUsedStep': step };
+    }
+
+    const recoveryHash = hashCode(normalizeRecoveryCode(code));
+    if (twoFactor.recoveryCodes.includes(recoveryHash)) {
+      return { 'twoFactor.recoveryCodes': twoFactor.recoveryCodes.filter(hash => hash !== recoveryHash) };
+    }
+    return null;
+  });
+  return Boolean(saved);
+};
+
+// Resolves when `code` is a current authenticator code or an unused recovery
+// code. Wrong codes count towards the login lockout.
+const verifySecondFactor = async (user, code) => {
+  await reserveUserLogin(user);
+
+  let valid = null;
+  try {
+    valid = await consumeSecondFactor(user.id, code);
+  } finally {
+    await settleUserLogin(user, valid);
+  }
+
+  if (!valid) {
+    throw new AppError('Invalid verification code', 401);
+  }
+};
+
+const disableTwoFactor = async (userId) => {
+  if (await getDocument(COLLECTIONS.USER_CREDENTIALS, userId)) {
+    await updateDocument(COLLECTIONS.USER_CREDENTIALS, userId, { twoFactor: null });
+  }
+};
+
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await updateDocument(COLLECTIONS.USER_CREDENTIALS, userId, {
+    'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => hashCode(normalizeRecoveryCode(recoveryCode))),
+  });
+  return recoveryCodes;
+};
+
+module.exports = {
+  getSecuritySettings,
+  updateSecuritySettings,
+  isTwoFactorRequired,
+  isTwoFactorEnabled,
+  getTwoFactorStatus,
+  createChallenge,
+  verifyChallenge,
+  startSetup,
+  enableTwoFactor,
+  verifySecondFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+};
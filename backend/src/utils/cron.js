@@ -0,0 +1,167 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week),
+// evaluated in UTC. Supports `*`, lists, ranges, steps, month and weekday
+// names and the @yearly/@monthly/@weekly/@daily/@hourly shortcuts.
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 },
+];
+
+// Searching further ahead than this means the expression can never match
+// (e.g. 30 February)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+class CronError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CronError';
+  }
+}
+
+const parseValue = (value, field) => {
+  const index = field.names ? field.names.indexOf(value.toUpperCase()) : -1;
+  const number = index >= 0 ? index + field.offset : Number(value);
+
+  if (!/^\w+$/.test(value) || !Number.isInteger(number) || number < field.min || number > field.max) {
+    throw new CronError(`Invalid ${field.name} value: ${value}`);
+  }
+  return number;
+};
+
+const parseField = (source, field) => {
+  const values = new Set();
+
+  source.split(',').forEach((part) => {
+    const [range, stepSource] = part.split('/');
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(value => parseValue(value, field));
+      if (start > end) {
+        throw new CronError(`Invalid ${field.name} range: ${part}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  });
+
+  return values;
+};
+
+const parseCron = (expression) => {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new CronError('Cron expression is required');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new CronError(`Cron expression must have ${FIELDS.length} fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+};
+
+const isValidCron = (expression) => {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const matchesDay = (parsed, date) => {
+  const dayOfMonth = parsed.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = parsed.daysOfWeek.has(date.getUTCDay());
+  return parsed.anyDay ? dayOfMonth || dayOfWeek : dayOfMonth && dayOfWeek;
+};
+
+const matchesCron = (schedule, date) => {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+
+  return parsed.minutes.has(date.getUTCMinutes())
+    && parsed.hours.has(date.getUTCHours())
+    && parsed.months.has(date.getUTCMonth() + 1)
+    && matchesDay(parsed, date);
+};
+
+// First matching minute strictly after `from`, or null if there is none.
+// Skips whole months, days and hours that cannot match.
+const getNextRun = (schedule, from = new Date()) => {
+  const parsed = typeof schedule === 'string' ? parseCron(schedule) : schedule;
+  const date = new Date(from);
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = new Date(date);
+  limit.setUTCFullYear(limit.getUTCFullYear() + MAX_LOOKAHEAD_YEARS);
+
+  while (date < limit) {
+    if (!parsed.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!matchesDay(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+    } else if (!parsed.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+    } else if (!parsed.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  CronError,
+  parseCron,
+  isValidCron,
+  matchesCron,
+  getNextRun,
+};
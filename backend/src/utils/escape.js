@@ -0,0 +1,86 @@
+// Context-aware escaping for generated source code. Every user-supplied value
+// that ends up in a generated file must pass through the helper matching the
+// context it is written into.
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  // Vue treats `{{ }}` in template text as an expression
+  '{': '&#123;',
+  '}': '&#125;',
+};
+
+// Text content and static attribute values in HTML and Vue templates
+const escapeHtml = (value) => {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[&<>"'{}]/g, char => HTML_ESCAPES[char]);
+};
+
+const escapeAttribute = escapeHtml;
+
+// JSON that is safe to embed in a <script> block: no `</script>`, no HTML
+// comments and no line separators that end a JS string literal early.
+const jsValue = (value, space) => {
+  const json = JSON.stringify(value === undefined ? null : value, null, space);
+  return json
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+};
+
+// A quoted JavaScript string literal
+const jsString = (value) => jsValue(value === null || value === undefined ? '' : String(value));
+
+// Single line of text inside a `//` comment
+const jsComment = (value) => String(value ?? '').replace(/[\r\n\u2028\u2029]+/g, ' ').replace(/\*\//g, '* /');
+
+// A CSS declaration value: cannot close the declaration, the rule or the <style> block
+const cssValue = (value) => String(value ?? '').replace(/[;{}<>\\\r\n]/g, '').trim();
+
+// A CSS property name such as `background-color`
+const cssProperty = (name) => String(name).replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`).replace(/[^a-z-]/g, '');
+
+// A double-quoted CSS string, e.g. inside url("...")
+const cssString = (value) => `"${String(value ?? '').replace(/["\\\r\n<>]/g, char => `\\${char.charCodeAt(0).toString(16)} `)}"`;
+
+const SAFE_URL = /^(?:(?:https?|mailto|tel):|[/#?.]|[^:]*$)/i;
+const SAFE_DATA_URL = /^data:image\/(?:png|gif|jpe?g|webp|avif);base64,[a-z0-9+/=]+$/i;
+
+// Drops javascript:, vbscript: and other active URL schemes
+const safeUrl = (value) => {
+  const url = String(value ?? '').trim();
+  if (SAFE_URL.test(url) || SAFE_DATA_URL.test(url)) return url;
+  return '#';
+};
+
+// PascalCase name usable as a file name and as a component name
+const toComponentName = (value, fallback = 'Component') => {
+  const name = String(value ?? '')
+    .replace(/[^A-Za-z0-9]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''))
+    .replace(/^[^A-Za-z]+/, '');
+  return name ? name.charAt(0).toUpperCase() + name.slice(1) : fallback;
+};
+
+// kebab-case name usable as a CSS class
+const toClassName = (value, fallback = 'component') => {
+  const name = String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return name || fallback;
+};
+
+module.exports = {
+  escapeHtml,
+  escapeAttribute,
+  jsValue,
+  jsString,
+  jsComment,
+  cssValue,
+  cssProperty,
+  cssString,
+  safeUrl,
+  toComponentName,
+  toClassName,
+};
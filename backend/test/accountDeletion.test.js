@@ -0,0 +1,65 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { scheduleAccountDeletion } = require('../src/services/accountDeletion');
+
+const user = { id: 'u1', email: 'owner@example.com' };
+
+describe('scheduleAccountDeletion', () => {
+  beforeEach(() => {
+    Object.keys(store).forEach(name => delete store[name]);
+    store.users = { u1: { isActive: true, email: user.email } };
+    store.apps = { a1: { name: 'Shop', userId: 'u1', workspaceId: null, isDeleted: false } };
+  });
+
+  it('refuses while an owned app has collaborators', async () => {
+    store.appCollaborators = { a1_u2: { appId: 'a1', userId: 'u2', role: 'editor' } };
+
+    await expect(scheduleAccountDeletion(user)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('Transfer the app Shop'),
+    });
+    expect(store.apps.a1.isDeleted).toBe(false);
+    expect(store.users.u1.isActive).toBe(true);
+  });
+
+  it('refuses while an owned app is in a workspace with other members', async () => {
+    store.apps.a1.workspaceId = 'w2';
+    store.workspaceMembers = {
+      w2_u2: { workspaceId: 'w2', userId: 'u2', role: 'owner' },
+      w2_u1: { workspaceId: 'w2', userId: 'u1', role: 'member' },
+    };
+
+    await expect(scheduleAccountDeletion(user)).rejects.toMatchObject({ statusCode: 409 });
+    expect(store.apps.a1.isDeleted).toBe(false);
+  });
+
+  it('refuses while an owned workspace has other members', async () => {
+    store.workspaces = { w1: { name: 'Team', ownerId: 'u1', isDeleted: false } };
+    store.workspaceMembers = {
+      w1_u1: { workspaceId: 'w1', userId: 'u1', role: 'owner' },
+      w1_u2: { workspaceId: 'w1', userId: 'u2', role: 'member' },
+    };
+
+    await expect(scheduleAccountDeletion(user)).rejects.toMatchObject({
+      statusCode: 409,
+      message: expect.stringContaining('Transfer the workspace Team'),
+    });
+    expect(store.workspaces.w1.isDeleted).toBe(false);
+  });
+
+  it('deletes an account whose apps and workspaces only it uses', async () => {
+    store.apps.a1.workspaceId = 'w1';
+    store.workspaces = { w1: { name: 'Solo', ownerId: 'u1', isDeleted: false } };
+    store.workspaceMembers = { w1_u1: { workspaceId: 'w1', userId: 'u1', role: 'owner' } };
+
+    await scheduleAccountDeletion(user);
+
+    expect(store.apps.a1.isDeleted).toBe(true);
+    expect(store.workspaces.w1.isDeleted).toBe(true);
+    expect(store.users.u1.isActive).toBe(false);
+  });
+});
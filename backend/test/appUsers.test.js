@@ -0,0 +1,69 @@
+const bcrypt = require('bcryptjs');
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { verifyCredentials } = require('../src/services/appUsers');
+
+const app = { id: 'a1' };
+const passwordHash = bcrypt.hashSync('correct horse', 4);
+
+const attempt = (email, password) => verifyCredentials(app, email, password)
+  .then(() => 200, error => error.statusCode);
+
+describe('verifyCredentials', () => {
+  beforeEach(() => {
+    store.appUserLogins = {};
+    store.appUsers = {
+      au1: { appId: 'a1', email: 'someone@example.com', passwordHash, isActive: true, isDeleted: false },
+    };
+  });
+
+  it('accepts the right password and rejects a wrong one', async () => {
+    expect(await attempt('Someone@example.com', 'correct horse')).toBe(200);
+    expect(await attempt('someone@example.com', 'wrong')).toBe(401);
+  });
+
+  it('locks the email after five failures, even for the right password', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await attempt('someone@example.com', 'wrong')).toBe(401);
+    }
+
+    expect(await attempt('someone@example.com', 'correct horse')).toBe(429);
+  });
+
+  it('checks no more than five of six attempts sent in parallel', async () => {
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    try {
+      const results = await Promise.all(Array.from({ length: 6 }, () => attempt('someone@example.com', 'wrong')));
+
+      expect(results.sort()).toEqual([401, 401, 401, 401, 401, 429]);
+      expect(compare).toHaveBeenCalledTimes(5);
+    } finally {
+      compare.mockRestore();
+    }
+  });
+
+  it('locks unknown emails the same way', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await attempt('nobody@example.com', 'wrong')).toBe(401);
+    }
+
+    expect(await attempt('nobody@example.com', 'wrong')).toBe(429);
+    expect(await attempt('someone@example.com', 'correct horse')).toBe(200);
+  });
+
+  it('counts failures per app', async () => {
+    for (let i = 0; i < 5; i++) {
+      await attempt('someone@example.com', 'wrong');
+    }
+
+    const other = await verifyCredentials({ id: 'a2' }, 'someone@example.com', 'wrong').catch(error => error.statusCode);
+    expect(other).toBe(401);
+    expect(Object.values(store.appUserLogins).map(login => login.appId).sort()).toEqual(['a1', 'a2']);
+  });
+});
@@ -0,0 +1,42 @@
+const fs = require('fs');
+const { runCommand } = require('../src/services/buildPipeline');
+
+// A killed process may stay a zombie until its new parent reaps it
+const isRunning = (pid) => {
+  try {
+    return fs.readFileSync(`/proc/${pid}/stat`, 'utf8').split(' ')[2] !== 'Z';
+  } catch (error) {
+    return false;
+  }
+};
+
+describe('runCommand', () => {
+  it('returns the exit code and output lines', async () => {
+    const lines = [];
+    const result = await runCommand('echo one; echo two >&2; exit 3', {
+      env: { PATH: process.env.PATH },
+      onLine: (level, line) => lines.push([level, line]),
+    });
+
+    expect(result).toMatchObject({ exitCode: 3, timedOut: false });
+    expect(lines).toEqual([['info', 'one'], ['warn', 'two']]);
+  });
+
+  it('times out and kills processes the shell started', async () => {
+    const lines = [];
+    const startedAt = Date.now();
+    // The background sleep holds the output pipe open after the shell is gone
+    const result = await runCommand('sleep 30 & echo $!; wait', {
+      env: { PATH: process.env.PATH },
+      timeout: 300,
+      onLine: (level, line) => lines.push(line),
+    });
+
+    expect(result.timedOut).toBe(true);
+    expect(Date.now() - startedAt).toBeLessThan(5000);
+
+    const sleepPid = parseInt(lines[0], 10);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(isRunning(sleepPid)).toBe(false);
+  });
+});
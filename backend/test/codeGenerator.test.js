@@ -0,0 +1,78 @@
+const { generateVueApp } = require('../src/services/codeGenerator');
+
+const HOSTILE = 'Tom\'s "quote" </script><script>alert(1)</script> {{ constructor.constructor(\'alert(1)\')() }} \u2028 end';
+
+const app = {
+  name: HOSTILE,
+  subdomain: 'demo',
+  theme: { primaryColor: 'red; } body { display: none' },
+  settings: {},
+};
+
+const page = {
+  id: 'p1',
+  name: 'Home',
+  path: '/',
+  isHome: true,
+  content: {
+    seo: { title: HOSTILE, description: HOSTILE },
+    components: [
+      { id: 'c1', type: 'heading', props: { text: HOSTILE, level: 2 } },
+      { id: 'c2', type: 'text', props: { content: HOSTILE } },
+      { id: 'c3', type: 'image', props: { src: 'javascript:alert(1)', alt: HOSTILE } },
+      { id: 'c4', type: 'button', props: { text: HOSTILE, href: 'javascript:alert(1)' } },
+      { id: 'c5', type: 'hero', props: { title: HOSTILE, backgroundImage: 'javascript:alert(1)' } },
+    ],
+  },
+};
+
+const blocks = (sfc, tag) => [...sfc.matchAll(new RegExp(`<${tag}[^>]*>([\\s\\S]*?)</${tag}>`, 'g'))].map(match => match[1]);
+
+describe('generateVueApp with hostile content', () => {
+  const files = generateVueApp(app, [page], [], []);
+  const sfc = files['src/views/Home.vue'];
+  const [template] = blocks(sfc, 'template');
+  const scripts = blocks(sfc, 'script');
+
+  it('keeps user text out of template interpolation and markup', () => {
+    expect(template).not.toContain('{{');
+    expect(template).not.toContain('<script');
+    expect(template).toContain('&#123;&#123; constructor.constructor(&#39;alert(1)&#39;)() &#125;&#125;');
+    expect(template).toContain('Tom&#39;s &quot;quote&quot; &lt;/script&gt;');
+  });
+
+  it('cannot close the script block early', () => {
+    expect(scripts).toHaveLength(1);
+    expect(sfc.match(/<\/script>/g)).toHaveLength(1);
+  });
+
+  it('writes script strings that parse and hold the original text', () => {
+    const [script] = scripts;
+    expect(script).not.toMatch(/[\u2028\u2029]/);
+
+    const body = script.replace(/^import .*$/gm, '');
+    const titles = [];
+    const meta = {};
+    const document = {
+      set title(value) { titles.push(value); },
+      querySelector: () => meta,
+    };
+    new Function('onMounted', 'document', body)(callback => callback(), document);
+
+    expect(titles).toEqual([`${HOSTILE} | ${HOSTILE}`]);
+    expect(meta.content).toBe(HOSTILE);
+  });
+
+  it('drops javascript: URLs', () => {
+    expect(sfc).not.toMatch(/javascript:/i);
+    expect(template).toContain('<img src="#"');
+    expect(template).toContain('<a class="btn" href="#">');
+    expect(template).toContain('url(&quot;#&quot;)');
+  });
+
+  it('escapes the app name in index.html and theme values in CSS', () => {
+    expect(files['index.html']).toContain('<title>Tom&#39;s &quot;quote&quot; &lt;/script&gt;');
+    expect(files['index.html']).not.toContain('<script>alert(1)');
+    expect(files['src/App.vue']).not.toContain('red; }');
+  });
+});
@@ -0,0 +1,123 @@
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { verifyPassword, createPasswordResetToken, resetPassword } = require('../src/services/credentials');
+
+const user = { id: 'u1', email: 'someone@example.com' };
+const passwordHash = bcrypt.hashSync('correct horse', 4);
+
+const attempt = (password) => verifyPassword(user, password).then(() => 200, error => error.statusCode);
+
+describe('verifyPassword', () => {
+  beforeEach(() => {
+    store.userCredentials = {
+      u1: { passwordHash, failedLogins: 0, lockedUntil: null, passwordReset: null },
+    };
+  });
+
+  it('accepts the right password', async () => {
+    expect(await attempt('correct horse')).toBe(200);
+  });
+
+  it('rejects a wrong password and counts the failure', async () => {
+    expect(await attempt('wrong')).toBe(401);
+    expect(store.userCredentials.u1.failedLogins).toBe(1);
+  });
+
+  it('locks the account after five failures, even for the right password', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await attempt('wrong')).toBe(401);
+    }
+
+    expect(new Date(store.userCredentials.u1.lockedUntil) > new Date()).toBe(true);
+    expect(await attempt('correct horse')).toBe(429);
+  });
+
+  it('counts failures sent in parallel', async () => {
+    const results = await Promise.all(Array.from({ length: 5 }, () => attempt('wrong')));
+
+    expect(results).toEqual([401, 401, 401, 401, 401]);
+    expect(new Date(store.userCredentials.u1.lockedUntil) > new Date()).toBe(true);
+    expect(await attempt('correct horse')).toBe(429);
+  });
+
+  it('checks no more than five of six attempts sent in parallel', async () => {
+    const compare = jest.spyOn(bcrypt, 'compare');
+
+    try {
+      const results = await Promise.all(Array.from({ length: 6 }, () => attempt('wrong')));
+
+      expect(results.sort()).toEqual([401, 401, 401, 401, 401, 429]);
+      expect(compare).toHaveBeenCalledTimes(5);
+      expect(store.userCredentials.u1.pendingLogins).toBe(0);
+      expect(await attempt('correct horse')).toBe(429);
+    } finally {
+      compare.mockRestore();
+    }
+  });
+
+  it('does not count attempts left pending by requests that never finished', async () => {
+    Object.assign(store.userCredentials.u1, {
+      pendingLogins: 5,
+      pendingLoginsAt: new Date(Date.now() - 2 * 60 * 1000).toISOString(),
+    });
+
+    expect(await attempt('correct horse')).toBe(200);
+    expect(store.userCredentials.u1.pendingLogins).toBe(0);
+  });
+
+  it('resets the failure count after a successful login', async () => {
+    await attempt('wrong');
+    await attempt('wrong');
+
+    expect(await attempt('correct horse')).toBe(200);
+    expect(store.userCredentials.u1.failedLogins).toBe(0);
+    expect(store.userCredentials.u1.lockedUntil).toBeNull();
+  });
+
+  it('lets the account in again once the lockout is over', async () => {
+    store.userCredentials.u1.lockedUntil = new Date(Date.now() - 1000).toISOString();
+
+    expect(await attempt('correct horse')).toBe(200);
+    expect(store.userCredentials.u1.lockedUntil).toBeNull();
+  });
+});
+
+describe('resetPassword', () => {
+  beforeEach(() => {
+    store.userCredentials = {
+      u1: { passwordHash, failedLogins: 3, lockedUntil: null, passwordReset: null },
+    };
+  });
+
+  it('sets the new password and spends the token', async () => {
+    const token = await createPasswordResetToken('u1');
+
+    expect(await resetPassword(token, 'new password')).toBe('u1');
+    expect(store.userCredentials.u1.passwordReset).toBeNull();
+    expect(store.userCredentials.u1.failedLogins).toBe(0);
+    expect(await attempt('new password')).toBe(200);
+
+    await expect(resetPassword(token, 'another password')).rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('lets only one of two parallel resets with the same token through', async () => {
+    const token = await createPasswordResetToken('u1');
+
+    const results = await Promise.allSettled([
+      resetPassword(token, 'first password'),
+      resetPassword(token, 'second password'),
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const winner = results[0].status === 'fulfilled' ? 'first password' : 'second password';
+    expect(await attempt(winner)).toBe(200);
+  });
+});
@@ -0,0 +1,74 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const firebase = require('../src/config/firebase');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { createSession } = require('../src/services/sessions');
+const deployRoutes = require('../src/routes/deploy');
+
+const { store } = firebase;
+
+const app = express();
+app.use(express.json());
+app.use('/api/deploy', deployRoutes);
+app.use(errorHandler);
+
+let token;
+
+beforeAll(async () => {
+  store.users = { u1: { isActive: true, email: 'owner@example.com' } };
+  store.apps = { a1: { userId: 'u1', isDeleted: false } };
+  token = (await createSession('u1', {})).accessToken;
+});
+
+beforeEach(() => {
+  store.deployments = { d1: { appId: 'a1', status: 'success' } };
+  store.deploymentLogs = {
+    d1_000001: { deploymentId: 'd1', seq: 1, step: 'build', level: 'info', message: 'built' },
+  };
+});
+
+describe('GET /api/deploy/:appId/logs/:deploymentId?follow=true', () => {
+  const follow = () => request(app)
+    .get('/api/deploy/a1/logs/d1?follow=true')
+    .set('Authorization', `Bearer ${token}`)
+    .buffer(true)
+    .parse((res, callback) => {
+      let text = '';
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => callback(null, text));
+    });
+
+  it('replays stored logs and ends with the deployment status', async () => {
+    const res = await follow();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toContain('id: 1\nevent: log\ndata: {"id":"d1_000001","deploymentId":"d1","seq":1');
+    expect(res.body).toContain('event: end\ndata: {"deploymentId":"d1","status":"success"}');
+  });
+
+  it('sends an error event and ends the stream when logs cannot be read', async () => {
+    const query = firebase.queryDocuments.getMockImplementation();
+    firebase.queryDocuments.mockImplementation(async (name, ...rest) => {
+      if (name === 'deploymentLogs') throw new Error('Firestore unavailable');
+      return query(name, ...rest);
+    });
+
+    try {
+      const res = await follow();
+
+      expect(res.status).toBe(200);
+      expect(res.body).toContain('event: error\ndata: {"deploymentId":"d1","message":"Could not read the deployment logs"}');
+      expect(res.body).not.toContain('event: end');
+    } finally {
+      firebase.queryDocuments.mockImplementation(query);
+    }
+  });
+});
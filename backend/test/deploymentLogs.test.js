@@ -0,0 +1,77 @@
+process.env.DEPLOY_LOG_MAX_LINES_PER_STEP = '150';
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const firebase = require('../src/config/firebase');
+const { createDeploymentLogger, endLogStream, getLogs, subscribe } = require('../src/services/deploymentLogs');
+
+const storedLogs = () => Object.values(firebase.store.deploymentLogs || {}).sort((a, b) => a.seq - b.seq);
+
+describe('deployment logs', () => {
+  beforeEach(() => {
+    firebase.store.deploymentLogs = {};
+    jest.clearAllMocks();
+  });
+
+  it('writes lines in batches instead of one write per line', async () => {
+    const log = createDeploymentLogger('d1');
+    for (let i = 1; i <= 120; i++) {
+      log('build', 'info', `line ${i}`);
+    }
+    await endLogStream('d1', 'success');
+
+    expect(firebase.batchWrite).toHaveBeenCalledTimes(2);
+    expect(firebase.batchWrite.mock.calls.map(([operations]) => operations.length)).toEqual([100, 20]);
+    expect(firebase.createDocument).not.toHaveBeenCalled();
+    expect(storedLogs().map(entry => entry.seq)).toEqual(Array.from({ length: 120 }, (value, i) => i + 1));
+  });
+
+  it('writes buffered lines after a short wait', async () => {
+    jest.useFakeTimers();
+    try {
+      const log = createDeploymentLogger('d2');
+      log('build', 'info', 'only line');
+      expect(firebase.batchWrite).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(firebase.batchWrite).toHaveBeenCalledTimes(1);
+    } finally {
+      jest.useRealTimers();
+    }
+    await endLogStream('d2', 'success');
+  });
+
+  it('stops storing a step after the line cap but keeps errors', async () => {
+    const log = createDeploymentLogger('d3');
+    for (let i = 1; i <= 200; i++) {
+      log('install', 'info', `line ${i}`);
+    }
+    log('install', 'error', 'npm install failed');
+    log('build', 'info', 'next step');
+    await endLogStream('d3', 'failed');
+
+    const logs = storedLogs();
+    expect(logs.filter(entry => entry.step === 'install' && entry.level === 'info')).toHaveLength(150);
+    expect(logs.find(entry => entry.level === 'warn').message).toMatch(/longer than 150 lines/);
+    expect(logs.slice(-2).map(entry => entry.message)).toEqual(['npm install failed', 'next step']);
+  });
+
+  it('sends lines to subscribers at once and includes unsaved lines in getLogs', async () => {
+    const live = [];
+    const unsubscribe = subscribe('d4', { onLog: entry => live.push(entry.message), onEnd: () => {} });
+    const log = createDeploymentLogger('d4');
+    log('build', 'info', 'first');
+    log('build', 'info', 'second');
+
+    expect(live).toEqual(['first', 'second']);
+    expect(storedLogs()).toEqual([]);
+    expect((await getLogs('d4')).map(entry => entry.message)).toEqual(['first', 'second']);
+
+    unsubscribe();
+    await endLogStream('d4', 'success');
+    expect((await getLogs('d4')).map(entry => entry.message)).toEqual(['first', 'second']);
+  });
+});
@@ -0,0 +1,92 @@
+const {
+  escapeHtml,
+  jsValue,
+  jsString,
+  cssValue,
+  cssString,
+  safeUrl,
+} = require('../src/utils/escape');
+
+describe('escapeHtml', () => {
+  it('escapes markup, quotes and Vue interpolation braces', () => {
+    expect(escapeHtml(`<b class="x">Tom's & {{ a }}</b>`))
+      .toBe('&lt;b class=&quot;x&quot;&gt;Tom&#39;s &amp; &#123;&#123; a &#125;&#125;&lt;/b&gt;');
+  });
+
+  it('turns null and undefined into an empty string', () => {
+    expect(escapeHtml(null)).toBe('');
+    expect(escapeHtml(undefined)).toBe('');
+    expect(escapeHtml(0)).toBe('0');
+  });
+});
+
+describe('jsValue and jsString', () => {
+  const hostile = 'a"b\'c</script><!-- \u2028 \u2029 end';
+
+  it('produces literals that evaluate back to the original value', () => {
+    expect(new Function(`return ${jsString(hostile)};`)()).toBe(hostile);
+    expect(new Function(`return ${jsValue({ text: hostile, list: [1, null] })};`)()).toEqual({ text: hostile, list: [1, null] });
+  });
+
+  it('cannot close a script block, open an HTML comment or break a line', () => {
+    const literal = jsString(hostile);
+
+    expect(literal).not.toMatch(/<\/script/i);
+    expect(literal).not.toContain('<!--');
+    expect(literal).not.toMatch(/[\u2028\u2029]/);
+  });
+
+  it('writes undefined as null and missing strings as empty', () => {
+    expect(jsValue(undefined)).toBe('null');
+    expect(jsString(null)).toBe('""');
+    expect(jsString(undefined)).toBe('""');
+  });
+});
+
+describe('cssValue', () => {
+  it('cannot end the declaration, the rule or the style block', () => {
+    expect(cssValue('red; } body { display: none </style><script>')).toBe('red  body  display: none /stylescript');
+  });
+
+  it('keeps ordinary values', () => {
+    expect(cssValue(' #3B82F6 ')).toBe('#3B82F6');
+    expect(cssValue(null)).toBe('');
+  });
+});
+
+describe('cssString', () => {
+  it('quotes the value and escapes characters that could end the string', () => {
+    expect(cssString('a"b\\c\n</style>')).toBe('"a\\22 b\\5c c\\a \\3c /style\\3e "');
+  });
+});
+
+describe('safeUrl', () => {
+  it.each([
+    'https://example.com/a?b=c',
+    'http://example.com',
+    'mailto:someone@example.com',
+    'tel:+15555550100',
+    '/about',
+    '#section',
+    '?page=2',
+    './relative',
+    'relative/path',
+    'data:image/png;base64,iVBORw0KGgo=',
+  ])('keeps %s', (url) => {
+    expect(safeUrl(url)).toBe(url);
+  });
+
+  it.each([
+    'javascript:alert(1)',
+    ' JavaScript:alert(1)',
+    'vbscript:msgbox(1)',
+    'data:text/html;base64,PHNjcmlwdD4=',
+    'data:image/svg+xml;base64,PHN2Zz4=',
+  ])('replaces %s with #', (url) => {
+    expect(safeUrl(url)).toBe('#');
+  });
+
+  it('treats missing values as empty', () => {
+    expect(safeUrl(undefined)).toBe('');
+  });
+});
@@ -0,0 +1,78 @@
+const { runFunction } = require('../src/services/functionRunner');
+
+describe('runFunction', () => {
+  it('returns the value and logs of a function', async () => {
+    const execution = await runFunction({
+      code: "console.log('adding', a, b); return { sum: a + b };",
+      parameters: ['a', { name: 'b', default: 2 }],
+      params: { a: 1 },
+    });
+
+    expect(execution.status).toBe('success');
+    expect(execution.result).toEqual({ sum: 3 });
+    expect(execution.logs).toEqual([{ level: 'info', message: 'adding 1 2' }]);
+  });
+
+  it('exposes globals and reads captured globals back', async () => {
+    const execution = await runFunction({
+      code: 'response.body = secrets.GREETING; return null;',
+      globals: { secrets: { GREETING: 'hello' }, response: { body: null } },
+      capture: ['response'],
+    });
+
+    expect(execution.status).toBe('success');
+    expect(execution.captured.response).toEqual({ body: 'hello' });
+  });
+
+  it('does not let the constructor chain reach the host process', async () => {
+    const execution = await runFunction({
+      code: `
+        const hostProcess = this.constructor.constructor('return process')();
+        return hostProcess.getBuiltinModule('child_process').execSync('id').toString();
+      `,
+    });
+
+    expect(execution.status).toBe('error');
+    expect(execution.result).toBeNull();
+    expect(execution.error).toMatch(/process is not defined/);
+  });
+
+  it('has no Node globals inside the sandbox', async () => {
+    const execution = await runFunction({
+      code: "return [typeof process, typeof require, typeof Buffer, typeof globalThis.constructor.constructor('return this')().process];",
+    });
+
+    expect(execution.status).toBe('success');
+    expect(execution.result).toEqual(['undefined', 'undefined', 'undefined', 'undefined']);
+  });
+
+  it('times out code that never yields, including after an await', async () => {
+    const execution = await runFunction({
+      code: 'await null; while (true) {}',
+      timeout: 200,
+    });
+
+    expect(execution.status).toBe('timeout');
+  });
+
+  it('stops functions that go over the memory limit', async () => {
+    const execution = await runFunction({
+      code: "const chunks = []; while (true) chunks.push('x'.repeat(1024) + Math.random());",
+      timeout: 20000,
+    });
+
+    expect(execution.status).toBe('error');
+    expect(execution.error).toMatch(/memory limit/);
+  });
+
+  it('reports a function that never settles', async () => {
+    const execution = await runFunction({ code: 'await new Promise(() => {});' });
+
+    expect(execution.status).toBe('error');
+    expect(execution.error).toMatch(/did not finish/);
+  });
+
+  it('rejects invalid parameter names', async () => {
+    await expect(runFunction({ code: 'return 1;', parameters: ['a-b'] })).rejects.toThrow('Invalid parameter name');
+  });
+});
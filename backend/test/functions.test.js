@@ -0,0 +1,68 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../src/config/firebase', () => ({
+  COLLECTIONS: { APPS: 'apps', FUNCTIONS: 'functions', FUNCTION_RUNS: 'functionRuns' },
+  queryDocuments: jest.fn(),
+  createDocument: jest.fn(async () => 'run1'),
+  updateDocument: jest.fn(async () => true),
+  increment: jest.fn(value => ({ $increment: value })),
+}));
+
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const loadApp = (env) => {
+  let app;
+  jest.isolateModules(() => {
+    Object.assign(process.env, env);
+    const { errorHandler } = require('../src/middleware/errorHandler');
+    const functionRoutes = require('../src/routes/functions');
+    app = express();
+    app.use(express.json());
+    app.use('/fn', functionRoutes);
+    app.use(errorHandler);
+  });
+  return app;
+};
+
+describe('public function routes', () => {
+  afterEach(() => {
+    delete process.env.PUBLIC_FUNCTIONS_ENABLED;
+    jest.clearAllMocks();
+  });
+
+  it('are disabled unless PUBLIC_FUNCTIONS_ENABLED is set', async () => {
+    const firebase = require('../src/config/firebase');
+    const app = loadApp({});
+
+    const res = await request(app).get('/fn/demo/hello');
+
+    expect(res.status).toBe(503);
+    expect(firebase.queryDocuments).not.toHaveBeenCalled();
+  });
+
+  it('run the matching function when enabled', async () => {
+    const firebase = require('../src/config/firebase');
+    firebase.queryDocuments
+      .mockResolvedValueOnce([{ id: 'app1', subdomain: 'demo' }])
+      .mockResolvedValueOnce([{
+        id: 'fn1',
+        appId: 'app1',
+        code: "return 'hi ' + name;",
+        parameters: ['name'],
+        http: { method: 'GET', path: '/hello/:name' },
+      }])
+      .mockResolvedValue([]);
+    const app = loadApp({ PUBLIC_FUNCTIONS_ENABLED: 'true' });
+
+    const res = await request(app).get('/fn/demo/hello/ada');
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe('hi ada');
+    expect(firebase.updateDocument).toHaveBeenCalledWith('functions', 'fn1', expect.objectContaining({
+      'metadata.executionCount': { $increment: 1 },
+    }));
+  });
+});
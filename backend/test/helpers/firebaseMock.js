@@ -0,0 +1,97 @@
+// In-memory stand-in for src/config/firebase, for use with jest.mock:
+//   jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+// Documents live in `store[collection][id]`; reads hand out copies like Firestore does.
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const setPath = (target, key, value) => {
+  const parts = key.split('.');
+  let node = target;
+  while (parts.length > 1) {
+    const part = parts.shift();
+    node = node[part] = node[part] || {};
+  }
+  // Stand-in for FieldValue.increment, see `increment` below
+  node[parts[0]] = value && value.$increment !== undefined
+    ? (node[parts[0]] || 0) + value.$increment
+    : value;
+};
+
+const matches = (doc, { field, operator, value }) => {
+  const actual = field.split('.').reduce((node, part) => (node == null ? undefined : node[part]), doc);
+  switch (operator) {
+    case '==': return actual === value;
+    case '!=': return actual !== value;
+    case 'in': return value.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.includes(value);
+    case '<': return actual < value;
+    case '<=': return actual <= value;
+    case '>': return actual > value;
+    case '>=': return actual >= value;
+    default: throw new Error(`Unsupported operator ${operator}`);
+  }
+};
+
+const createFirebaseMock = () => {
+  const { COLLECTIONS } = jest.requireActual('../../src/config/firebase');
+  const store = {};
+  let nextId = 0;
+  let transactions = Promise.resolve();
+
+  const collection = (name) => (store[name] = store[name] || {});
+  const read = (name, id) => (collection(name)[id] ? { id, ...clone(collection(name)[id]) } : null);
+  const write = (name, id, data) => {
+    const doc = collection(name)[id];
+    if (!doc) throw new Error(`No document ${name}/${id}`);
+    Object.entries(clone(data)).forEach(([key, value]) => setPath(doc, key, value));
+  };
+
+  return {
+    store,
+    COLLECTIONS,
+    getAuth: jest.fn(() => ({
+      updateUser: jest.fn(async () => {}),
+      deleteUser: jest.fn(async () => {}),
+    })),
+    getDocument: jest.fn(async (name, id) => read(name, id)),
+    createDocument: jest.fn(async (name, data, id = null) => {
+      const docId = id || `doc${++nextId}`;
+      collection(name)[docId] = clone(data);
+      return docId;
+    }),
+    updateDocument: jest.fn(async (name, id, data) => {
+      write(name, id, data);
+      return true;
+    }),
+    // Transactions run one after another, so none of them sees a stale document
+    updateDocumentInTransaction: jest.fn((name, id, update) => {
+      const run = transactions.then(async () => {
+        const current = read(name, id);
+        const data = await update(current);
+        if (data && current) write(name, id, data);
+        else if (data) collection(name)[id] = clone(data);
+        return data;
+      });
+      transactions = run.catch(() => {});
+      return run;
+    }),
+    deleteDocument: jest.fn(async (name, id) => {
+      delete collection(name)[id];
+      return true;
+    }),
+    queryDocuments: jest.fn(async (name, filters = []) => Object.keys(collection(name))
+      .map(id => read(name, id))
+      .filter(doc => filters.every(filter => matches(doc, filter)))),
+    increment: jest.fn((value = 1) => ({ $increment: value })),
+    batchWrite: jest.fn(async (operations) => {
+      operations.forEach(({ type, collection: name, docId, data }) => {
+        if (type === 'create') collection(name)[docId] = clone(data);
+        if (type === 'update') write(name, docId, data);
+        if (type === 'delete') delete collection(name)[docId];
+      });
+      return true;
+    }),
+  };
+};
+
+module.exports = { createFirebaseMock };
@@ -0,0 +1,183 @@
+const express = require('express');
+const request = require('supertest');
+const WebSocket = require('ws');
+
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const firebase = require('../src/config/firebase');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { createSession } = require('../src/services/sessions');
+const { attachLiveEditing } = require('../src/services/liveEditing');
+const builderRoutes = require('../src/routes/builder');
+
+const { store } = firebase;
+
+const app = express();
+app.use(express.json());
+app.use('/api/builder', builderRoutes);
+app.use(errorHandler);
+
+let server;
+let baseUrl;
+const sockets = [];
+const tokens = {};
+
+// Opens a live connection and joins with `token`; `next(type)` waits for a message
+const connect = (token) => new Promise((resolve, reject) => {
+  const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/api/builder/a1/pages/p1/live`);
+  socket.messages = [];
+  socket.waiting = [];
+  socket.next = (type) => new Promise((found) => {
+    const check = () => {
+      const index = socket.messages.findIndex(message => message.type === type);
+      if (index === -1) return false;
+      found(socket.messages.splice(index, 1)[0]);
+      return true;
+    };
+    if (!check()) socket.waiting.push(check);
+  });
+  socket.on('message', (data) => {
+    socket.messages.push(JSON.parse(data));
+    socket.waiting = socket.waiting.filter(check => !check());
+  });
+  socket.on('open', () => {
+    socket.send(JSON.stringify({ type: 'join', token }));
+    resolve(socket);
+  });
+  socket.on('error', reject);
+  sockets.push(socket);
+});
+
+const putPage = (token, body) => request(baseUrl)
+  .put('/api/builder/a1/pages/p1')
+  .set('Authorization', `Bearer ${token}`)
+  .send(body);
+
+beforeAll(async () => {
+  server = app.listen(0);
+  attachLiveEditing(server);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  store.users = {
+    u1: { isActive: true, displayName: 'Owner', email: 'owner@example.com' },
+    u2: { isActive: true, displayName: 'Editor', email: 'editor@example.com' },
+  };
+  store.apps = { a1: { userId: 'u1', isDeleted: false } };
+  store.appCollaborators = { a1_u2: { appId: 'a1', userId: 'u2', role: 'editor' } };
+
+  tokens.u1 = (await createSession('u1', {})).accessToken;
+  tokens.u2 = (await createSession('u2', {})).accessToken;
+});
+
+beforeEach(() => {
+  store.pages = {
+    p1: {
+      appId: 'a1',
+      isDeleted: false,
+      content: { components: [{ id: 'c1', type: 'heading', props: { text: 'Hi', level: 1 } }] },
+      metadata: { revision: 0 },
+    },
+  };
+});
+
+afterEach(() => {
+  sockets.splice(0).forEach(socket => socket.close());
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+describe('live page editing', () => {
+  it('gives a client that joins while an operation is saved a page that includes it', async () => {
+    const owner = await connect(tokens.u1);
+    await owner.next('joined');
+
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const save = firebase.updateDocumentInTransaction.getMockImplementation();
+    firebase.updateDocumentInTransaction.mockImplementationOnce(async (...args) => {
+      await gate;
+      return save(...args);
+    });
+
+    owner.send(JSON.stringify({
+      type: 'op',
+      opId: 'op1',
+      op: { action: 'update', componentId: 'c1', changes: { props: { text: 'Hello' } } },
+    }));
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const editor = await connect(tokens.u2);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(editor.messages).toEqual([]);
+
+    release();
+    const ack = await owner.next('ack');
+    const joined = await editor.next('joined');
+
+    expect(ack.revision).toBe(1);
+    expect(joined.page.metadata.revision).toBe(1);
+    expect(joined.page.content.components[0].props.text).toBe('Hello');
+  });
+
+  it('keeps content saved through the API when an operation follows it', async () => {
+    const owner = await connect(tokens.u1);
+    await owner.next('joined');
+
+    const res = await putPage(tokens.u2, {
+      revision: 0,
+      content: { components: [{ id: 'c1', type: 'heading', props: { text: 'Hi', level: 1 } }, { id: 'c2', type: 'text', props: { text: 'New' } }] },
+    });
+    expect(res.status).toBe(200);
+    expect((await owner.next('page')).page.metadata.revision).toBe(1);
+
+    owner.send(JSON.stringify({
+      type: 'op',
+      opId: 'op1',
+      op: { action: 'update', componentId: 'c1', changes: { props: { level: 2 } } },
+    }));
+    expect((await owner.next('ack')).revision).toBe(2);
+
+    expect(store.pages.p1.content.components.map(component => component.id)).toEqual(['c1', 'c2']);
+    expect(store.pages.p1.content.components[0].props).toEqual({ text: 'Hi', level: 2 });
+  });
+});
+
+describe('PUT /api/builder/:appId/pages/:pageId', () => {
+  const content = { components: [{ id: 'c1', type: 'heading', props: { text: 'Saved' } }] };
+
+  it('requires the revision when saving content', async () => {
+    const res = await putPage(tokens.u1, { content });
+
+    expect(res.status).toBe(400);
+    expect(store.pages.p1.content.components[0].props.text).toBe('Hi');
+  });
+
+  it('refuses a save made on an older revision', async () => {
+    store.pages.p1.metadata.revision = 3;
+
+    const res = await putPage(tokens.u1, { content, revision: 2 });
+
+    expect(res.status).toBe(409);
+    expect(store.pages.p1.metadata.revision).toBe(3);
+  });
+
+  it('saves on the current revision and bumps it', async () => {
+    const res = await putPage(tokens.u1, { content, revision: 0 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.page.metadata.revision).toBe(1);
+    expect(store.pages.p1.content.components[0].props.text).toBe('Saved');
+  });
+
+  it('saves other fields without a revision', async () => {
+    const res = await putPage(tokens.u1, { name: 'Renamed' });
+
+    expect(res.status).toBe(200);
+    expect(store.pages.p1.name).toBe('Renamed');
+  });
+});
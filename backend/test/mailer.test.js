@@ -0,0 +1,48 @@
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { logger } = require('../src/utils/logger');
+const { sendMail } = require('../src/services/mailer');
+
+const message = {
+  to: 'someone@example.com',
+  subject: 'Reset your XMBL password',
+  text: 'Open this link: https://xmbl.app/reset-password?token=secret-token',
+};
+
+describe('sendMail', () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+    jest.clearAllMocks();
+  });
+
+  it('logs only the recipient and subject with the console transport', async () => {
+    process.env.MAIL_TRANSPORT = 'console';
+
+    await sendMail(message);
+
+    const logged = logger.info.mock.calls.flat().join('\n');
+    expect(logged).toContain('someone@example.com');
+    expect(logged).toContain('Reset your XMBL password');
+    expect(logged).not.toContain('secret-token');
+  });
+
+  it('uses the console transport by default outside production', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'development';
+
+    await expect(sendMail(message)).resolves.toBeUndefined();
+    expect(logger.info).toHaveBeenCalled();
+  });
+
+  it('refuses to send in production without a configured transport', async () => {
+    delete process.env.MAIL_TRANSPORT;
+    process.env.NODE_ENV = 'production';
+
+    await expect(sendMail(message)).rejects.toThrow('MAIL_TRANSPORT must be set in production');
+    expect(logger.info).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,59 @@
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { tick } = require('../src/services/scheduler');
+
+const scheduledFunction = (overrides) => ({
+  appId: 'app1',
+  trigger: 'schedule',
+  schedule: '* * * * *',
+  isActive: true,
+  isDeleted: false,
+  parameters: [],
+  metadata: { executionCount: 0 },
+  ...overrides,
+});
+
+describe('tick', () => {
+  beforeEach(() => {
+    store.functions = {};
+    store.functionRuns = {};
+    store.secrets = {};
+  });
+
+  it('runs due functions and records their runs', async () => {
+    store.functions.fn1 = scheduledFunction({ code: 'return schedule.expression;' });
+
+    await tick(new Date('2026-01-01T10:00:30Z'));
+
+    const runs = Object.values(store.functionRuns);
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({ functionId: 'fn1', trigger: 'schedule', status: 'success', result: '* * * * *' });
+    expect(store.functions.fn1.metadata.executionCount).toBe(1);
+    expect(store.functions.fn1.metadata.nextRun).toBe('2026-01-01T10:01:00.000Z');
+  });
+
+  it('records a failed run when the function cannot start', async () => {
+    store.functions.fn1 = scheduledFunction({
+      code: 'return limit;',
+      parameters: [{ name: 'limit', required: true }],
+    });
+
+    await tick(new Date('2026-01-01T10:00:00Z'));
+
+    const runs = Object.values(store.functionRuns);
+    expect(runs).toHaveLength(1);
+    expect(runs[0]).toMatchObject({
+      functionId: 'fn1',
+      appId: 'app1',
+      trigger: 'schedule',
+      status: 'error',
+      error: 'Missing required parameter: limit',
+      scheduledFor: '2026-01-01T10:00:00.000Z',
+    });
+    expect(store.functions.fn1.metadata.executionCount).toBe(0);
+  });
+});
@@ -0,0 +1,76 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.SECRETS_ENCRYPTION_KEY = '0'.repeat(64);
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { errorHandler } = require('../src/middleware/errorHandler');
+const { createSession } = require('../src/services/sessions');
+const { getBuildSecrets } = require('../src/services/buildPipeline');
+const appRoutes = require('../src/routes/apps');
+
+const app = express();
+app.use(express.json());
+app.use('/api/apps', appRoutes);
+app.use(errorHandler);
+
+let token;
+
+beforeAll(async () => {
+  store.users = { u1: { isActive: true, email: 'owner@example.com' } };
+  store.apps = { a1: { userId: 'u1', isDeleted: false } };
+  token = (await createSession('u1', {})).accessToken;
+});
+
+beforeEach(() => {
+  store.secrets = {};
+});
+
+describe('POST /api/apps/:id/secrets', () => {
+  const createSecret = name => request(app)
+    .post('/api/apps/a1/secrets')
+    .set('Authorization', `Bearer ${token}`)
+    .send({ name, value: 'value' });
+
+  it.each([
+    'NODE_OPTIONS',
+    'NPM_CONFIG_SCRIPT_SHELL',
+    'LD_PRELOAD',
+    'DYLD_INSERT_LIBRARIES',
+    'BASH_ENV',
+    'ENV',
+    'SHELL',
+    'GIT_SSH_COMMAND',
+    'PATH',
+  ])('rejects %s, which changes what the build runs', async (name) => {
+    const res = await createSecret(name);
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].msg).toBe('This name is reserved');
+    expect(store.secrets).toEqual({});
+  });
+
+  it('accepts other names', async () => {
+    const res = await createSecret('STRIPE_API_KEY');
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.secret.name).toBe('STRIPE_API_KEY');
+  });
+});
+
+describe('getBuildSecrets', () => {
+  it('only passes secrets with a public bundler prefix to the build', () => {
+    expect(getBuildSecrets({
+      VITE_MAPS_KEY: 'maps',
+      VUE_APP_TITLE: 'title',
+      STRIPE_API_KEY: 'stripe',
+      NODE_OPTIONS: '--require /tmp/x.js',
+    })).toEqual({ VITE_MAPS_KEY: 'maps', VUE_APP_TITLE: 'title' });
+  });
+});
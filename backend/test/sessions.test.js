@@ -0,0 +1,77 @@
+process.env.JWT_SECRET = 'test-secret';
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { createSession, refreshSession, revokeRefreshToken } = require('../src/services/sessions');
+
+const refresh = token => refreshSession(token).then(session => session, error => error.statusCode);
+
+describe('refreshSession', () => {
+  let session;
+
+  beforeEach(async () => {
+    store.sessions = {};
+    session = await createSession('u1', { userAgent: 'test' });
+  });
+
+  it('swaps the refresh token for the next one', async () => {
+    const first = await refresh(session.refreshToken);
+    const second = await refresh(first.refreshToken);
+
+    expect(first).toMatchObject({ sessionId: session.sessionId, userId: 'u1', twoFactorVerified: false });
+    expect(second.sessionId).toBe(session.sessionId);
+    expect(store.sessions[session.sessionId].refreshGeneration).toBe(2);
+    expect(store.sessions[session.sessionId].revokedAt).toBeNull();
+  });
+
+  it('ends the session when the previous token is presented again', async () => {
+    const first = await refresh(session.refreshToken);
+
+    expect(await refresh(session.refreshToken)).toBe(401);
+    expect(store.sessions[session.sessionId].revokedAt).not.toBeNull();
+    expect(await refresh(first.refreshToken)).toBe(401);
+  });
+
+  it('ends the session when any earlier token is presented again', async () => {
+    const first = await refresh(session.refreshToken);
+    const second = await refresh(first.refreshToken);
+    await refresh(second.refreshToken);
+
+    expect(await refresh(session.refreshToken)).toBe(401);
+    expect(store.sessions[session.sessionId].revokedAt).not.toBeNull();
+  });
+
+  it('swaps a token sent twice in parallel only once, and ends the session', async () => {
+    const results = await Promise.all([refresh(session.refreshToken), refresh(session.refreshToken)]);
+
+    expect(results.filter(result => result === 401)).toHaveLength(1);
+    expect(store.sessions[session.sessionId].revokedAt).not.toBeNull();
+  });
+
+  it('ignores forged tokens without ending the session', async () => {
+    const [sessionId, , secret] = session.refreshToken.split('.');
+
+    expect(await refresh(`${sessionId}.5.${secret}`)).toBe(401);
+    expect(await refresh(`${sessionId}.0.${'0'.repeat(secret.length)}`)).toBe(401);
+    expect(await refresh('not-a-token')).toBe(401);
+    expect(store.sessions[session.sessionId].revokedAt).toBeNull();
+    expect(await refresh(session.refreshToken)).toMatchObject({ sessionId });
+  });
+});
+
+describe('revokeRefreshToken', () => {
+  it('ends the session of a genuine token and ignores others', async () => {
+    store.sessions = {};
+    const session = await createSession('u1');
+
+    await revokeRefreshToken(`${session.sessionId}.0.forged`);
+    expect(store.sessions[session.sessionId].revokedAt).toBeNull();
+
+    await revokeRefreshToken(session.refreshToken);
+    expect(store.sessions[session.sessionId].revokedAt).not.toBeNull();
+  });
+});
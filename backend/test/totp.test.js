@@ -0,0 +1,47 @@
+const { base32Encode, base32Decode, generateCode, verifyCode } = require('../src/utils/totp');
+
+// RFC 6238 appendix B, SHA1: the shared secret is the ASCII string
+// "12345678901234567890". The RFC lists 8-digit codes; 6-digit codes are
+// their last six digits.
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130'],
+];
+
+describe('base32', () => {
+  it('encodes and decodes the RFC secret', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode(RFC_SECRET).toString()).toBe('12345678901234567890');
+  });
+});
+
+describe('generateCode', () => {
+  it.each(RFC_VECTORS)('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code.slice(-6));
+  });
+});
+
+describe('verifyCode', () => {
+  it.each(RFC_VECTORS)('returns the step of the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(verifyCode(RFC_SECRET, code.slice(-6), { time: seconds * 1000 })).toBe(Math.floor(seconds / 30));
+  });
+
+  it('accepts one step of clock drift either side, and no more', () => {
+    const time = 1111111111 * 1000;
+    const step = Math.floor(time / 30000);
+
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 1), { time })).toBe(step - 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step + 1), { time })).toBe(step + 1);
+    expect(verifyCode(RFC_SECRET, generateCode(RFC_SECRET, step - 2), { time })).toBeNull();
+  });
+
+  it('rejects codes that are not six digits', () => {
+    expect(verifyCode(RFC_SECRET, '94287082', { time: 59000 })).toBeNull();
+    expect(verifyCode(RFC_SECRET, 'abcdef', { time: 59000 })).toBeNull();
+  });
+});
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+process.env.SECRETS_ENCRYPTION_KEY = '0'.repeat(64);
+
+jest.mock('../src/config/firebase', () => require('./helpers/firebaseMock').createFirebaseMock());
+jest.mock('../src/utils/logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+}));
+
+const { store } = require('../src/config/firebase');
+const { encryptSecret } = require('../src/services/secrets');
+const { generateSecret, generateCode } = require('../src/utils/totp');
+const { verifySecondFactor } = require('../src/services/twoFactor');
+
+const user = { id: 'u1', email: 'someone@example.com' };
+const secret = generateSecret();
+const recoveryCode = 'abcde-12345';
+
+const attempt = (code) => verifySecondFactor(user, code).then(() => 200, error => error.statusCode);
+
+describe('verifySecondFactor', () => {
+  beforeEach(() => {
+    const owner = { appId: 'platform', name: 'totp:u1', environment: 'all' };
+    store.userCredentials = {
+      u1: {
+        passwordHash: null,
+        failedLogins: 0,
+        lockedUntil: null,
+        twoFactor: {
+          enabled: true,
+          secret: { ...owner, ...encryptSecret(secret, owner) },
+          lastUsedStep: null,
+          recoveryCodes: [crypto.createHash('sha256').update('abcde12345').digest('hex')],
+        },
+      },
+    };
+  });
+
+  it('accepts a current code once', async () => {
+    const code = generateCode(secret);
+
+    expect(await attempt(code)).toBe(200);
+    expect(await attempt(code)).toBe(401);
+    expect(store.userCredentials.u1.failedLogins).toBe(1);
+  });
+
+  it('accepts a code sent twice in parallel only once', async () => {
+    const code = generateCode(secret);
+
+    const results = await Promise.all([attempt(code), attempt(code)]);
+
+    expect(results.sort()).toEqual([200, 401]);
+  });
+
+  it('accepts a recovery code once, even when sent twice in parallel', async () => {
+    const results = await Promise.all([attempt(recoveryCode), attempt(recoveryCode.toUpperCase())]);
+
+    expect(results.sort()).toEqual([200, 401]);
+    expect(store.userCredentials.u1.twoFactor.recoveryCodes).toEqual([]);
+  });
+
+  it('counts wrong codes towards the login lockout', async () => {
+    for (let i = 0; i < 5; i++) {
+      expect(await attempt('fffff-fffff')).toBe(401);
+    }
+
+    expect(await attempt(generateCode(secret))).toBe(429);
+  });
+});